@@ -235,14 +235,24 @@ var FovalClient = {
         success:  FovalClient.responseHandler.bind(FovalClient, form),
         error: function (jqXHR, textStatus, errorThrown) {
 
-          var response   = $.parseJSON(jqXHR.responseText);
+          var response   = FovalClient.parseResponse(jqXHR);
           var readyState = jqXHR.readyState;
 
+          // Invalid forms are sent back with an error status (422 by default) by the Foval middleware.
+          if (response && response.success === false && response.errors) {
+            return FovalClient.responseHandler(form, response, textStatus, jqXHR);
+          }
+
           // On ajax error handler.
           if (typeof form.onAjaxError === 'function') {
             form.onAjaxError.call(form.scope, response, readyState);
           }
 
+          // Show the server's message if it sent one, e.g. when Foval Client is out of date.
+          else if (response && response.message) {
+            alert(response.message);
+          }
+
           // Otherwise just alert an error message.
           else {
             alert('There was a problem communicating with the server.');
@@ -251,7 +261,7 @@ var FovalClient = {
         },
         complete:	function(jqXHR, textStatus) {
 
-          var response = $.parseJSON(jqXHR.responseText);
+          var response = FovalClient.parseResponse(jqXHR);
 
           // On complete event handler.
           if (typeof form.onComplete === 'function') {
@@ -266,6 +276,20 @@ var FovalClient = {
 
   },
 
+  /*
+   * Returns the JSON body of the ajax response, or null if it doesn't have one,
+   * e.g. when the request timed out.
+   */
+  parseResponse: function (jqXHR) {
+
+    try {
+      return $.parseJSON(jqXHR.responseText) || null;
+    } catch (err) {
+      return null;
+    }
+
+  },
+
   /*
    * Handles the ajax response from the server.
    */
@@ -279,6 +303,9 @@ var FovalClient = {
         form.onSuccess.call(form.scope, obj, form);
       }
 
+      // Show any warnings, which don't stop the form being submitted.
+      if (form.manageErrors && obj.errors) { FovalClient.showErrors(form, obj.errors); }
+
     }
 
     // Problem.
@@ -302,12 +329,13 @@ var FovalClient = {
   resetErrors: function (form) {
 
     // Unhighlight fields.
-    $(form.$form[0].elements).removeClass('error').removeClass('invalid');
+    $(form.$form[0].elements).removeClass('error').removeClass('invalid').removeClass('warning');
 
   },
 
   /*
-   * Shows form field errors.
+   * Shows form field errors with the 'error' and 'invalid' classes, and
+   * warnings with the 'warning' class.
    */
   showErrors: function (form, errors) {
 
@@ -323,13 +351,44 @@ var FovalClient = {
 
       // Mark up the field if we have an error.
       if (!errors[fieldName].isValid) {
-        var $fieldInput = $(form.$form[0].elements).filter('[name=' + fieldName + ']');
-        if (!$fieldInput[0]) { $fieldInput = $(form.$form[0].elements).filter('#' + fieldName); }
+        FovalClient.findInputs(form, fieldName, errors[fieldName].errors || []).addClass('error').addClass('invalid');
+      }
 
-        $fieldInput.addClass('error').addClass('invalid');
+      // Warnings are marked up separately as they don't make the field invalid.
+      if (errors[fieldName].warnings && errors[fieldName].warnings.length) {
+        FovalClient.findInputs(form, fieldName, errors[fieldName].warnings).addClass('warning');
       }
     }
 
+  },
+
+  /*
+   * Returns the inputs of the given field that the errors or warnings belong to.
+   */
+  findInputs: function (form, fieldName, issues) {
+
+    var $fieldInput = $(form.$form[0].elements).filter('[name="' + fieldName + '"]');
+    if (!$fieldInput[0]) { $fieldInput = $(form.$form[0].elements).filter('[name="' + fieldName + '[]"]'); }
+    if (!$fieldInput[0]) { $fieldInput = $(form.$form[0].elements).filter('#' + fieldName); }
+
+    // Array fields only mark up the inputs of the invalid items, unless the whole array is invalid.
+    var indexes = $.map(issues, function (issue) {
+      return (typeof issue.index === 'number' ? issue.index : null);
+    });
+    if (indexes.length === issues.length && indexes.length && $fieldInput.length > 1) {
+      $fieldInput = $fieldInput.filter(function (index) { return (indexes.indexOf(index) > -1); });
+    }
+
+    // Group fields mark up the inputs of the invalid sub-fields, e.g. 'items.1.qty' is 'items[1][qty]'.
+    $.each(issues, function (i, issue) {
+      if (!issue.path || typeof issue.index === 'number') { return; }
+      var parts = issue.path.split('.');
+      var name  = parts.shift() + '[' + parts.join('][') + ']';
+      $fieldInput = $fieldInput.add($(form.$form[0].elements).filter('[name="' + name + '"], [name="' + name + '[]"]'));
+    });
+
+    return $fieldInput;
+
   }
 
 };
@@ -4,27 +4,38 @@
  *
  * TO DO:
  *  - Implement hash fields.
- *  - Implement radio button fields.
- *  - Implement file fields.
  *  - Document additional validation.
  *  - Document methods.
  *  - Add URL transform   prependProtocol (bool>true) Prepends the protocol if one isn't present.  <-- should this be a transform??
- *  - Add password-encrypt transform (using bcrypt).
  *
  */
 
 var crypto       = require('crypto');
+var dns          = require('dns');
+var net          = require('net');
 var async        = require('async');
 var Countersign  = require('countersign');
 var escapeRegExp = require('escape-regexp');
 var logger       = require('log-ninja').init(1);
 var extender     = require('object-extender');
-var parseBool    = require('parse-bool');
 var semver       = require('semver');
 var packageJSON  = require('./package.json');
+var dates        = require('./lib/dates');
+var decimals     = require('./lib/decimals');
+var emails       = require('./lib/emails');
+var telephones   = require('./lib/telephones');
+var urls         = require('./lib/urls');
+var passwords    = require('./lib/passwords');
+var messages     = {
+  'en': require('./locales/en'),
+  'fr': require('./locales/fr'),
+  'de': require('./locales/de')
+};
 var ErrorNinja   = require('error-ninja').define({
   'old-foval-client-version':             'The version of Foval Client you are using is out of date!',
+  'invalid-foval-client-version':         'The version of Foval Client that submitted the form is not a valid version number.',
   'duplicate-field':                      'You have tried to define more than one field with the same name.',
+  'reserved-field-name':                  'The field name you provided is reserved by Foval.',
   'invalid-data-type':                    'The field type you entered is not valid!',
   'invalid-transform':                    'The transform you have specified is invalid.',
   'invalid-validation':                   'The validation you have specified is invalid.',
@@ -35,10 +46,44 @@ var ErrorNinja   = require('error-ninja').define({
   'str-case-invalid-case':                'The string case you provided is invalid.',
   'str-replace-transform-invalid-regexp': 'The regular expression you provided is invalid.',
   'custom-validation-no-function':        'A function has not be provided to the custom validation.',
-  'hash-validation-invalid-hash':         'The hash data provided is not a hash.',
   'in-list-validation-invalid-list':      'The list you provided is invalid.',
   'match-field-validation-invalid-field': 'The match field you provided is invalid.',
-  'regexp-validation-invalid-regexp':     'The regular expression you provided is invalid.'
+  'password-validation-invalid-field':    'The personal info field you provided is invalid.',
+  'password-validation-no-breached-list': 'The breached password list must be loaded with Foval.loadBreachedPasswords() first.',
+  'regexp-validation-invalid-regexp':     'The regular expression you provided is invalid.',
+  'radio-invalid-choices':                'Radio fields must be given an array of choices.',
+  'radio-invalid-choice-type':            'The choice type you provided for the radio field is invalid.',
+  'email-validation-invalid-resolver':    'The MX resolver you provided is not a function.',
+  'url-validation-invalid-resolver':      'The host resolver you provided is not a function.',
+  'lookup-invalid-timeout':               'The DNS lookup timeout you provided is invalid.',
+  'digest-invalid-option':                'The digest option you provided is invalid.',
+  'digest-unknown-hmac-key':              'The HMAC key you asked for has not been given to the form in the hmacKeys option.',
+  'password-hash-invalid-option':         'The password hash option you provided is invalid.',
+  'password-hash-wrong-stage':            'The password-hash transform must run in the after stage so the password can be validated.',
+  'invalid-password-hash':                'The password hash is not in a format Foval recognises.',
+  'file-validation-invalid-size':         'The file size limits you provided are invalid.',
+  'invalid-condition':                    'The condition you provided is invalid.',
+  'condition-invalid-field':              'The condition you provided refers to a field that does not exist.',
+  'circular-dependency':                  'The fields you have defined depend on each other in a circle.',
+  'form-not-validated':                   'The form must be validated before a response can be created.',
+  'invalid-response-format':              'The response format you specified is invalid.',
+  'invalid-unknown-fields-mode':          'The unknown fields mode you specified is invalid.',
+  'invalid-date-format':                  'The date format you provided is invalid.',
+  'invalid-timezone':                     'The timezone you provided is invalid.',
+  'date-range-invalid-bound':             'The date range bound you provided is invalid.',
+  'invalid-decimal-scale':                'The precision or scale you provided for the decimal field is invalid.',
+  'invalid-telephone-country':            'The country you provided for the telephone field is invalid.',
+  'telephone-validation-invalid-type':    'The telephone number type you provided is invalid.',
+  'invalid-element-type':                 'The element type you provided for the array field is invalid.',
+  'invalid-group-fields':                 'Group fields must be given an array of field definitions.',
+  'compare-validation-invalid-field':     'The compare field you provided is invalid.',
+  'compare-validation-invalid-operator':  'The compare operator you provided is invalid.',
+  'invalid-rule':                         'The form rule you provided is invalid.',
+  'rule-invalid-field':                   'The form rule you provided refers to a field that does not exist.',
+  'invalid-validator':                    'The form validator you provided is invalid.',
+  'duplicate-validator':                  'You have tried to add more than one form validator with the same name.',
+  'validator-invalid-field':              'The form validator returned a result for a field that does not exist.',
+  'invalid-severity':                     'The validation severity you provided is invalid.'
 });
 
 /*
@@ -55,459 +100,2400 @@ var validDataTypes = {
   'number':    'int',
   'int':       'int',
   'float':     'float',
+  'decimal':   'decimal',
+  'currency':  'currency',
   'boolean':   'boolean',
   'bool':      'boolean',
   'checkbox':  'checkbox',
+  'radio':     'radio',
+  'file':      'file',
+  'array':     'array',
+  'date':      'date',
+  'time':      'time',
+  'datetime':  'datetime',
+  'group':     'group',
   'hash':      'hash'
 };
 var defaultValues = {
   'string':    '',
   'int':       0,
   'float':     0,
+  'decimal':   null,
+  'currency':  null,
   'email':     '',
   'telephone': '',
   'url':       '',
   'boolean':   null,
   'checkbox':  null,
+  'radio':     null,
+  'file':      null,
+  'date':      null,
+  'time':      null,
+  'datetime':  null,
   'password':  ''
 };
-
-/*
- * Constructor. Takes in the form data and a number of options before setting up
- * the instance of Foval.
- */
-function Foval (data, options) {
-  data = data || {};
-
-  options = extender.defaults({
-    id:                  null,   //an ID to identify this Foval instance by.
-    stopOnInvalid:       true,   //set false to run all validations even if one fails.
-    checkboxTrueValue:   'ON',   //alter the string value that counts are true, does not affect values given as bools.
-    urlsRequireProtocol: true    //set false to validate all URL fields even if they don't contain protocols.
-  }, options);
-
-  // Store the options.
-  this.id                     = options.id;
-  this.stopOnInvalid          = options.stopOnInvalid;
-  this.checkboxTrueValue      = options.checkboxTrueValue;
-  this.urlsRequireProtocol    = options.urlsRequireProtocol;
-
-  // Placeholder values.
-  this.version                = packageJSON.version;
-  this.minFovalClientVersion  = packageJSON.minFovalClientVersion;
-  this.rawData                = data;
-  this.definitions            = {};
-  this.additionalValidationFn = null;
-  this.extraData              = {};
-
-  // Check the Foval Client version.
-  if (data.__FovalClientVersion && !semver.eq(data.__FovalClientVersion, this.version)) {
-
-    logger.warn('FOVAL WARNING! The client version used to submit this form is out of date.');
-    logger.warn('Foval Client v' + data.__FovalClientVersion);
-    logger.warn('Foval Module v' + this.version);
-
-    // We only throw an error if the client version is REALLY out of date.
-    if (semver.lt(data.__FovalClientVersion, this.minFovalClientVersion)) {
-      throw new ErrorNinja('old-foval-client-version', {
-        clientVersion:    data.__FovalClientVersion,
-        minClientVersion: this.minFovalClientVersion,
-        moduleVersion:    this.version
-      });
-    }
-  }
-
+var radioChoiceTypes   = ['string', 'int', 'float', 'boolean'];
+var dateDataTypes      = ['date', 'time', 'datetime'];
+var decimalDataTypes   = ['decimal', 'currency'];
+var countryFormats     = ['e164', 'international', 'national', 'rfc3966'];  //telephone formats that use the metadata of the number's country.
+var digestEncodings    = ['hex', 'base64', 'base64url'];
+var booleanTrueValues  = ['true', '1', 'yes', 'on'];
+var booleanFalseValues = ['false', '0', 'no', 'off'];
+var typeMismatch       = { typeMismatch: true };  //returned by typecastValue() when a value can't be typecast.
+var unknownFieldModes  = ['ignore', 'strip', 'report', 'reject'];
+var reservedFieldNames = ['__FovalClientVersion'];
+var unknownResultKey   = '_unknown';  //the key of the unknown fields in the validation results, fields can't use it.
+var unsafeKeys         = ['__proto__', 'constructor', 'prototype'];  //sub-keys that are never copied, to prevent prototype pollution.
+var compareOperators   = {  //the operators of the compare validation and the reasons they fail with, for dates and for everything else.
+  'gt':  { test: function (diff) { return diff > 0;  }, reason: 'not-greater',          dateReason: 'not-after'          },
+  'gte': { test: function (diff) { return diff >= 0; }, reason: 'not-greater-or-equal', dateReason: 'not-after-or-same'  },
+  'lt':  { test: function (diff) { return diff < 0;  }, reason: 'not-less',             dateReason: 'not-before'         },
+  'lte': { test: function (diff) { return diff <= 0; }, reason: 'not-less-or-equal',    dateReason: 'not-before-or-same' },
+  'ne':  { test: function (diff) { return diff !== 0; }, reason: 'not-different',       dateReason: 'not-different'      }
 };
-
-/*
- * Returns the ID of the Foval instance.
- */
-Foval.prototype.identify = function () {
-  return this.id;
+var severities         = ['error', 'warning'];  //failed validations with the 'warning' severity don't make the field invalid.
+var reservedResultKeys = ['isValid', 'skipped', 'items', 'fields'];  //validators can't use these names, they're part of the field results.
+var breachedPasswords  = null;  //the breached password list loaded by Foval.loadBreachedPasswords().
+var ruleTypes          = {  //the form-level rules and the validation names their results are stored under.
+  'atLeastOneOf':      'at-least-one-of',
+  'mutuallyExclusive': 'mutually-exclusive',
+  'allOrNone':         'all-or-none'
+};
+var mimeTypeAliases    = {
+  'image/jpg':                    'image/jpeg',
+  'image/pjpeg':                  'image/jpeg',
+  'image/x-png':                  'image/png',
+  'audio/mp3':                    'audio/mpeg',
+  'audio/x-wav':                  'audio/wav',
+  'audio/wave':                   'audio/wav',
+  'application/x-pdf':            'application/pdf',
+  'application/x-zip-compressed': 'application/zip',
+  'application/x-gzip':           'application/gzip'
 };
+var fileSignatures     = [  //the magic bytes at the start of common file types, as [offset, hex].
+  { mime: 'image/png',        match: [[0, '89504e470d0a1a0a']] },
+  { mime: 'image/jpeg',       match: [[0, 'ffd8ff']] },
+  { mime: 'image/gif',        match: [[0, '474946383761']] },
+  { mime: 'image/gif',        match: [[0, '474946383961']] },
+  { mime: 'image/webp',       match: [[0, '52494646'], [8, '57454250']] },
+  { mime: 'image/bmp',        match: [[0, '424d']] },
+  { mime: 'image/tiff',       match: [[0, '49492a00']] },
+  { mime: 'image/tiff',       match: [[0, '4d4d002a']] },
+  { mime: 'application/pdf',  match: [[0, '25504446']] },
+  { mime: 'application/gzip', match: [[0, '1f8b']] },
+  { mime: 'audio/mpeg',       match: [[0, '494433']] },
+  { mime: 'audio/wav',        match: [[0, '52494646'], [8, '57415645']] },
+  { mime: 'audio/ogg',        match: [[0, '4f676753']], allows: ['video/ogg', 'application/ogg'] },
+  { mime: 'video/mp4',        match: [[4, '66747970']], allows: ['video/*', 'audio/mp4', 'audio/x-m4a'] },
+  { mime: 'application/zip',  match: [[0, '504b0304']], allows: [
+    'application/vnd.openxmlformats-officedocument.*',
+    'application/vnd.oasis.opendocument.*',
+    'application/epub+zip',
+    'application/java-archive'
+  ] }
+];
 
 /*
- * Define multiple fields.
+ * Private Functions.
  */
-Foval.prototype.defineFields = function (arr) {
-
-  // Define each of the fields in the array.
-  for (var i = 0, ilen = arr.length ; i < ilen ; i++) {
-    this.defineField(arr[i]);
-  }
-
-  // Enable chaining.
-  return this;
-
-};
 
 /*
- * Define a single field.
+ * Takes in a field definition and returns a normalised copy of it, with the
+ * data type, transforms and validations checked and any automatic transforms
+ * and validations added. The input definition is never modified.
  */
-Foval.prototype.defineField = function (input) {
-
-  // Have we already defined this field?
-  if (this.definitions[input.fieldName]) {
-    throw new ErrorNinja('duplicate-field', { fieldName: input.fieldName });
-  }
+function compileDefinition (input) {
 
   // Is the data type valid?
   var normalisedDataType = validDataTypes[input.dataType];
-  if (normalisedDataType) {
-    input.dataType = normalisedDataType;
-  } else {
+  if (!normalisedDataType) {
     throw new ErrorNinja('invalid-data-type', {
       dataType:   input.dataType,
       validTypes: Object.keys(validDataTypes)
     });
   }
 
-  // Special case typecasting for hash fields.
-  if (input.dataType === 'hash') {
-
-    // Do the conversion.
-    var hashResult = {};
-    for (var fieldKey in this.rawData) {
-      if (this.rawData.hasOwnProperty(fieldKey)) {
-
-        var hashKeyMatch = fieldKey.match(new RegExp('^' + input.fieldName + '\\[(.+)\\]'));
-
-        if (hashKeyMatch) {
-          var subKey = hashKeyMatch[1];
-          var value  = parseBool(this.rawData[fieldKey]);
-          hashResult[subKey] = value;
-        }
-
-      }
-    }
-
-    // Store the result as a true hash.
-    this.rawData[input.fieldName] = hashResult;
-
-  }
-
-  // Do we need to typecast the value?
-  var rawValue   = this.rawData[input.fieldName];
-  var startValue = (typeof rawValue === 'undefined' ? defaultValues[normalisedDataType] : rawValue);
-  if (input.typecasting !== false) {
-    switch (normalisedDataType) {
-      case 'string':
-      case 'email':
-      case 'telephone':
-      case 'url':
-      case 'password':  startValue = String(startValue);       break;
-
-      case 'int':       startValue = parseInt(startValue, 10); break;
-      case 'float':     startValue = parseFloat(startValue);   break;
-      case 'boolean':   startValue = parseBool(startValue);    break;
-      case 'checkbox':  startValue = parseBool(startValue);    break;
-    }
-  }
+  // Copy the input so we don't modify the original definition.
+  var compiled = extender.merge({
+    transforms:  {
+      before: {},
+      after:  {}
+    },
+    validations: {}
+  }, copyDefinition(input), {
+    dataType: normalisedDataType
+  });
 
   // Ensure we have these objects so we can add the automatic transforms/validations if necessary.
-  if (!input.validations)       { input.validations       = {}; }
-  if (!input.transforms)        { input.transforms        = {}; }
-  if (!input.transforms.before) { input.transforms.before = {}; }
-  if (!input.transforms.after)  { input.transforms.after  = {}; }
+  if (!compiled.validations)       { compiled.validations       = {}; }
+  if (!compiled.transforms)        { compiled.transforms        = {}; }
+  if (!compiled.transforms.before) { compiled.transforms.before = {}; }
+  if (!compiled.transforms.after)  { compiled.transforms.after  = {}; }
+
+  var transforms  = Foval.prototype.transforms;
+  var validations = Foval.prototype.validations;
 
   // Ensure all the transforms are valid.
-  for (var b in input.transforms.before) {
-    if (!input.transforms.before.hasOwnProperty(b)) { continue; }
-    if (typeof this.transforms[b] !== 'function') {
+  for (var b in compiled.transforms.before) {
+    if (!compiled.transforms.before.hasOwnProperty(b)) { continue; }
+    if (typeof transforms[b] !== 'function') {
       throw new ErrorNinja('invalid-transform', { transform: b });
     }
   }
-  for (var a in input.transforms.after) {
-    if (!input.transforms.after.hasOwnProperty(a)) { continue; }
-    if (typeof this.transforms[a] !== 'function') {
+  for (var a in compiled.transforms.after) {
+    if (!compiled.transforms.after.hasOwnProperty(a)) { continue; }
+    if (typeof transforms[a] !== 'function') {
       throw new ErrorNinja('invalid-transform', { transform: a });
     }
   }
 
+  // Hashing before the validations would stop them seeing the password.
+  if (compiled.transforms.before.hasOwnProperty('password-hash')) {
+    throw new ErrorNinja('password-hash-wrong-stage', { fieldName: compiled.fieldName });
+  }
+
   // Ensure all the validations are valid.
-  for (var v in input.validations) {
-    if (!input.validations.hasOwnProperty(v)) { continue; }
-    if (typeof this.validations[v] !== 'function') {
+  for (var v in compiled.validations) {
+    if (!compiled.validations.hasOwnProperty(v)) { continue; }
+    if (typeof validations[v] !== 'function') {
       throw new ErrorNinja('invalid-validation', { validation: v });
     }
+
+    var severity = (compiled.validations[v] && typeof compiled.validations[v] === 'object' ? compiled.validations[v].severity : null);
+    if (severity && severities.indexOf(severity) === -1) {
+      throw new ErrorNinja('invalid-severity', {
+        validation:      v,
+        severity:        severity,
+        validSeverities: severities
+      });
+    }
   }
 
+  var before = compiled.transforms.before;
+  var after  = compiled.transforms.after;
+  var valids = compiled.validations;
+
   // Automatic transforms based on properties.
-  if (input.modify   && !input.transforms.before['custom'])   { input.transforms.before['custom']   = input.modify; }
-  if (input.trim     && !input.transforms.before['str-trim']) { input.transforms.before['str-trim'] = true;         }
+  if (compiled.modify   && !before['custom'])   { before['custom']   = compiled.modify; }
+  if (compiled.trim     && !before['str-trim']) { before['str-trim'] = true;            }
 
   // Automatic validations based on properties.
-  if (input.required && !input.validations['required'])       { input.validations['required']       = true;         }
+  if (compiled.required && !valids['required']) { valids['required'] = true;            }
 
   // Automatic transforms and validations based on data type.
-  switch (input.dataType) {
+  switch (compiled.dataType) {
 
     case 'email':
-      if (!input.validations['email'])          { input.validations['email']          = true; }
-      if (!input.transforms.before['str-trim']) { input.transforms.before['str-trim'] = true; }
+      if (!valids['email'])     { valids['email']     = true; }
+      if (!before['str-trim'])  { before['str-trim']  = true; }
       break;
 
     case 'telephone':
-      if (!input.validations['telephone'])      { input.validations['telephone']      = true; }
-      if (!input.transforms.before['str-trim']) { input.transforms.before['str-trim'] = true; }
+      compileTelephoneCountry(compiled);
+      if (!valids['telephone']) { valids['telephone'] = true; }
+      if (!before['str-trim'])  { before['str-trim']  = true; }
       break;
 
     case 'url':
-      if (!input.validations['url'])            { input.validations['url']            = true; }
-      if (!input.transforms.before['str-trim']) { input.transforms.before['str-trim'] = true; }
-      if (!input.transforms.after['url'])       { input.transforms.after['url']       = true; }
+      if (!valids['url'])       { valids['url']       = true; }
+      if (!before['str-trim'])  { before['str-trim']  = true; }
+      if (!after['url'])        { after['url']        = true; }
       break;
 
     case 'hash':
-      if (!input.validations['hash'])           { input.validations['hash']           = true; }
+      if (!valids['hash'])      { valids['hash']      = true; }
+      // Compile the RegExp once, rather than for every raw key of every form.
+      compiled.subKeyRegExp = new RegExp('^' + escapeRegExp(compiled.fieldName) + '\\[(.+)\\]');
+      break;
+
+    case 'file':
+      if (!valids['file'])      { valids['file']      = true; }
+      // Files can be submitted as 'field[filename]', 'field[data]' etc.
+      compiled.subKeyRegExp = new RegExp('^' + escapeRegExp(compiled.fieldName) + '\\[(.+)\\]');
       break;
 
     case 'password':
-      if (!input.validations['password'])       { input.validations['password']       = true; }
+      if (!valids['password'])  { valids['password']  = true; }
+      break;
+
+    case 'radio':
+      compileRadioChoices(compiled);
+      if (!valids['radio'])     { valids['radio']     = true; }
+      break;
+
+    case 'date':
+    case 'time':
+    case 'datetime':
+      compileDateFormats(compiled);
+      if (!valids['date'])      { valids['date']      = true; }
+      break;
+
+    case 'decimal':
+    case 'currency':
+      compileDecimalScale(compiled);
+      if (!valids['decimal'])   { valids['decimal']   = true; }
+      break;
+
+    case 'array':
+      compileArrayElement(compiled);
+      if (!valids['array'])     { valids['array']     = true; }
+      // Arrays can be submitted as 'field[]' or 'field[0]', 'field[1]' etc.
+      compiled.subKeyRegExp = new RegExp('^' + escapeRegExp(compiled.fieldName) + '\\[(\\d*)\\]$');
+      break;
+
+    case 'group':
+      compileGroupFields(compiled);
+      // Groups are submitted as 'field[0][subField]' or 'field[subField]'.
+      compiled.subKeyRegExp = new RegExp('^' + escapeRegExp(compiled.fieldName) + '\\[');
       break;
 
   }
 
+  // Conditional fields.
+  compileCondition(compiled, 'requiredIf');
+  compileCondition(compiled, 'validateIf');
+  compileCondition(compiled, 'skipIf');
+  if (compiled.requiredIf && !valids['required']) { valids['required'] = true; }
+
+  // Work out which other fields need to be processed before this one.
+  compiled.dependsOn = listDependencies(compiled);
+
   // Ensure the field is marked 'required' if we have the 'required' validation.
-  if (input.validations['required']) { input.required = true; }
+  if (valids['required']) { compiled.required = true; }
 
-  // Save the definition.
-  this.definitions[input.fieldName] = extender.merge({
-    // Overwritable properties.
-    fieldName: null,
-    dataType:  null,
-    value:     startValue,  //setting this when defining a field acts as a default value.
-    required:  null,
-    trim:      null,
-    modify:    null,
-    transforms:  {
-      before: {},
-      after:  {}
-    },
-    validations: {}
-  }, input, {
-    // Uneditable properties.
-    rawValue:  rawValue,
-    isValid:   null,   //null = not checked.
-    extraData: {}
-  });
+  // Sensitive values are never included in responses.
+  if (typeof compiled.sensitive !== 'boolean') {
+    compiled.sensitive = (compiled.dataType === 'password' || compiled.dataType === 'file');
+  }
 
-  // Enable changing.
-  return this;
+  return compiled;
 
-};
+}
 
 /*
- * Perform the form validation and call the callback with the result.
- * callback(err, success, validationResults, fieldHash);
+ * Returns a deep copy of the plain objects, arrays and dates in a definition,
+ * so forms never share them with each other or with a schema. Functions,
+ * regular expressions and other values are kept as they are.
  */
-Foval.prototype.validate = function (callback) {
+function copyDefinition (value) {
 
-  var form          = this;
-  var stopOnInvalid = this.stopOnInvalid;
-
-  async.waterfall([
+  if (Object.prototype.toString.call(value) === '[object Array]') { return value.map(copyDefinition); }
+  if (value instanceof Date) { return new Date(value.getTime()); }
+  if (!value || typeof value !== 'object' || Object.getPrototypeOf(value) !== Object.prototype) { return value; }
 
-    // First, check each of the fields in turn.
-    function validateFields (next) {
+  var copy = {};
 
-      var validationResults = {};
-      var isFormValid       = true;
+  for (var key in value) {
+    if (value.hasOwnProperty(key)) { copy[key] = copyDefinition(value[key]); }
+  }
 
-      // Cycle form fields.
-      async.each(form.definitions, function (definition, nextField) {
+  return copy;
 
-        // Do we need to transform the data before we validate it?
-        form.runTransforms(definition, 'before', function (err, transformedValue) {
+}
 
-          if (err) { return nextField(err); }
+/*
+ * Freezes the plain objects and arrays in a copy of a definition, at any depth,
+ * and returns it.
+ */
+function freezeDefinition (value) {
 
-          // Store the new value.
-          definition.value = transformedValue;
+  if (Object.prototype.toString.call(value) === '[object Array]' || (value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype)) {
+    Object.keys(value).forEach(function (key) { freezeDefinition(value[key]); });
+    Object.freeze(value);
+  }
 
-          // Validate the value.
-          form.runValidations(definition, function (err, isFieldValid, result) {
+  return value;
 
-            if (err) { return nextField(err); }
+}
 
-            // Store the validation result.
-            validationResults[definition.fieldName] = result;
-            definition.isValid = isFieldValid;
-            if (!isFieldValid) { isFormValid = false; }
+/*
+ * Returns an array of the other fields the definition depends on, taken from
+ * the 'dependsOn' property, the 'match-field', 'compare' and 'password'
+ * validations and any conditions.
+ */
+function listDependencies (compiled) {
 
-            // By default, we stop when we encounter the first invalid value.
-            if (!isFieldValid && stopOnInvalid) { return nextField('stop'); }
+  var dependsOn  = [].concat(compiled.dependsOn || []);
+  var matchField = compiled.validations['match-field'];
+  var compare    = compiled.validations['compare'];
+  var password   = compiled.validations['password'];
+  var conditions = [compiled.requiredIf, compiled.validateIf, compiled.skipIf];
 
-            // Do we need to transform the data after we've validated it?
-            form.runTransforms(definition, 'after', function (err, transformedValue) {
+  // The field we must match.
+  if (matchField && !(typeof matchField === 'object' && matchField.run === false)) {
+    dependsOn.push(typeof matchField === 'object' ? matchField.matchField : matchField);
+  }
 
-              if (err) { return nextField(err); }
+  // The field we're compared against.
+  if (compare && typeof compare === 'object' && compare.run !== false) {
+    dependsOn.push(compare.field);
+  }
 
-              // Store the new value & continue.
-              definition.value = transformedValue;
-              return nextField(null);
+  // The fields with personal info the password mustn't contain.
+  if (password && typeof password === 'object' && password.run !== false) {
+    dependsOn = dependsOn.concat(password.personalFields || []);
+  }
 
-            });
+  // The fields referred to by condition hashes.
+  for (var c = 0, clen = conditions.length ; c < clen ; c++) {
+    if (conditions[c] && typeof conditions[c] === 'object') {
+      dependsOn = dependsOn.concat(Object.keys(conditions[c]));
+    }
+  }
 
-          });
+  // Remove duplicates and the field itself.
+  return dependsOn.filter(function (fieldName, index) {
+    return (fieldName && fieldName !== compiled.fieldName && dependsOn.indexOf(fieldName) === index);
+  });
 
-        });
+}
 
-      }, function (err) {
+/*
+ * Takes a hash of definitions and returns an array of groups of definitions,
+ * where the fields in each group only depend on fields in earlier groups. The
+ * fields in a group can be processed in parallel. Dependencies on fields that
+ * haven't been defined are ignored. Throws if there is a circular dependency.
+ */
+function groupFieldsByDependency (definitions) {
 
-        // The field is invalid.
-        if (err && err === 'stop') { return next('stop', isFormValid, validationResults); }
+  var levels = {};
+  var groups = [];
 
-        // Other error.
-        else if (err) { return next(err); }
+  var getLevel = function (fieldName, path) {
 
-        // Success!
-        return next(null, isFormValid, validationResults);
+    if (typeof levels[fieldName] === 'number') { return levels[fieldName]; }
 
+    // We've come back round to a field we're already looking at.
+    if (path.indexOf(fieldName) > -1) {
+      throw new ErrorNinja('circular-dependency', {
+        fields: path.slice(path.indexOf(fieldName)).concat(fieldName)
       });
+    }
 
-    },
+    var definition     = definitions[fieldName];
+    var dependsOn      = definition.dependsOn || [];
+    var hasFnCondition = (typeof definition.requiredIf === 'function' ||
+      typeof definition.validateIf === 'function' ||
+      typeof definition.skipIf === 'function');
 
-    // Second, perform the additional validation, if any.
-    function performAdditionalValidation (isFormValid, validationResults, next) {
+    // Function conditions without any dependencies still come after fields without any.
+    var level = (hasFnCondition && !dependsOn.length ? 1 : 0);
 
-      // Collect up the field values.
-      var fieldHash            = form.generateFieldHash();
-      var additionalValidation = form.additionalValidationFn;
+    for (var d = 0, dlen = dependsOn.length ; d < dlen ; d++) {
+      if (!definitions.hasOwnProperty(dependsOn[d])) { continue; }
+      level = Math.max(level, getLevel(dependsOn[d], path.concat(fieldName)) + 1);
+    }
 
-      // No extra validation to perform.
-      if (typeof additionalValidation !== 'function') {
-        return next(null, isFormValid, validationResults, fieldHash);
-      }
+    levels[fieldName] = level;
+    return level;
 
-      // Do the extra validation.
-      additionalValidation(form, fieldHash, function (err, additionalResults) {
+  };
 
-        if (err) { return next(err); }
+  for (var fieldName in definitions) {
+    if (!definitions.hasOwnProperty(fieldName)) { continue; }
 
-        // Copy the additional validation results into our validation results.
-        if (typeof additionalResults === 'object') {
-          for (var key in additionalResults) {
-            if (!additionalResults.hasOwnProperty(key)) { continue; }
+    var level = getLevel(fieldName, []);
+    groups[level] = groups[level] || [];
+    groups[level].push(definitions[fieldName]);
+  }
 
-            var additionalResult = additionalResults[key];
+  // Remove any empty levels.
+  return groups.filter(Boolean);
 
-            // Copy in.
-            validationResults[key]['additional-validation'] = additionalResult;
+}
 
-            // Save the result.
-            if (!additionalResult.passed) {
-              form.definitions[key].isValid  = false;
-              validationResults[key].isValid = false;
-              isFormValid                    = false;
-            }
-          }
-        }
+/*
+ * Checks the given condition property of a definition is either a function or
+ * a hash of field names and the values they must have.
+ */
+function compileCondition (compiled, property) {
 
-        // Reload the field hash incase the additional validation method tried to modify it.
-        fieldHash = form.generateFieldHash();
+  var condition = compiled[property];
 
-        // Continue.
-        return next(null, isFormValid, validationResults, fieldHash);
+  if (!condition) {
+    compiled[property] = null;
+    return;
+  }
 
-      });
+  if (typeof condition !== 'function' && (typeof condition !== 'object' || !Object.keys(condition).length)) {
+    throw new ErrorNinja('invalid-condition', {
+      fieldName: compiled.fieldName,
+      property:  property,
+      condition: condition
+    });
+  }
 
-    }
+}
 
-  ], function (err, isFormValid, validationResults, fieldHash) {
+/*
+ * Returns true if the condition is met by the current values of the form. Each
+ * field in a condition hash must match its expected value, which can be a
+ * literal, an array of values, a RegExp or a function. Function conditions are
+ * passed the field hash and the form.
+ */
+function evaluateCondition (form, condition) {
 
-    // A field is invalid.
-    if (err && err === 'stop') {
-      if (!fieldHash) { fieldHash = form.generateFieldHash(); }
-      return callback(null, false, validationResults, fieldHash);
-    }
+  var fieldHash = form.generateFieldHash();
 
-    // Other error.
-    else if (err) { return callback(err); }
+  if (typeof condition === 'function') { return Boolean(condition(fieldHash, form)); }
 
-    // Success!
-    return callback(null, isFormValid, validationResults, fieldHash);
+  for (var fieldName in condition) {
+    if (!condition.hasOwnProperty(fieldName)) { continue; }
 
-  });
+    // The condition refers to a field that doesn't exist.
+    if (!form.definitions[fieldName]) {
+      throw new ErrorNinja('condition-invalid-field', { fieldName: fieldName });
+    }
 
-};
+    var expected = condition[fieldName];
+    var value    = fieldHash[fieldName];
+    var isMatch;
 
-/*
- * Runs all the transformations on the given field and passes the new value back.
- * callback(err, value);
- */
-Foval.prototype.runTransforms = function (definition, type, callback) {
+    if (typeof expected === 'function')                                    { isMatch = Boolean(expected(value)); }
+    else if (Object.prototype.toString.call(expected) === '[object Array]')  { isMatch = (expected.indexOf(value) > -1); }
+    else if (Object.prototype.toString.call(expected) === '[object RegExp]') { isMatch = expected.test(String(value)); }
+    else                                                                    { isMatch = (value === expected); }
 
-  var form       = this;
-  var transforms = definition.transforms[type];
-  var arrKeys    = Object.keys(transforms);
-  var value      = definition.value;
+    if (!isMatch) { return false; }
+  }
 
-  // Cycle each transform.
-  async.eachSeries(arrKeys, function (key, next) {
+  return true;
 
-    var options = transforms[key];
+}
 
-    // Skip the transform if we have a falsey value.
-    if (!options) { return next(null); }
-    if (typeof options === 'object' && options.run === false) { return next(null); }
+/*
+ * Checks the given form-level rules, e.g. { atLeastOneOf: ['phone', 'email'] },
+ * and returns them as [{ rule, validation, fields }]. If a hash of definitions
+ * is given, the fields of each rule must be in it. Throws if a rule is invalid.
+ */
+function compileRules (rules, definitions) {
 
-    // Do the transform.
-    form.transforms[key](form, definition, options, function (err, transformedValue) {
+  return [].concat(rules || []).map(function (input) {
 
-      if (err) { return next(err); }
+    var keys   = (input && typeof input === 'object' ? Object.keys(input) : []);
+    var rule   = keys[0];
+    var fields = (keys.length === 1 ? input[rule] : null);
 
-      // Save & continue.
-      value = transformedValue;
-      return next(null);
+    // Each rule must have exactly one type and at least two fields.
+    if (!ruleTypes.hasOwnProperty(rule) || Object.prototype.toString.call(fields) !== '[object Array]' || fields.length < 2) {
+      throw new ErrorNinja('invalid-rule', {
+        rule:       input,
+        validRules: Object.keys(ruleTypes)
+      });
+    }
 
-    });
+    for (var f = 0, flen = fields.length ; definitions && f < flen ; f++) {
+      if (!definitions.hasOwnProperty(fields[f])) {
+        throw new ErrorNinja('rule-invalid-field', { rule: rule, fieldName: fields[f] });
+      }
+    }
+
+    return {
+      rule:       rule,
+      validation: ruleTypes[rule],
+      fields:     fields.slice()
+    };
 
-  }, function (err) {
-    if (err) { return callback(err); }
-    return callback(null, value);
   });
 
-};
+}
 
 /*
- * Runs all the validations on the given field and passes the result back.
- * callback(err, isFieldValid, result);
+ * Returns true if the field has a value, using the same checks as the
+ * 'required' validation for each data type.
  */
-Foval.prototype.runValidations = function (definition, callback) {
+function hasValue (definition) {
 
-  var form          = this;
-  var validations   = definition.validations;
-  var arrKeys       = Object.keys(validations);
-  var isFieldValid  = true;
-  var stopOnInvalid = this.stopOnInvalid;
-  var result = {
-    isValid: null
-  };
+  var value = definition.value;
 
-  // Cycle each validation.
-  async.eachSeries(arrKeys, function (key, next) {
+  switch (definition.dataType) {
 
-    var options = validations[key];
+    case 'boolean':  return Boolean(value === true || value === false);
 
-    // Skip the validation if we have a falsey value.
-    if (!options) { return next(null); }
-    if (typeof options === 'object' && options.run === false) { return next(null); }
+    case 'checkbox': return Boolean(value === true);
 
-    // Do the validation.
-    form.validations[key](form, definition, options, function (err, isValid, reason) {
+    case 'radio':    return Boolean(value !== null && typeof value !== 'undefined');
 
-      if (err) { return next(err); }
+    case 'file':     return Boolean(value && (value.buffer ? value.buffer.length : value.filename));
+
+    case 'array':    return Boolean(value && value.length);
+
+    case 'group':    return Boolean(value && (!definition.repeatable || value.length));
+
+    case 'date':
+    case 'time':
+    case 'datetime':
+    case 'decimal':
+    case 'currency': return Boolean(value !== null && typeof value !== 'undefined' && value !== '');
+
+    case 'int':      return Boolean(!isNaN(parseInt(value, 10)) && isFinite(value));
+
+    case 'float':    return Boolean(!isNaN(parseFloat(value)) && isFinite(value));
+
+    case 'hash':
+      if (value === Object(value)) {  //is an object.
+        for (var h in value) {
+          if (value.hasOwnProperty(h) && value[h]) { return true; }  //we only need 1 checkbox selected.
+        }
+      }
+      return false;
+
+    default:         return Boolean(value);
+
+  }
+
+}
+
+/*
+ * Returns false if the field has a value that failed to parse, such as an
+ * invalid date or a decimal field that isn't a number. Its own validations
+ * report these, so there's nothing to compare.
+ */
+function isComparableValue (definition) {
+
+  var value = definition.value;
+
+  if (value instanceof Date)                              { return !isNaN(value.getTime());   }
+  if (typeof value === 'number')                          { return isFinite(value);           }
+  if (decimalDataTypes.indexOf(definition.dataType) > -1) { return decimals.isDecimal(value); }
+
+  return true;
+
+}
+
+/*
+ * Compares the values of two fields and returns a negative number, zero or a
+ * positive number, or null if the values can't be compared. Numbers and
+ * decimals are compared exactly, dates by their time and strings by their
+ * characters. Both values must have passed isComparableValue().
+ */
+function compareValues (definition, otherDefinition) {
+
+  var a         = definition.value;
+  var b         = otherDefinition.value;
+  var isNumeric = function (value, dataType) {
+    return (typeof value === 'number' || (decimalDataTypes.indexOf(dataType) > -1 && decimals.isDecimal(value)));
+  };
+
+  if (a instanceof Date && b instanceof Date) { return a.getTime() - b.getTime(); }
+
+  if (isNumeric(a, definition.dataType) && isNumeric(b, otherDefinition.dataType)) { return decimals.compare(a, b); }
+
+  if (typeof a === 'string' && typeof b === 'string') { return (a === b ? 0 : (a < b ? -1 : 1)); }
+
+  return null;
+
+}
+
+/*
+ * Returns the options of the 'password-hash' transform with the defaults filled
+ * in. Throws if any of them are invalid.
+ */
+function getPasswordHashOptions (options) {
+
+  var hashOptions = passwords.getOptions(options);
+
+  if (hashOptions.error) {
+    throw new ErrorNinja('password-hash-invalid-option', {
+      option: hashOptions.error,
+      value:  (options ? options[hashOptions.error] : null)
+    });
+  }
+
+  return hashOptions;
+
+}
+
+/*
+ * Returns the options of the 'digest' transform with the defaults filled in and
+ * the HMAC key looked up by name. Throws if any of them are invalid.
+ */
+function getDigestOptions (options, hmacKeys) {
+
+  options = extender.defaults({
+    algorithm:  'sha256',
+    encoding:   'hex',
+    hmac:       null,
+    salt:       false,
+    saltLength: 16
+  }, options);
+
+  var invalidOption = null;
+
+  if (crypto.getHashes().indexOf(options.algorithm) === -1)  { invalidOption = 'algorithm';  }
+  else if (digestEncodings.indexOf(options.encoding) === -1) { invalidOption = 'encoding';   }
+  else if (options.hmac !== null && typeof options.hmac !== 'string') { invalidOption = 'hmac'; }
+  else if (typeof options.saltLength !== 'number' || options.saltLength < 1 || Math.floor(options.saltLength) !== options.saltLength) {
+    invalidOption = 'saltLength';
+  }
+
+  if (invalidOption) {
+    throw new ErrorNinja('digest-invalid-option', {
+      option: invalidOption,
+      value:  options[invalidOption]
+    });
+  }
+
+  // The key itself never appears in the definition, only its name.
+  options.hmacKey = null;
+
+  if (options.hmac) {
+    if (!hmacKeys || !Object.prototype.hasOwnProperty.call(hmacKeys, options.hmac) || !hmacKeys[options.hmac]) {
+      throw new ErrorNinja('digest-unknown-hmac-key', {
+        hmac: options.hmac
+      });
+    }
+    options.hmacKey = hmacKeys[options.hmac];
+  }
+
+  return options;
+
+}
+
+/*
+ * Creates a digest of the value using the options from getDigestOptions(). If
+ * the salt option is set a random salt is prepended to the value and
+ * { digest, salt } is returned, otherwise just the digest.
+ */
+function createDigest (value, options) {
+
+  var algo = (options.hmacKey ?
+    crypto.createHmac(options.algorithm, options.hmacKey) :
+    crypto.createHash(options.algorithm));
+  var salt = (options.salt ? crypto.randomBytes(options.saltLength) : null);
+
+  if (salt) { algo.update(salt); }
+  algo.update(String(value));
+
+  var digest = algo.digest(options.encoding);
+
+  if (!salt) { return digest; }
+
+  return {
+    digest: digest,
+    salt:   salt.toString(options.encoding)
+  };
+
+}
+
+/*
+ * Checks the choices given to a radio field and typecasts each of them to the
+ * choice type, so they can be compared with the typecast field value.
+ */
+function compileRadioChoices (compiled) {
+
+  var choiceType = validDataTypes[compiled.choiceType || 'string'];
+
+  // Is the choice type valid?
+  if (radioChoiceTypes.indexOf(choiceType) === -1) {
+    throw new ErrorNinja('radio-invalid-choice-type', {
+      fieldName:  compiled.fieldName,
+      choiceType: compiled.choiceType,
+      validTypes: radioChoiceTypes
+    });
+  }
+
+  // We must have a list of choices.
+  if (Object.prototype.toString.call(compiled.choices) !== '[object Array]') {
+    throw new ErrorNinja('radio-invalid-choices', {
+      fieldName: compiled.fieldName,
+      choices:   compiled.choices
+    });
+  }
+
+  compiled.choiceType = choiceType;
+  compiled.choices    = compiled.choices.map(function (choice) {
+
+    if (compiled.typecasting === false) { return choice; }
+
+    // The choices must all be of the choice type.
+    var typecastChoice = typecastValue(choice, choiceType);
+    if (typecastChoice === typeMismatch) {
+      throw new ErrorNinja('radio-invalid-choices', {
+        fieldName:  compiled.fieldName,
+        choices:    compiled.choices,
+        choiceType: choiceType
+      });
+    }
+
+    return typecastChoice;
+
+  });
+
+}
+
+/*
+ * Checks the 'formats' and 'timezone' properties of a date, time or datetime
+ * field, and normalises the formats to an array. Throws if either is invalid.
+ */
+function compileDateFormats (compiled) {
+
+  var formats = [].concat(compiled.formats || 'iso');
+
+  for (var f = 0, flen = formats.length ; f < flen ; f++) {
+    if (!dates.isValidFormat(formats[f])) {
+      throw new ErrorNinja('invalid-date-format', { fieldName: compiled.fieldName, format: formats[f] });
+    }
+  }
+
+  compiled.formats  = formats;
+  compiled.timezone = compiled.timezone || 'UTC';
+
+  // Intl throws a RangeError for timezones it doesn't know about.
+  try {
+    dates.getTimezoneOffset(compiled.timezone);
+  } catch (err) {
+    throw new ErrorNinja('invalid-timezone', { fieldName: compiled.fieldName, timezone: compiled.timezone });
+  }
+
+}
+
+/*
+ * Checks the 'country' property of a telephone field, which is the region code
+ * used for national numbers e.g. 'GB'. Throws if we don't know the country.
+ */
+function compileTelephoneCountry (compiled) {
+
+  if (!compiled.country) {
+    compiled.country = null;
+    return;
+  }
+
+  if (!telephones.getCountry(compiled.country)) {
+    throw new ErrorNinja('invalid-telephone-country', { fieldName: compiled.fieldName, country: compiled.country });
+  }
+
+  compiled.country = String(compiled.country).toUpperCase();
+
+}
+
+/*
+ * Checks the 'precision' and 'scale' properties of a decimal or currency field.
+ * Currency fields default to the number of minor units of their 'currency', or
+ * 2 decimal places. Throws if either property is invalid.
+ */
+function compileDecimalScale (compiled) {
+
+  if (compiled.dataType === 'currency') {
+    var currency = decimals.getCurrency(compiled.currency);
+    if (compiled.currency) { compiled.currency = String(compiled.currency).toUpperCase(); }
+    if (typeof compiled.scale !== 'number') { compiled.scale = (currency ? currency.scale : 2); }
+  }
+
+  var scale     = (typeof compiled.scale === 'undefined' ? null : compiled.scale);
+  var precision = (typeof compiled.precision === 'undefined' ? null : compiled.precision);
+  var isInvalid = function (number) {
+    return (number !== null && (typeof number !== 'number' || number < 0 || Math.floor(number) !== number));
+  };
+
+  if (isInvalid(scale) || isInvalid(precision) || (precision !== null && scale !== null && scale > precision)) {
+    throw new ErrorNinja('invalid-decimal-scale', { fieldName: compiled.fieldName, precision: precision, scale: scale });
+  }
+
+  compiled.scale     = scale;
+  compiled.precision = precision;
+
+}
+
+/*
+ * Returns the value of a decimal or currency field as a decimal string, using
+ * the separators of the field or the form's locale. Currency values are padded
+ * to the field's scale. Values that aren't numbers are kept as strings, so the
+ * 'decimal' validation can report them.
+ */
+function parseDecimalValue (value, definition, locale) {
+
+  var separators = decimals.getSeparators(locale);
+  var decimal    = definition.decimalSeparator || separators.decimal;
+  var thousands  = (definition.thousandsSeparator ? [].concat(definition.thousandsSeparator) : separators.thousands);
+  var parsed     = decimals.parse(value, decimal, thousands);
+
+  if (parsed === null) { return String(value); }
+
+  if (definition.dataType === 'currency' && decimals.countDigits(parsed).fraction <= definition.scale) {
+    parsed = decimals.toScale(parsed, definition.scale);
+  }
+
+  return parsed;
+
+}
+
+/*
+ * Returns the given date range bound as a Date. Bounds can be Dates, numbers
+ * of milliseconds, relative strings like '-18y' or 'today' (except for time
+ * fields) or strings in the ISO format of the field's data type. For date
+ * fields the bound is moved to the start of its day. Throws if it's invalid.
+ */
+function parseDateBound (bound, definition) {
+
+  var date = null;
+
+  if (bound instanceof Date) {
+    date = bound;
+  } else if (typeof bound === 'number') {
+    date = new Date(bound);
+  } else if (typeof bound === 'string') {
+    if (definition.dataType !== 'time') { date = dates.parseRelative(bound, definition.timezone); }
+    if (!date) { date = dates.parse(bound, definition.dataType, ['iso'], definition.timezone); }
+  }
+
+  if (!date || isNaN(date.getTime())) {
+    throw new ErrorNinja('date-range-invalid-bound', { fieldName: definition.fieldName, bound: bound });
+  }
+
+  return (definition.dataType === 'date' ? dates.startOfDay(date, definition.timezone) : date);
+
+}
+
+/*
+ * Converts a submitted file, e.g. { filename, size, mime, data } from Foval
+ * Client, into an object containing the decoded data URL as a Buffer and the
+ * mime type detected from its contents. Returns null if no file was given.
+ */
+function parseFileValue (input) {
+
+  // No file selected.
+  if (!input || typeof input !== 'object' || (!input.filename && !input.data)) { return null; }
+
+  var filename     = (input.filename ? String(input.filename) : null);
+  var extMatch     = (filename ? filename.match(/\.([^.\/\\]+)$/) : null);
+  var declaredMime = normaliseMimeType(input.mime || input.mimeType || null);
+  var buffer       = null;
+
+  // Decode the data URL.
+  if (Buffer.isBuffer(input.data)) {
+    buffer = input.data;
+  } else if (typeof input.data === 'string') {
+    var dataMatch = input.data.match(/^data:([^,]*?)(;base64)?,([\s\S]*)$/i);
+    if (dataMatch) {
+      buffer       = (dataMatch[2] ? Buffer.from(dataMatch[3], 'base64') : decodeDataURL(dataMatch[3]));
+      declaredMime = declaredMime || normaliseMimeType(dataMatch[1].split(';')[0] || null);
+    }
+  }
+
+  var signature = detectFileSignature(buffer);
+
+  return {
+    filename:     filename,
+    extension:    (extMatch ? extMatch[1].toLowerCase() : null),
+    size:         (buffer ? buffer.length : parseInt(input.size, 10) || 0),
+    mime:         (signature ? signature.mime : declaredMime),
+    declaredMime: declaredMime,
+    detectedMime: (signature ? signature.mime : null),
+    buffer:       buffer
+  };
+
+}
+
+/*
+ * Returns the percent-encoded data of a data URL as a Buffer, or null if it
+ * isn't encoded correctly, which the 'file' validation reports as 'no-data'.
+ */
+function decodeDataURL (data) {
+  try {
+    return Buffer.from(decodeURIComponent(data));
+  } catch (err) {
+    return null;
+  }
+}
+
+/*
+ * Returns the mime type in lowercase without any parameters, with common
+ * aliases converted to their standard type.
+ */
+function normaliseMimeType (mime) {
+  if (!mime) { return null; }
+  mime = String(mime).split(';')[0].trim().toLowerCase();
+  return mimeTypeAliases[mime] || mime || null;
+}
+
+/*
+ * Returns true if the mime type matches any of the given patterns, which can
+ * end in a wildcard e.g. 'image/*'.
+ */
+function matchMimeType (mime, patterns) {
+
+  for (var p = 0, plen = patterns.length ; p < plen ; p++) {
+    var pattern = normaliseMimeType(patterns[p]);
+
+    if (pattern === mime) { return true; }
+    if (pattern.slice(-1) === '*' && mime.indexOf(pattern.slice(0, -1)) === 0) { return true; }
+  }
+
+  return false;
+
+}
+
+/*
+ * Returns true if we know the magic bytes for the given mime type.
+ */
+function hasFileSignature (mime) {
+
+  for (var s = 0, slen = fileSignatures.length ; s < slen ; s++) {
+    if (fileSignatures[s].mime === mime) { return true; }
+  }
+
+  return false;
+
+}
+
+/*
+ * Returns the file signature matching the magic bytes at the start of the
+ * buffer, or null if the contents can't be identified.
+ */
+function detectFileSignature (buffer) {
+
+  if (!buffer) { return null; }
+
+  for (var s = 0, slen = fileSignatures.length ; s < slen ; s++) {
+    var signature = fileSignatures[s];
+    var isMatch   = true;
+
+    for (var m = 0, mlen = signature.match.length ; m < mlen ; m++) {
+      var offset = signature.match[m][0];
+      var hex    = signature.match[m][1];
+
+      if (buffer.toString('hex', offset, offset + hex.length / 2) !== hex) {
+        isMatch = false;
+        break;
+      }
+    }
+
+    if (isMatch) { return signature; }
+  }
+
+  return null;
+
+}
+
+/*
+ * Returns the value typecast to the given (normalised) data type, or the
+ * 'typeMismatch' object if it can't be typecast without losing part of it,
+ * e.g. '12abc' for an int or an object for a string. Empty numbers become null.
+ * The form's true and false values are used for booleans and checkboxes if
+ * it's given. Data types that don't need typecasting are returned as-is.
+ */
+function typecastValue (value, dataType, form) {
+
+  var trueValues  = (form ? form.booleanTrueValues  : booleanTrueValues);
+  var falseValues = (form ? form.booleanFalseValues : booleanFalseValues);
+
+  // Only files can be given as objects, everything else must be a single value.
+  if (value !== null && typeof value === 'object' && dataType !== 'file') { return typeMismatch; }
+
+  switch (dataType) {
+    case 'string':
+    case 'email':
+    case 'telephone':
+    case 'url':
+    case 'password':  return (value === null ? '' : String(value));
+
+    case 'int':
+      if (value === null || value === '') { return null; }
+      if (typeof value === 'number') { return (isFinite(value) && Math.floor(value) === value ? value : typeMismatch); }
+      return (typeof value === 'string' && value.match(/^\s*[+\-]?\d+\s*$/) ? parseInt(value, 10) : typeMismatch);
+
+    case 'float':
+      if (value === null || value === '') { return null; }
+      if (typeof value === 'number') { return (isFinite(value) ? value : typeMismatch); }
+      return (typeof value === 'string' && value.match(/^\s*[+\-]?(?:\d+\.?\d*|\.\d+)(?:e[+\-]?\d+)?\s*$/i) ? parseFloat(value) : typeMismatch);
+
+    case 'boolean':   return parseBooleanValue(value, trueValues, falseValues, null);
+    case 'checkbox':  return parseCheckboxValue(value, trueValues.concat(form ? form.checkboxTrueValue : []), falseValues);
+    case 'file':      return parseFileValue(value);
+  }
+
+  return value;
+
+}
+
+/*
+ * Returns true or false if the value is one of the true or false values (case
+ * insensitive), or the empty value if the value is empty. Otherwise returns the
+ * 'typeMismatch' object.
+ */
+function parseBooleanValue (value, trueValues, falseValues, emptyValue) {
+
+  if (typeof value === 'boolean') { return value; }
+  if (value === null || value === '') { return emptyValue; }
+
+  var str     = String(value).trim().toLowerCase();
+  var isMatch = function (candidate) { return (String(candidate).toLowerCase() === str); };
+
+  if (trueValues.some(isMatch))  { return true;  }
+  if (falseValues.some(isMatch)) { return false; }
+
+  return typeMismatch;
+
+}
+
+/*
+ * Returns false if the checkbox value is empty or one of the false values, and
+ * true for anything else. Checkboxes are often submitted with their own value,
+ * e.g. 'newsletter=newsletter' as with the value attribute of an HTML checkbox.
+ */
+function parseCheckboxValue (value, trueValues, falseValues) {
+  var isChecked = parseBooleanValue(value, trueValues, falseValues, false);
+  return (isChecked === typeMismatch ? true : isChecked);
+}
+
+/*
+ * Returns the starting value of a field from its raw value, using the default
+ * value for the data type if the raw value is missing. Returns the
+ * 'typeMismatch' object if the raw value can't be typecast.
+ */
+function typecastFieldValue (form, compiled, rawValue) {
+
+  var isEmpty    = (typeof rawValue === 'undefined' || rawValue === null || rawValue === '');
+  var startValue = (typeof rawValue === 'undefined' ? defaultValues[compiled.dataType] : rawValue);
+
+  // Nullable fields have no value rather than an empty one.
+  if (compiled.nullable && isEmpty) { return null; }
+
+  // Missing values are already the right type, and hashes are typecast when they're collected.
+  if (compiled.typecasting === false || typeof rawValue === 'undefined' || compiled.dataType === 'hash') {
+    return startValue;
+  }
+
+  // Radio values are cast to the type of the choices, unless nothing was selected.
+  if (compiled.dataType === 'radio') {
+    return (startValue === null || startValue === '' ? null : typecastValue(startValue, compiled.choiceType, form));
+  }
+
+  // Decimal values are kept as strings so they're exact, an empty value means no number.
+  if (decimalDataTypes.indexOf(compiled.dataType) > -1) {
+    if (startValue === null || startValue === '') { return null; }
+    if (typeof startValue === 'object')           { return typeMismatch; }
+    return parseDecimalValue(startValue, compiled, form.locale);
+  }
+
+  // Date values are parsed using the field's formats, an empty value means no date.
+  if (dateDataTypes.indexOf(compiled.dataType) > -1) {
+    if (startValue === null || startValue === '')                          { return null; }
+    if (typeof startValue === 'object' && !(startValue instanceof Date))  { return typeMismatch; }
+    return dates.parse(startValue, compiled.dataType, compiled.formats, compiled.timezone);
+  }
+
+  return typecastValue(startValue, compiled.dataType, form);
+
+}
+
+/*
+ * Returns a hash of { value, itemTypeMismatches } for an array field, where
+ * each item has been typecast using the element definition. A single value is
+ * treated as an array of one item, and an object keyed by index as an array.
+ * The value is the 'typeMismatch' object if the raw value is any other object.
+ */
+function typecastArrayValue (form, compiled, rawValue) {
+
+  var isEmpty = (typeof rawValue === 'undefined' || rawValue === null || rawValue === '');
+
+  if (isEmpty)                        { return { value: (compiled.nullable ? null : []), itemTypeMismatches: [] }; }
+  if (compiled.typecasting === false) { return { value: rawValue, itemTypeMismatches: [] };                       }
+
+  // Objects can't be arrays, unless they're keyed by index.
+  var list = listIndexedValues(rawValue);
+  if (!list && typeof rawValue === 'object') { return { value: typeMismatch, itemTypeMismatches: [] }; }
+
+  var values = (list || [rawValue]).map(function (item) {
+    return typecastFieldValue(form, compiled.element, item);
+  });
+
+  return {
+    value: values.map(function (value) { return (value === typeMismatch ? null : value); }),
+    itemTypeMismatches: values.map(function (value) { return (value === typeMismatch); })
+  };
+
+}
+
+/*
+ * Returns the definition of a field as it's stored in a form, with the state
+ * of the field added to a copy of the compiled definition.
+ */
+function createFieldState (compiled, startValue, rawValue, isTypeMismatch) {
+
+  return extender.merge({
+    // Overwritable properties.
+    fieldName: null,
+    dataType:  null,
+    value:     startValue,  //setting this when defining a field acts as a default value.
+    required:  null,
+    trim:      null,
+    modify:    null,
+    transforms:  {
+      before: {},
+      after:  {}
+    },
+    validations: {}
+  }, copyDefinition(compiled), {
+    // Uneditable properties.
+    rawValue:       rawValue,
+    isValid:        null,   //null = not checked.
+    isSkipped:      false,
+    isTypeMismatch: isTypeMismatch,
+    extraData:      {}
+  });
+
+}
+
+/*
+ * Compiles the element definition of an array field, which is used for each of
+ * the items in the array. Throws if the element type is invalid.
+ */
+function compileArrayElement (compiled) {
+
+  var elementType = validDataTypes[compiled.elementType || 'string'];
+
+  // Arrays can't contain arrays or hashes.
+  if (!elementType || elementType === 'array' || elementType === 'hash') {
+    throw new ErrorNinja('invalid-element-type', {
+      fieldName:   compiled.fieldName,
+      elementType: compiled.elementType
+    });
+  }
+
+  compiled.elementType = elementType;
+  compiled.element     = compileDefinition(extender.merge(compiled.element || {}, {
+    fieldName: compiled.fieldName,
+    dataType:  elementType,
+    label:     (compiled.element && compiled.element.label) || compiled.label
+  }));
+
+  // The array depends on whatever its items depend on.
+  compiled.dependsOn = [].concat(compiled.dependsOn || [], compiled.element.dependsOn);
+
+  // The array is sensitive if its items are.
+  if (typeof compiled.sensitive !== 'boolean') { compiled.sensitive = compiled.element.sensitive; }
+
+}
+
+/*
+ * Compiles the field definitions of a group field, which are used for each of
+ * its records. Throws if the fields aren't valid definitions, or if they depend
+ * on each other in a circle.
+ */
+function compileGroupFields (compiled) {
+
+  if (Object.prototype.toString.call(compiled.fields) !== '[object Array]' || !compiled.fields.length) {
+    throw new ErrorNinja('invalid-group-fields', {
+      fieldName: compiled.fieldName,
+      fields:    compiled.fields
+    });
+  }
+
+  var fields = {};
+
+  compiled.fields = compiled.fields.map(function (input) {
+
+    var field = compileDefinition(input);
+
+    if (fields.hasOwnProperty(field.fieldName)) {
+      throw new ErrorNinja('duplicate-field', { fieldName: compiled.fieldName + '.' + field.fieldName });
+    }
+
+    fields[field.fieldName] = field;
+    return field;
+
+  });
+
+  // The fields of a record can only depend on, and have rules about, the other fields of the same record.
+  groupFieldsByDependency(fields);
+  compileRules(compiled.rules, fields);
+
+  if (typeof compiled.repeatable !== 'boolean') { compiled.repeatable = true; }
+
+}
+
+/*
+ * Returns true if the key can safely be copied onto an object.
+ */
+function isSafeKey (key) {
+  return (unsafeKeys.indexOf(String(key)) === -1);
+}
+
+/*
+ * Returns true if the value is a plain object, rather than an array, a buffer,
+ * a date etc.
+ */
+function isPlainObject (value) {
+
+  if (Object.prototype.toString.call(value) !== '[object Object]') { return false; }
+
+  var proto = Object.getPrototypeOf(value);
+  return (proto === Object.prototype || proto === null);
+
+}
+
+/*
+ * Returns a copy of the submitted data with any unsafe keys removed from its
+ * plain objects, at any depth. Other values, such as the buffers of files, are
+ * kept as they are.
+ */
+function stripUnsafeKeys (value) {
+
+  if (Object.prototype.toString.call(value) === '[object Array]') { return value.map(stripUnsafeKeys); }
+  if (!isPlainObject(value)) { return value; }
+
+  var copy = {};
+
+  Object.keys(value).filter(isSafeKey).forEach(function (key) {
+    copy[key] = stripUnsafeKeys(value[key]);
+  });
+
+  return copy;
+
+}
+
+/*
+ * Returns the value as an array if it's an array or an object keyed by index,
+ * e.g. { '0': 'a', '1': 'b' } as submitted by some body parsers. The values are
+ * put in order of their index. Returns null for anything else.
+ */
+function listIndexedValues (value) {
+
+  if (Object.prototype.toString.call(value) === '[object Array]') { return value; }
+  if (!isPlainObject(value)) { return null; }
+
+  var keys = Object.keys(value);
+
+  if (!keys.length || !keys.every(function (key) { return /^\d+$/.test(key); })) { return null; }
+
+  return keys.sort(function (a, b) { return parseInt(a, 10) - parseInt(b, 10); }).map(function (key) {
+    return value[key];
+  });
+
+}
+
+/*
+ * Returns the segments of a raw key in bracket notation after the field name,
+ * e.g. 'items[0][name]' gives ['0', 'name'], or null if the key isn't a sub-key
+ * of the field or any of its segments are unsafe, e.g. 'items[__proto__]'.
+ */
+function parseSubKeyPath (key, fieldName) {
+
+  var rest = key.substr(fieldName.length);
+
+  if (key.substr(0, fieldName.length) !== fieldName || !rest.match(/^(\[[^\[\]]*\])+$/)) { return null; }
+
+  var segments = rest.slice(1, -1).split('][');
+  return (segments.every(isSafeKey) ? segments : null);
+
+}
+
+/*
+ * Returns the data of a group field that was submitted as separate keys in
+ * bracket notation, e.g. 'items[0][name]', as nested objects, or null if there
+ * aren't any. Empty brackets at the end of a key add to a list, e.g.
+ * 'items[0][tags][]'. Keys with unsafe segments are ignored.
+ */
+function collectGroupData (rawData, fieldName) {
+
+  var hasOwn = Object.prototype.hasOwnProperty;
+  var result = null;
+
+  for (var key in rawData) {
+    if (!hasOwn.call(rawData, key)) { continue; }
+
+    var segments = parseSubKeyPath(key, fieldName);
+    if (!segments) { continue; }
+
+    // Empty brackets only make sense at the end of the key.
+    var isList = (segments[segments.length - 1] === '');
+    if (isList) { segments.pop(); }
+    if (!segments.length || segments.indexOf('') > -1) { continue; }
+
+    // Walk down to the object that holds the value, creating it if necessary.
+    var node = result = result || {};
+    for (var s = 0, slen = segments.length - 1 ; s < slen ; s++) {
+      if (!hasOwn.call(node, segments[s]) || !isPlainObject(node[segments[s]])) { node[segments[s]] = {}; }
+      node = node[segments[s]];
+    }
+
+    var last = segments[segments.length - 1];
+    node[last] = (isList ? [].concat(hasOwn.call(node, last) ? node[last] : [], rawData[key]) : rawData[key]);
+  }
+
+  return result;
+
+}
+
+/*
+ * Returns a hash of { value, subForms } for a group field, where each record
+ * has its own form using the group's field definitions, so it can be
+ * validated like a form of its own. The value of a repeatable group is an
+ * array of records, otherwise it's a single record. The value is the
+ * 'typeMismatch' object if the raw value isn't made of records.
+ */
+function typecastGroupValue (form, compiled, rawValue) {
+
+  var isEmpty = (typeof rawValue === 'undefined' || rawValue === null || rawValue === '');
+
+  if (isEmpty) { return { value: (compiled.repeatable && !compiled.nullable ? [] : null), subForms: [] }; }
+
+  var data    = stripUnsafeKeys(rawValue);
+  var records = (compiled.repeatable ? listIndexedValues(data) : [data]);
+
+  // Every record must be a hash of field values.
+  if (!records || !records.every(isPlainObject)) { return { value: typeMismatch, subForms: [] }; }
+
+  var subForms = records.map(function (record) {
+    return createSubForm(form, compiled, record);
+  });
+  var values   = subForms.map(function (subForm) {
+    return subForm.generateFieldHash();
+  });
+
+  return {
+    value:    (compiled.repeatable ? values : values[0]),
+    subForms: subForms
+  };
+
+}
+
+/*
+ * Returns a new form for one record of a group field, with the same options as
+ * the parent form and the group's field definitions.
+ */
+function createSubForm (form, compiled, record) {
+
+  var subForm = new Foval(record, {
+    stopOnInvalid:       form.stopOnInvalid,
+    checkboxTrueValue:   form.checkboxTrueValue,
+    booleanTrueValues:   form.booleanTrueValues,
+    booleanFalseValues:  form.booleanFalseValues,
+    urlsRequireProtocol: form.urlsRequireProtocol,
+    locale:              form.locale,
+    fallbackLocale:      form.fallbackLocale,
+    unknownFields:       form.unknownFields,
+    mxResolver:          form.mxResolver,
+    hostResolver:        form.hostResolver,
+    hmacKeys:            form.hmacKeys,
+    rules:               compiled.rules
+  });
+
+  compiled.fields.forEach(function (field) {
+    subForm.useDefinition(field);
+  });
+
+  return subForm;
+
+}
+
+/*
+ * Adds a form-level validator to the given list as { name, fn, skipIfInvalid }.
+ * Throws if the name is already in the list or can't be used, or if the
+ * function is missing.
+ */
+function addValidatorTo (validators, name, fn, options) {
+
+  options = extender.defaults({
+    skipIfInvalid: false
+  }, options);
+
+  // The name is used as the key in the field results, so it can't be the same as a validation.
+  if (typeof name !== 'string' || !name || typeof fn !== 'function' ||
+      Foval.prototype.validations.hasOwnProperty(name) || reservedResultKeys.indexOf(name) > -1) {
+    throw new ErrorNinja('invalid-validator', { name: name });
+  }
+
+  // Have we already added this validator?
+  for (var v = 0, vlen = validators.length ; v < vlen ; v++) {
+    if (validators[v].name === name) { throw new ErrorNinja('duplicate-validator', { name: name }); }
+  }
+
+  validators.push({
+    name:          name,
+    fn:            fn,
+    skipIfInvalid: Boolean(options.skipIfInvalid)
+  });
+
+}
+
+/*
+ * Copies the results of a form-level validator into the validation results,
+ * under the name of the validator, and returns false if any of them failed.
+ * The results are keyed by field name, or '_form' for errors about the whole
+ * form, and failed results with the 'warning' severity don't count. Fields
+ * without a message are given the one from the catalogue. Throws if a result
+ * is for a field that doesn't exist.
+ */
+function storeValidatorResults (form, name, results, validationResults) {
+
+  var isValid = true;
+
+  // No results to store.
+  if (!results || typeof results !== 'object') { return isValid; }
+
+  for (var key in results) {
+    if (!results.hasOwnProperty(key)) { continue; }
+
+    var isFormResult = (key === '_form');
+    var definition   = form.definitions[key];
+
+    if (!isFormResult && !form.definitions.hasOwnProperty(key)) {
+      throw new ErrorNinja('validator-invalid-field', { validator: name, fieldName: key });
+    }
+
+    var input   = results[key] || {};
+    var passed  = Boolean(input.passed);
+    var warning = (!passed && input.severity === 'warning');
+    var message = (passed ? null : input.message || (isFormResult ? null : form.getMessage(definition, name, input.reason, input.params)));
+
+    // Fields that weren't processed, and the form itself, may not have a result yet.
+    var result = validationResults[key] = validationResults[key] || { isValid: true };
+
+    result[name] = extender.merge({}, input, {
+      passed:  passed,
+      reason:  input.reason || null,
+      message: message || null
+    });
+
+    // Warnings are reported but don't make the field or form invalid.
+    if (!passed && !warning) {
+      result.isValid = false;
+      isValid        = false;
+      if (!isFormResult) { definition.isValid = false; }
+    }
+  }
+
+  return isValid;
+
+}
+
+/*
+ * Returns an array of the locales to try in order, e.g. 'fr-CA' gives
+ * ['fr-ca', 'fr', 'en'] when the fallback locale is 'en'.
+ */
+function listLocales (locale, fallbackLocale) {
+
+  var locales = [];
+  var add     = function (item) {
+    if (!item) { return; }
+    item = String(item).toLowerCase().replace(/_/g, '-');
+    if (locales.indexOf(item) === -1) { locales.push(item); }
+    if (item.indexOf('-') > -1) { add(item.split('-')[0]); }
+  };
+
+  add(locale);
+  add(fallbackLocale);
+
+  return locales;
+
+}
+
+/*
+ * Returns the label for the field, which can be a string or a hash of locales,
+ * otherwise we use the field name.
+ */
+function resolveLabel (definition, locales) {
+
+  var label = definition.label;
+
+  if (label && typeof label === 'object') {
+    for (var l = 0, llen = locales.length ; l < llen ; l++) {
+      if (typeof label[locales[l]] === 'string') { return label[locales[l]]; }
+    }
+    return definition.fieldName;
+  }
+
+  return label || definition.fieldName;
+
+}
+
+/*
+ * Calls a function provided by the user with the given arguments and a 'finish'
+ * callback on the end. If the function returns a promise instead, the resolved
+ * value is passed to the callback as the second parameter. Either way the
+ * callback is only ever called once, whichever finishes first.
+ * callback(err, results...);
+ */
+function callUserFunction (fn, args, callback) {
+
+  var finished = false;
+  var finish   = function () {
+    if (finished) { return; }
+    finished = true;
+    return callback.apply(null, arguments);
+  };
+
+  var returned = fn.apply(null, args.concat(finish));
+
+  // Not a promise, so the function will call 'finish' itself.
+  if (!returned || typeof returned.then !== 'function') { return; }
+
+  // Break out of the promise chain so errors thrown by the callback aren't swallowed.
+  returned.then(function (result) {
+    process.nextTick(function () { finish(null, result); });
+  }, function (err) {
+    process.nextTick(function () { finish(err || new Error('The promise was rejected without an error.')); });
+  });
+
+}
+
+/*
+ * Calls one of the transforms or validations with the given arguments and a
+ * callback on the end. If it throws before calling back, e.g. because its
+ * options are invalid, the error is passed to the callback instead of crashing
+ * the process. Errors thrown once it has called back come from the callback
+ * itself, so they're thrown on as they are.
+ * callback(err, results...);
+ */
+function callCatchingErrors (fn, args, callback) {
+
+  var finished = false;
+  var finish   = function () {
+    finished = true;
+    return callback.apply(null, arguments);
+  };
+
+  try {
+    fn.apply(null, args.concat(finish));
+  } catch (err) {
+    if (finished) { throw err; }
+    return finish(err);
+  }
+
+}
+
+/*
+ * Wraps a DNS resolver, e.g. dns.lookup(), so it passes back an 'ETIMEOUT'
+ * error if it hasn't finished within the timeout (in milliseconds). Anything it
+ * passes back after that is ignored.
+ */
+function limitResolverTime (resolver, timeout) {
+  return function () {
+
+    var args     = Array.prototype.slice.call(arguments);
+    var callback = args.pop();
+    var finished = false;
+    var finish   = function () {
+      if (finished) { return; }
+      finished = true;
+      clearTimeout(timer);
+      return callback.apply(null, arguments);
+    };
+
+    var timer = setTimeout(function () {
+      var err  = new Error('The DNS lookup timed out.');
+      err.code = 'ETIMEOUT';
+      finish(err);
+    }, timeout);
+
+    resolver.apply(null, args.concat(finish));
+
+  };
+}
+
+/*
+ * Throws if the DNS lookup timeout isn't a positive number.
+ */
+function checkLookupTimeout (definition, timeout) {
+  if (typeof timeout !== 'number' || !(timeout > 0)) {
+    throw new ErrorNinja('lookup-invalid-timeout', { fieldName: definition.fieldName, timeout: timeout });
+  }
+}
+
+/*
+ * Returns a shallow copy of the data given to the constructor. Each key is
+ * defined as a property of its own, so a '__proto__' key stays a key rather
+ * than changing the prototype of the copy.
+ */
+function copyRawData (data) {
+
+  var copy = {};
+
+  Object.keys(data).forEach(function (key) {
+    Object.defineProperty(copy, key, { value: data[key], writable: true, enumerable: true, configurable: true });
+  });
+
+  return copy;
+
+}
+
+/*
+ * Returns a promise for the result of the given validate function, which is
+ * resolved with a hash rather than multiple parameters.
+ */
+function promiseValidation (fn) {
+  return new Promise(function (resolve, reject) {
+    fn(function (err, isFormValid, validationResults, fieldHash, form) {
+
+      if (err) { return reject(err); }
+
+      return resolve({
+        isFormValid:       isFormValid,
+        validationResults: validationResults,
+        fieldHash:         fieldHash,
+        form:              form
+      });
+
+    });
+  });
+}
+
+/*
+ * Constructor. Takes in the form data and a number of options before setting up
+ * the instance of Foval.
+ */
+function Foval (data, options) {
+  data = data || {};
+
+  options = extender.defaults({
+    id:                  null,     //an ID to identify this Foval instance by.
+    stopOnInvalid:       true,     //set false to run all validations even if one fails.
+    checkboxTrueValue:   'ON',     //alter the string value that counts are true, does not affect values given as bools. Can be an array.
+    booleanTrueValues:   booleanTrueValues,   //the string values that count as true for boolean and checkbox fields (case insensitive).
+    booleanFalseValues:  booleanFalseValues,  //the string values that count as false for boolean and checkbox fields (case insensitive).
+    urlsRequireProtocol: true,     //set false to validate all URL fields even if they don't contain protocols.
+    locale:              'en',     //the locale to use for validation messages, e.g. 'fr' or 'fr-CA'.
+    fallbackLocale:      'en',     //the locale to use if a message isn't available in the given locale.
+    unknownFields:       'ignore', //what to do with data for fields that aren't defined: 'ignore', 'strip', 'report' or 'reject'.
+    mxResolver:          null,     //looks up MX records for the 'email' validation's 'checkMx' option, defaults to dns.resolveMx().
+    hostResolver:        null,     //looks up hosts for the 'url' validation's 'resolveHost' option and the 'email' validation's 'checkMx' option, defaults to dns.lookup().
+    hmacKeys:            {},       //secret keys for the 'digest' transform's 'hmac' option, keyed by name.
+    rules:               []        //form-level rules across several fields, e.g. [{ atLeastOneOf: ['phone', 'email'] }].
+  }, options);
+
+  // Is the unknown fields mode valid?
+  if (unknownFieldModes.indexOf(options.unknownFields) === -1) {
+    throw new ErrorNinja('invalid-unknown-fields-mode', {
+      unknownFields: options.unknownFields,
+      validModes:    unknownFieldModes
+    });
+  }
+
+  // Store the options.
+  this.id                     = options.id;
+  this.stopOnInvalid          = options.stopOnInvalid;
+  this.checkboxTrueValue      = options.checkboxTrueValue;
+  this.booleanTrueValues      = options.booleanTrueValues;
+  this.booleanFalseValues     = options.booleanFalseValues;
+  this.urlsRequireProtocol    = options.urlsRequireProtocol;
+  this.locale                 = options.locale;
+  this.fallbackLocale         = options.fallbackLocale;
+  this.unknownFields          = options.unknownFields;
+  this.mxResolver             = options.mxResolver;
+  this.hostResolver           = options.hostResolver;
+  this.hmacKeys               = options.hmacKeys;
+  this.rules                  = compileRules(options.rules);
+
+  // Placeholder values.
+  this.version                = packageJSON.version;
+  this.minFovalClientVersion  = packageJSON.minFovalClientVersion;
+  this.rawData                = copyRawData(data);  //a copy, so defining fields never changes the caller's object, e.g. 'req.body'.
+  this.definitions            = {};
+  this.validators             = [];
+  this.extraData              = {};
+  this.validationResults      = null;  //null = not validated.
+  this.isFormValid            = null;  //null = not validated.
+
+  // The client version comes from the browser, so it may not be a version at all.
+  if (data.__FovalClientVersion && !semver.valid(data.__FovalClientVersion)) {
+    throw new ErrorNinja('invalid-foval-client-version', {
+      clientVersion: String(data.__FovalClientVersion)
+    });
+  }
+
+  // Check the Foval Client version.
+  if (data.__FovalClientVersion && !semver.eq(data.__FovalClientVersion, this.version)) {
+
+    logger.warn('FOVAL WARNING! The client version used to submit this form is out of date.');
+    logger.warn('Foval Client v' + data.__FovalClientVersion);
+    logger.warn('Foval Module v' + this.version);
+
+    // We only throw an error if the client version is REALLY out of date.
+    if (semver.lt(data.__FovalClientVersion, this.minFovalClientVersion)) {
+      throw new ErrorNinja('old-foval-client-version', {
+        clientVersion:    data.__FovalClientVersion,
+        minClientVersion: this.minFovalClientVersion,
+        moduleVersion:    this.version
+      });
+    }
+  }
+
+};
+
+/*
+ * Returns the ID of the Foval instance.
+ */
+Foval.prototype.identify = function () {
+  return this.id;
+};
+
+/*
+ * Define multiple fields.
+ */
+Foval.prototype.defineFields = function (arr) {
+
+  // Define each of the fields in the array.
+  for (var i = 0, ilen = arr.length ; i < ilen ; i++) {
+    this.defineField(arr[i]);
+  }
+
+  // Enable chaining.
+  return this;
+
+};
+
+/*
+ * Define a single field.
+ */
+Foval.prototype.defineField = function (input) {
+
+  var compiled = compileDefinition(input);
+  this.useDefinition(compiled);
+
+  // Remove the field again if it creates a circular dependency.
+  try {
+    groupFieldsByDependency(this.definitions);
+  } catch (err) {
+    delete this.definitions[compiled.fieldName];
+    throw err;
+  }
+
+  // Enable chaining.
+  return this;
+
+};
+
+/*
+ * Adds a field to the form using a definition that has already been compiled,
+ * typecasting the raw value for this form's data.
+ */
+Foval.prototype.useDefinition = function (compiled) {
+
+  // Have we already defined this field?
+  if (this.definitions[compiled.fieldName]) {
+    throw new ErrorNinja('duplicate-field', { fieldName: compiled.fieldName });
+  }
+
+  // The field's results would overwrite the unknown fields in the validation results.
+  if (compiled.fieldName === unknownResultKey) {
+    throw new ErrorNinja('reserved-field-name', { fieldName: compiled.fieldName });
+  }
+
+  var isTypeMismatch = false;
+
+  // Special case typecasting for hash fields.
+  if (compiled.dataType === 'hash') {
+
+    // The hash may already have been submitted as an object, e.g. in a group record.
+    var hashData   = stripUnsafeKeys(this.rawData[compiled.fieldName]);
+    var hashResult = {};
+    var hashKeys   = (isPlainObject(hashData) ? Object.keys(hashData) : []).map(function (subKey) {
+      return { subKey: subKey, value: hashData[subKey] };
+    });
+
+    // Otherwise it has been submitted as 'field[key]'.
+    for (var fieldKey in this.rawData) {
+      if (this.rawData.hasOwnProperty(fieldKey)) {
+
+        var hashKeyMatch = fieldKey.match(compiled.subKeyRegExp);
+
+        if (hashKeyMatch && isSafeKey(hashKeyMatch[1])) {
+          hashKeys.push({ subKey: hashKeyMatch[1], value: this.rawData[fieldKey] });
+        }
+
+      }
+    }
+
+    // Do the conversion, each key of the hash is a checkbox, e.g. 'field[music]=music' means checked.
+    for (var h = 0, hlen = hashKeys.length ; h < hlen ; h++) {
+      var value = typecastValue(hashKeys[h].value, 'checkbox', this);
+
+      // Only objects are a mismatch, there's no way to check a nested hash.
+      if (value === typeMismatch) {
+        isTypeMismatch = true;
+        value          = false;
+      }
+
+      hashResult[hashKeys[h].subKey] = value;
+    }
+
+    // Store the result as a true hash.
+    this.rawData[compiled.fieldName] = hashResult;
+
+  }
+
+  // File fields may have been submitted as separate keys rather than an object.
+  if (compiled.dataType === 'file' && typeof this.rawData[compiled.fieldName] === 'undefined') {
+
+    var fileResult = null;
+    for (var fileKey in this.rawData) {
+      if (this.rawData.hasOwnProperty(fileKey)) {
+
+        var fileKeyMatch = fileKey.match(compiled.subKeyRegExp);
+
+        if (fileKeyMatch && isSafeKey(fileKeyMatch[1])) {
+          fileResult = fileResult || {};
+          fileResult[fileKeyMatch[1]] = this.rawData[fileKey];
+        }
+
+      }
+    }
+
+    // Store the result as a single object.
+    if (fileResult) { this.rawData[compiled.fieldName] = fileResult; }
+
+  }
+
+  // Array fields may have been submitted as 'field[]' or 'field[0]', 'field[1]' etc.
+  if (compiled.dataType === 'array' && typeof this.rawData[compiled.fieldName] === 'undefined') {
+
+    var arrayResult = null;
+    var indexed     = [];
+    for (var arrayKey in this.rawData) {
+      if (this.rawData.hasOwnProperty(arrayKey)) {
+
+        var arrayKeyMatch = arrayKey.match(compiled.subKeyRegExp);
+
+        if (arrayKeyMatch && arrayKeyMatch[1] === '') {
+          arrayResult = (arrayResult || []).concat(this.rawData[arrayKey]);
+        } else if (arrayKeyMatch) {
+          indexed.push({ index: parseInt(arrayKeyMatch[1], 10), value: this.rawData[arrayKey] });
+        }
+
+      }
+    }
+
+    // Indexed keys are put in order of their index.
+    indexed.sort(function (a, b) { return a.index - b.index; }).forEach(function (item) {
+      arrayResult = (arrayResult || []).concat([item.value]);
+    });
+
+    // Store the result as a single array.
+    if (arrayResult) { this.rawData[compiled.fieldName] = arrayResult; }
+
+  }
+
+  // Group fields may have been submitted as 'field[0][subField]' or 'field[subField]'.
+  if (compiled.dataType === 'group' && typeof this.rawData[compiled.fieldName] === 'undefined') {
+
+    var groupResult = collectGroupData(this.rawData, compiled.fieldName);
+
+    // Store the result as nested objects.
+    if (groupResult) { this.rawData[compiled.fieldName] = groupResult; }
+
+  }
+
+  // Do we need to typecast the value? Array fields typecast each of their items, and group fields each of their records.
+  var rawValue           = this.rawData[compiled.fieldName];
+  var itemTypeMismatches = null;
+  var subForms           = null;
+  var startValue;
+
+  if (compiled.dataType === 'array') {
+    var arrayValue     = typecastArrayValue(this, compiled, rawValue);
+    startValue         = arrayValue.value;
+    itemTypeMismatches = arrayValue.itemTypeMismatches;
+  } else if (compiled.dataType === 'group') {
+    var groupValue = typecastGroupValue(this, compiled, rawValue);
+    startValue     = groupValue.value;
+    subForms       = groupValue.subForms;
+  } else {
+    startValue = typecastFieldValue(this, compiled, rawValue);
+  }
+
+  // The value couldn't be typecast, so the field has no value.
+  if (startValue === typeMismatch) {
+    isTypeMismatch = true;
+    startValue     = null;
+  }
+
+  // Save the definition.
+  this.definitions[compiled.fieldName] = createFieldState(compiled, startValue, rawValue, isTypeMismatch);
+  this.definitions[compiled.fieldName].itemTypeMismatches = itemTypeMismatches;
+  this.definitions[compiled.fieldName].subForms           = subForms;
+
+  // Enable changing.
+  return this;
+
+};
+
+/*
+ * Perform the form validation and call the callback with the result. If no
+ * callback is given a promise is returned instead, which resolves with a hash
+ * of { isFormValid, validationResults, fieldHash, form }.
+ * callback(err, success, validationResults, fieldHash, form);
+ */
+Foval.prototype.validate = function (callback) {
+
+  var form          = this;
+  var stopOnInvalid = this.stopOnInvalid;
+
+  // Return a promise if we don't have a callback.
+  if (typeof callback !== 'function') {
+    return promiseValidation(form.validate.bind(form));
+  }
+
+  async.waterfall([
+
+    // First, check each of the fields in turn.
+    function validateFields (next) {
+
+      var validationResults = {};
+      var isFormValid       = true;
+
+      // Keep a reference so the results can be queried once we're done.
+      form.validationResults = validationResults;
+
+      // Check for data that doesn't belong to any of the fields.
+      if (form.unknownFields !== 'ignore') {
+        var unknownFields = form.findUnknownFields();
+
+        // The keys are deleted from our copy of the data, the caller's object is left alone.
+        if (form.unknownFields === 'strip') {
+          unknownFields.forEach(function (key) { delete form.rawData[key]; });
+        }
+
+        else if (unknownFields.length) {
+          validationResults[unknownResultKey] = {
+            isValid: (form.unknownFields !== 'reject'),
+            fields:  unknownFields
+          };
+
+          if (form.unknownFields === 'reject') {
+            isFormValid = false;
+            if (stopOnInvalid) { return next('stop', isFormValid, validationResults); }
+          }
+        }
+      }
+
+      var groups;
+
+      // Fields are processed after the fields they depend on, so they see their transformed values.
+      try {
+        groups = groupFieldsByDependency(form.definitions);
+      } catch (err) {
+        return next(err);
+      }
+
+      // Cycle each group of form fields in turn.
+      async.eachSeries(groups, function (group, nextGroup) {
+
+        async.each(group, function (definition, nextField) {
+
+          form.processField(definition, function (err, isFieldValid, result) {
+
+            if (err) { return nextField(err); }
+
+            // Store the validation result.
+            validationResults[definition.fieldName] = result;
+            if (!isFieldValid) { isFormValid = false; }
+
+            // By default, we stop when we encounter the first invalid value.
+            if (!isFieldValid && stopOnInvalid) { return nextField('stop'); }
+
+            return nextField(null);
+
+          });
+
+        }, nextGroup);
+
+      }, function (err) {
+
+        // The field is invalid.
+        if (err && err === 'stop') { return next('stop', isFormValid, validationResults); }
+
+        // Other error.
+        else if (err) { return next(err); }
+
+        // Success!
+        return next(null, isFormValid, validationResults);
+
+      });
+
+    },
+
+    // Second, check the form-level rules, if any.
+    function checkRules (isFormValid, validationResults, next) {
+
+      try {
+        if (!form.applyRules(validationResults)) { isFormValid = false; }
+      } catch (err) {
+        return next(err);
+      }
+
+      // By default, we stop when we encounter the first invalid value.
+      if (!isFormValid && stopOnInvalid) { return next('stop', isFormValid, validationResults); }
+
+      return next(null, isFormValid, validationResults);
+
+    },
+
+    // Third, run the form-level validators in order, if any.
+    function runValidators (isFormValid, validationResults, next) {
+
+      // Collect up the field values.
+      var fieldHash = form.generateFieldHash();
+
+      async.eachSeries(form.validators, function (validator, nextValidator) {
+
+        // Some validators don't need to run once the form is invalid, e.g. if they query the database.
+        if (!isFormValid && validator.skipIfInvalid) { return nextValidator(null); }
+
+        callUserFunction(validator.fn, [form, fieldHash], function (err, results) {
+
+          if (err) { return nextValidator(err); }
+
+          // Copy the results into our validation results.
+          try {
+            if (!storeValidatorResults(form, validator.name, results, validationResults)) { isFormValid = false; }
+          } catch (storeErr) {
+            return nextValidator(storeErr);
+          }
+
+          // Reload the field hash incase the validator tried to modify it.
+          fieldHash = form.generateFieldHash();
+
+          // By default, we stop when we encounter the first invalid value.
+          if (!isFormValid && stopOnInvalid) { return nextValidator('stop'); }
+
+          return nextValidator(null);
+
+        });
+
+      }, function (err) {
+
+        if (err && err !== 'stop') { return next(err); }
+
+        // Continue.
+        return next(null, isFormValid, validationResults, fieldHash);
+
+      });
+
+    }
+
+  ], function (err, isFormValid, validationResults, fieldHash) {
+
+    // A field is invalid.
+    if (err && err === 'stop') {
+      if (!fieldHash) { fieldHash = form.generateFieldHash(); }
+      form.isFormValid = false;
+      return callback(null, false, validationResults, fieldHash, form);
+    }
+
+    // Other error.
+    else if (err) { return callback(err); }
+
+    // Success!
+    form.isFormValid = isFormValid;
+    return callback(null, isFormValid, validationResults, fieldHash, form);
+
+  });
+
+};
+
+/*
+ * Checks the conditions on the given field, then transforms and validates it.
+ * Skipped fields are always valid and don't have any transforms applied.
+ * callback(err, isFieldValid, result);
+ */
+Foval.prototype.processField = function (definition, callback) {
+
+  var form          = this;
+  var stopOnInvalid = this.stopOnInvalid;
+  var isSkipped;
+
+  // Check the conditions against the other fields.
+  try {
+    isSkipped = Boolean(
+      (definition.skipIf     &&  evaluateCondition(form, definition.skipIf)) ||
+      (definition.validateIf && !evaluateCondition(form, definition.validateIf))
+    );
+    if (definition.requiredIf) { definition.required = evaluateCondition(form, definition.requiredIf); }
+  } catch (err) {
+    return callback(err);
+  }
+
+  // The field doesn't need validating.
+  if (isSkipped) {
+    definition.isValid   = true;
+    definition.isSkipped = true;
+    return callback(null, true, { isValid: true, skipped: true });
+  }
+
+  // The value couldn't be typecast, so there's nothing to transform or validate.
+  if (definition.isTypeMismatch) {
+    definition.isValid = false;
+    return callback(null, false, {
+      isValid: false,
+      type:    {
+        passed:  false,
+        reason:  'type-mismatch',
+        message: form.getMessage(definition, 'type', 'type-mismatch', { dataType: definition.dataType })
+      }
+    });
+  }
+
+  // Do we need to transform the data before we validate it?
+  form.runTransforms(definition, 'before', function (err, transformedValue) {
+
+    if (err) { return callback(err); }
+
+    // Store the new value.
+    definition.value = transformedValue;
+
+    // Array fields process each of their items first, and group fields each of their records.
+    var processNested = (definition.dataType === 'group' ? form.processRecords : form.processItems);
+
+    processNested.call(form, definition, function (err, isNestedValid, nestedResults) {
+
+      if (err) { return callback(err); }
+
+      // Validate the value.
+      form.runValidations(definition, function (err, isFieldValid, result) {
+
+        if (err) { return callback(err); }
+
+        // Include the results of each item or record.
+        if (nestedResults) {
+          for (var key in nestedResults) {
+            if (nestedResults.hasOwnProperty(key)) { result[key] = nestedResults[key]; }
+          }
+          isFieldValid   = Boolean(isFieldValid && isNestedValid);
+          result.isValid = isFieldValid;
+        }
+
+        // Store the validation result.
+        definition.isValid = isFieldValid;
+
+        // By default, we stop when we encounter the first invalid value.
+        if (!isFieldValid && stopOnInvalid) { return callback(null, false, result); }
+
+        // Do we need to transform the data after we've validated it?
+        form.runTransforms(definition, 'after', function (err, transformedValue) {
+
+          if (err) { return callback(err); }
+
+          // Store the new value & continue.
+          definition.value = transformedValue;
+          return callback(null, isFieldValid, result);
+
+        });
+
+      });
+
+    });
+
+  });
+
+};
+
+/*
+ * Processes each item of an array field using the element definition, and
+ * passes back whether all the items are valid and { items } with the result of
+ * each item, keyed by index. Other fields pass back null results.
+ * callback(err, areItemsValid, nestedResults);
+ */
+Foval.prototype.processItems = function (definition, callback) {
+
+  var form          = this;
+  var stopOnInvalid = this.stopOnInvalid;
+  var items         = definition.value;
+  var areItemsValid = true;
+  var itemResults   = {};
+
+  // Not an array field, or the items couldn't be typecast.
+  if (definition.dataType !== 'array')                            { return callback(null, true, null);                   }
+  if (Object.prototype.toString.call(items) !== '[object Array]') { return callback(null, true, { items: itemResults }); }
+
+  var rawValue   = definition.rawValue;
+  var rawItems   = listIndexedValues(rawValue) || [].concat(typeof rawValue === 'undefined' ? [] : rawValue);
+  var mismatches = definition.itemTypeMismatches || [];
+  var indexes    = items.map(function (item, index) { return index; });
+
+  // Process the items in order, as if each was a field of its own.
+  async.eachSeries(indexes, function (index, next) {
+
+    var itemDefinition = createFieldState(definition.element, items[index], rawItems[index], Boolean(mismatches[index]));
+
+    form.processField(itemDefinition, function (err, isItemValid, itemResult) {
+
+      if (err) { return next(err); }
+
+      items[index]       = itemDefinition.value;
+      itemResults[index] = itemResult;
+
+      // By default, we stop when we encounter the first invalid value.
+      if (!isItemValid) {
+        areItemsValid = false;
+        if (stopOnInvalid) { return next('stop'); }
+      }
+
+      return next(null);
+
+    });
+
+  }, function (err) {
+    if (err && err !== 'stop') { return callback(err); }
+    return callback(null, areItemsValid, { items: itemResults });
+  });
+
+};
+
+/*
+ * Validates each record of a group field using its own form, and passes back
+ * whether all the records are valid. Repeatable groups pass back { items }
+ * with { isValid, fields } for each record keyed by index, where 'fields' are
+ * the record's validation results. Other groups pass back { fields } for their
+ * single record. The value of the field is updated with the transformed values
+ * of the records. Other fields pass back null results.
+ * callback(err, areRecordsValid, nestedResults);
+ */
+Foval.prototype.processRecords = function (definition, callback) {
+
+  var stopOnInvalid   = this.stopOnInvalid;
+  var subForms        = definition.subForms || [];
+  var areRecordsValid = true;
+  var recordResults   = {};
+  var values          = [];
+
+  // Not a group field, or there are no records to validate.
+  if (definition.dataType !== 'group') { return callback(null, true, null); }
+  if (!subForms.length) { return callback(null, true, (definition.repeatable ? { items: recordResults } : null)); }
+
+  var indexes = subForms.map(function (subForm, index) { return index; });
+
+  // Validate the records in order, each one as a form of its own.
+  async.eachSeries(indexes, function (index, next) {
+
+    subForms[index].validate(function (err, isRecordValid, validationResults, fieldHash) {
+
+      if (err) { return next(err); }
+
+      values[index]        = fieldHash;
+      recordResults[index] = {
+        isValid: isRecordValid,
+        fields:  validationResults
+      };
+
+      // By default, we stop when we encounter the first invalid record.
+      if (!isRecordValid) {
+        areRecordsValid = false;
+        if (stopOnInvalid) { return next('stop'); }
+      }
+
+      return next(null);
+
+    });
+
+  }, function (err) {
+
+    if (err && err !== 'stop') { return callback(err); }
+
+    // Records that weren't validated keep their typecast values.
+    subForms.forEach(function (subForm, index) {
+      if (!values[index]) { values[index] = subForm.generateFieldHash(); }
+    });
+
+    definition.value = (definition.repeatable ? values : values[0]);
+
+    return callback(null, areRecordsValid, (definition.repeatable ? { items: recordResults } : { fields: recordResults[0].fields }));
+
+  });
+
+};
+
+/*
+ * Runs all the transformations on the given field and passes the new value back.
+ * callback(err, value);
+ */
+Foval.prototype.runTransforms = function (definition, type, callback) {
+
+  var form       = this;
+  var transforms = definition.transforms[type];
+  var arrKeys    = Object.keys(transforms);
+  var value      = definition.value;
+
+  // A null value means the field has no value, so there's nothing to transform.
+  if (value === null) { return callback(null, value); }
+
+  // Cycle each transform.
+  async.eachSeries(arrKeys, function (key, next) {
+
+    var options = transforms[key];
+
+    // Skip the transform if we have a falsey value.
+    if (!options) { return next(null); }
+    if (typeof options === 'object' && options.run === false) { return next(null); }
+
+    // Do the transform.
+    callCatchingErrors(form.transforms[key], [form, definition, options], function (err, transformedValue) {
+
+      if (err) { return next(err); }
+
+      // Save & continue.
+      value = transformedValue;
+      return next(null);
+
+    });
+
+  }, function (err) {
+    if (err) { return callback(err); }
+    return callback(null, value);
+  });
+
+};
+
+/*
+ * Runs all the validations on the given field and passes the result back.
+ * Validations that fail with the 'warning' severity are marked as such in the
+ * result, but don't make the field invalid.
+ * callback(err, isFieldValid, result);
+ */
+Foval.prototype.runValidations = function (definition, callback) {
+
+  var form          = this;
+  var validations   = definition.validations;
+  var arrKeys       = Object.keys(validations);
+  var isFieldValid  = true;
+  var stopOnInvalid = this.stopOnInvalid;
+  var result = {
+    isValid: null
+  };
+
+  // Cycle each validation.
+  async.eachSeries(arrKeys, function (key, next) {
+
+    var options = validations[key];
+
+    // Skip the validation if we have a falsey value.
+    if (!options) { return next(null); }
+    if (typeof options === 'object' && options.run === false) { return next(null); }
+
+    // Skip the required validation if the 'requiredIf' condition wasn't met.
+    if (key === 'required' && definition.requiredIf && !definition.required) { return next(null); }
+
+    // A field with no value only needs to be checked to see if it's required.
+    if (definition.value === null && key !== 'required' && key !== 'custom') { return next(null); }
+
+    // Do the validation.
+    callCatchingErrors(form.validations[key], [form, definition, options], function (err, isValid, reason, params) {
+
+      if (err) { return next(err); }
+
+      // Warnings are reported but don't make the field invalid.
+      var isWarning = Boolean(!isValid && typeof options === 'object' && options.severity === 'warning');
 
       // Store the result of the validation.
-      if (!isValid) { isFieldValid = false; }
+      if (!isValid && !isWarning) { isFieldValid = false; }
       result[key] = {
-        passed: isValid,
-        reason: reason || null
+        passed:  isValid,
+        reason:  reason || null,
+        message: (isValid ? null : form.getMessage(definition, key, reason, params || options))
       };
+      if (isWarning) { result[key].severity = 'warning'; }
+
+      // Validations that check several rules can list every rule that failed.
+      if (!isValid && params && Array.isArray(params.failures)) {
+        result[key].failures = params.failures.map(function (failure) {
+          return { reason: failure, message: form.getMessage(definition, key, failure, params) };
+        });
+      }
 
       // By default, we stop when we encounter the first invalid value.
-      if (!isValid && stopOnInvalid) { return next('stop'); }
+      if (!isValid && !isWarning && stopOnInvalid) { return next('stop'); }
 
       // Continue.
       return next(null);
@@ -516,72 +2502,393 @@ Foval.prototype.runValidations = function (definition, callback) {
 
   }, function (err) {
 
-    // Add the field valid flag to the result.
-    result.isValid = isFieldValid;
+    // Add the field valid flag to the result.
+    result.isValid = isFieldValid;
+
+    // The field is invalid.
+    if (err && err === 'stop') { return callback(null, false, result); }
+
+    // Other error.
+    else if (err) { return callback(err); }
+
+    // Success!
+    return callback(null, isFieldValid, result);
+
+  });
+
+};
+
+/*
+ * Checks each of the form-level rules against the values of its fields, and
+ * adds the result to the validation results of each field under the rule's
+ * validation name, e.g. 'at-least-one-of'. Skipped fields count as having no
+ * value. Returns false if any of the rules failed. Throws if a rule refers to
+ * a field that doesn't exist.
+ */
+Foval.prototype.applyRules = function (validationResults) {
+
+  var form     = this;
+  var locales  = listLocales(this.locale, this.fallbackLocale);
+  var areValid = true;
+
+  this.rules.forEach(function (rule) {
+
+    var definitions = rule.fields.map(function (fieldName) {
+      if (!form.definitions.hasOwnProperty(fieldName)) {
+        throw new ErrorNinja('rule-invalid-field', { rule: rule.rule, fieldName: fieldName });
+      }
+      return form.definitions[fieldName];
+    });
+
+    var given  = definitions.filter(function (definition) { return (!definition.isSkipped && hasValue(definition)); });
+    var failed = [];
+    var reason = null;
+
+    // Work out which of the fields the failure belongs to.
+    switch (rule.rule) {
+
+      case 'atLeastOneOf':
+        if (!given.length) { failed = definitions; reason = 'none-given'; }
+        break;
+
+      case 'mutuallyExclusive':
+        if (given.length > 1) { failed = given; reason = 'more-than-one-given'; }
+        break;
+
+      case 'allOrNone':
+        if (given.length && given.length < definitions.length) {
+          failed = definitions.filter(function (definition) { return (given.indexOf(definition) === -1); });
+          reason = 'incomplete';
+        }
+        break;
+
+    }
+
+    var labels = definitions.map(function (definition) { return resolveLabel(definition, locales); }).join(', ');
+
+    // Store the result against each of the fields, without overwriting an earlier failure of the same rule.
+    definitions.forEach(function (definition) {
+
+      var result   = validationResults[definition.fieldName] = validationResults[definition.fieldName] || { isValid: true };
+      var isPassed = (failed.indexOf(definition) === -1);
+
+      if (result[rule.validation] && result[rule.validation].passed === false) { return; }
+
+      result[rule.validation] = {
+        passed:  isPassed,
+        reason:  (isPassed ? null : reason),
+        message: (isPassed ? null : form.getMessage(definition, rule.validation, reason, { fields: labels }))
+      };
+
+      if (!isPassed) {
+        result.isValid     = false;
+        definition.isValid = false;
+        areValid           = false;
+      }
+
+    });
+
+  });
+
+  return areValid;
+
+};
+
+/*
+ * Adds a named function to perform some extra validation on the field data
+ * once the fields have been validated, for example querying the database.
+ * Validators run in the order they're added and can return a promise for their
+ * results instead of calling 'finish'. The results are a hash of field names,
+ * or '_form' for errors about the whole form, to { passed, reason, message }.
+ * [options]
+ *  skipIfInvalid (bool>false) Set true to skip the validator if the form is already invalid.
+ * fn(form, fieldHash, finish);
+ * finish(err, results);
+ */
+Foval.prototype.addValidator = function (name, fn, options) {
+
+  addValidatorTo(this.validators, name, fn, options);
+
+  // Enable chaining.
+  return this;
+
+};
+
+/*
+ * Adds a function to perform some extra validation on the field data, as the
+ * 'additional-validation' validator. It can only be added once.
+ * fn(form, fieldHash, finish);
+ * finish(err, additionalResults);
+ */
+Foval.prototype.additionalValidation = function (fn) {
+
+  // Store the function.
+  if (typeof fn === 'function') { this.addValidator('additional-validation', fn); }
+
+  // Enable changing.
+  return this;
+
+};
+
+/*
+ * Returns the human-readable message for a failed validation in the form's
+ * locale. Messages given in the field definition take priority over the
+ * catalogue. Placeholders like {min} are filled in from the params and {label}
+ * is replaced with the field label.
+ */
+Foval.prototype.getMessage = function (definition, validation, reason, params) {
+
+  var locales   = listLocales(this.locale, this.fallbackLocale);
+  var overrides = (definition.messages ? definition.messages[validation] : null);
+  var message   = null;
+
+  // Messages in the definition can be given for all reasons or for each reason.
+  if (overrides && typeof overrides === 'object') { overrides = overrides[reason]; }
+  if (typeof overrides === 'function') { message = overrides(params, locales[0]); }
+  else if (typeof overrides === 'string') { message = overrides; }
+
+  // Find the most specific message in the catalogue, then the default message.
+  for (var l = 0, llen = locales.length ; l < llen && message === null ; l++) {
+    var catalogue = messages[locales[l]];
+    if (catalogue && catalogue[validation] && typeof catalogue[validation][reason] === 'string') {
+      message = catalogue[validation][reason];
+    }
+  }
+  for (var d = 0, dlen = locales.length ; d < dlen && message === null ; d++) {
+    if (messages[locales[d]] && typeof messages[locales[d]]['default'] === 'string') {
+      message = messages[locales[d]]['default'];
+    }
+  }
+
+  if (message === null) { return null; }
+
+  // Fill in the placeholders.
+  var values = extender.merge({}, (params && typeof params === 'object' ? params : {}), {
+    label: resolveLabel(definition, locales)
+  });
+
+  return String(message).replace(/\{([\w-]+)\}/g, function (match, name) {
+    var value = values[name];
+    return (value === null || typeof value === 'undefined' || typeof value === 'object' ? '' : String(value));
+  });
+
+};
+
+/*
+ * Returns a hash of the fields and their values.
+ */
+Foval.prototype.generateFieldHash = function () {
+
+  var hash = {};
+
+  // Add each field and value to the hash.
+  for (var fieldName in this.definitions) {
+    if (!this.definitions.hasOwnProperty(fieldName)) { continue; }
+    hash[fieldName] = this.definitions[fieldName].value;
+  }
+
+  return hash;
+
+};
+
+/*
+ * Returns an ErrorNinja if the given data type is not allowed, otherwise null.
+ */
+Foval.prototype.checkDataType = function (where, which, allowedDataTypes, definition) {
+
+  // Invalid data type.
+  if (allowedDataTypes.indexOf(definition.dataType) === -1) {
+    return new ErrorNinja(where + '-wrong-data-type', {
+      fieldName: definition.fieldName,
+      which:     which,
+      dataType:  definition.dataType,
+      allowed:   allowedDataTypes
+    });
+  }
+
+  // Valid data type.
+  return true;
+
+};
+
+/*
+ * Returns an array of the keys in the raw data that don't belong to any of the
+ * defined fields. Sub-keys of hash, file, array and group fields, e.g.
+ * 'field[key]', and the Foval Client version are allowed.
+ */
+Foval.prototype.findUnknownFields = function () {
+
+  var definitions = this.definitions;
+  var unknown     = [];
+
+  for (var key in this.rawData) {
+    if (!this.rawData.hasOwnProperty(key)) { continue; }
+    if (definitions.hasOwnProperty(key) || reservedFieldNames.indexOf(key) > -1) { continue; }
+
+    var isSubKey = false;
+    for (var fieldName in definitions) {
+      if (!definitions.hasOwnProperty(fieldName)) { continue; }
+      if (definitions[fieldName].subKeyRegExp && definitions[fieldName].subKeyRegExp.test(key)) {
+        isSubKey = true;
+        break;
+      }
+    }
+
+    if (!isSubKey) { unknown.push(key); }
+  }
+
+  return unknown;
+
+};
+
+/*
+ * Returns a read-only view of the given field's definition, or null if the
+ * field doesn't exist.
+ */
+Foval.prototype.getField = function (fieldName) {
+
+  // Does the field exist?
+  if (!this.definitions.hasOwnProperty(fieldName)) { return null; }
+
+  // Copy the whole definition so changes to the view can't affect this form or any other.
+  return freezeDefinition(copyDefinition(this.definitions[fieldName]));
+
+};
+
+/*
+ * Returns an array of the names of all the defined fields.
+ */
+Foval.prototype.getFieldNames = function () {
+  return Object.keys(this.definitions);
+};
+
+/*
+ * Returns true or false if the field has been validated, otherwise null.
+ * Skipped fields are always valid.
+ */
+Foval.prototype.isFieldValid = function (fieldName) {
+
+  // Does the field exist?
+  if (!this.definitions.hasOwnProperty(fieldName)) { return null; }
+
+  return this.definitions[fieldName].isValid;
+
+};
+
+/*
+ * Returns an array of the failed validations for the given field, each one as
+ * { validation, reason, message }. The failed validations of the items in an
+ * array field also have the 'index' of the item, and those of the items and
+ * group records have the 'path' to the value, e.g. 'tags.2' or 'items.1.qty'.
+ * Warnings aren't included. The array is empty if the field hasn't failed.
+ */
+Foval.prototype.getFieldErrors = function (fieldName) {
+  return listFieldIssues(this, fieldName, 'error');
+};
+
+/*
+ * Returns an array of the validations of the given field that failed with the
+ * 'warning' severity, in the same format as getFieldErrors(). Warnings don't
+ * make the field invalid.
+ */
+Foval.prototype.getFieldWarnings = function (fieldName) {
+  return listFieldIssues(this, fieldName, 'warning');
+};
+
+/*
+ * Returns an array of the errors about the whole form reported by the form
+ * validators under '_form', each one as { validation, reason, message }, where
+ * the validation is the name of the validator. Warnings aren't included.
+ */
+Foval.prototype.getFormErrors = function () {
+  return listFormIssues(this, 'error');
+};
 
-    // The field is invalid.
-    if (err && err === 'stop') { return callback(null, false, result); }
+/*
+ * Returns an array of the warnings about the whole form reported by the form
+ * validators under '_form', in the same format as getFormErrors().
+ */
+Foval.prototype.getFormWarnings = function () {
+  return listFormIssues(this, 'warning');
+};
 
-    // Other error.
-    else if (err) { return callback(err); }
+/*
+ * Returns an array of the names of the fields that failed validation.
+ */
+Foval.prototype.getInvalidFields = function () {
 
-    // Success!
-    return callback(null, isFieldValid, result);
+  var form = this;
 
+  return this.getFieldNames().filter(function (fieldName) {
+    return (form.definitions[fieldName].isValid === false);
   });
 
 };
 
 /*
- * Add a single function to perform some extra validation on the field data, for
- * example querying the database.
- * fn(form, fieldHash, finish);
- * finish(err, additionalResults);
+ * Returns the validation result in a format that can be sent back to the
+ * browser, by default the one Foval Client expects. Values are only included
+ * if asked for, and never for sensitive fields such as passwords.
+ * [options]
+ *  format        (string>client) The response format, one of: 'client', 'flat', 'problem'.
+ *  includeValues (bool>false)    Set true to include the values of non-sensitive fields.
  */
-Foval.prototype.additionalValidation = function (fn) {
+Foval.prototype.toResponse = function (options) {
 
-  // Store the function.
-  if (typeof fn === 'function') { this.additionalValidationFn = fn; }
+  // Ensure options is always a hash and not a single value.
+  if (typeof options !== 'object' || options === null) {
+    options = {
+      format: options
+    };
+  }
 
-  // Enable changing.
-  return this;
+  // Default options.
+  options = extender.defaults({
+    format:        'client',
+    includeValues: false
+  }, options);
+
+  // We can't respond until we have some results.
+  if (!this.validationResults) {
+    throw new ErrorNinja('form-not-validated');
+  }
+
+  // Check the format is valid.
+  if (typeof this.responseFormats[options.format] !== 'function') {
+    throw new ErrorNinja('invalid-response-format', {
+      format:       options.format,
+      validFormats: Object.keys(this.responseFormats)
+    });
+  }
+
+  return this.responseFormats[options.format](this, options);
 
 };
 
 /*
- * Returns a hash of the fields and their values.
+ * Returns a hash of the values that are safe to send back to the browser.
  */
-Foval.prototype.generateFieldHash = function () {
+Foval.prototype.generateSafeFieldHash = function () {
 
   var hash = {};
 
-  // Add each field and value to the hash.
   for (var fieldName in this.definitions) {
     if (!this.definitions.hasOwnProperty(fieldName)) { continue; }
-    hash[fieldName] = this.definitions[fieldName].value;
-  }
 
-  return hash;
-
-};
+    var definition = this.definitions[fieldName];
+    if (definition.sensitive) { continue; }
 
-/*
- * Returns an ErrorNinja if the given data type is not allowed, otherwise null.
- */
-Foval.prototype.checkDataType = function (where, which, allowedDataTypes, definition) {
+    // Group records may have sensitive fields of their own.
+    if (definition.subForms && definition.subForms.length) {
+      var records = definition.subForms.map(function (subForm) { return subForm.generateSafeFieldHash(); });
+      hash[fieldName] = (definition.repeatable ? records : records[0]);
+      continue;
+    }
 
-  // Invalid data type.
-  if (allowedDataTypes.indexOf(definition.dataType) === -1) {
-    return new ErrorNinja(where + '-wrong-data-type', {
-      fieldName: definition.fieldName,
-      which:     which,
-      dataType:  definition.dataType,
-      allowed:   allowedDataTypes
-    });
+    hash[fieldName] = definition.value;
   }
 
-  // Valid data type.
-  return true;
+  return hash;
 
 };
 
@@ -650,7 +2957,10 @@ Foval.prototype.updateFieldValue = function (fieldName, newValue) {
   if (typeof this.definitions[fieldName] === 'undefined') { return false; }
 
   // Make the change.
-  this.definitions[fieldName].value = newValue;
+  this.definitions[fieldName].value              = newValue;
+  this.definitions[fieldName].isTypeMismatch     = false;
+  this.definitions[fieldName].itemTypeMismatches = null;
+  this.definitions[fieldName].subForms           = null;
   return true;
 
 };
@@ -672,6 +2982,279 @@ Foval.prototype.format = Foval.format = function (value, formatter, options) {
 
 };
 
+/*
+ * Creates a digest of the value in the same way as the 'digest' transform, which
+ * takes the same options. Pass the form's 'hmacKeys' option if you're using an
+ * HMAC key, e.g. to create a lookup token for a value outside of a form.
+ */
+Foval.digest = function (value, options, hmacKeys) {
+  if (typeof options === 'string') { options = { algorithm: options }; }
+  return createDigest(value, getDigestOptions(options, hmacKeys));
+};
+
+/*
+ * Loads the list of breached passwords that the 'password' validation checks
+ * when its 'breached' option is set. The file has one SHA-1 hash, or hash
+ * prefix, per line. Load it once when your app starts. If no callback is given
+ * a promise is returned instead.
+ * callback(err);
+ */
+Foval.loadBreachedPasswords = function (filePath, callback) {
+
+  // Return a promise if we don't have a callback.
+  if (typeof callback !== 'function') {
+    return new Promise(function (resolve, reject) {
+      Foval.loadBreachedPasswords(filePath, function (err) {
+        if (err) { return reject(err); }
+        return resolve();
+      });
+    });
+  }
+
+  passwords.loadBreachedList(filePath, function (err, list) {
+    if (err) { return callback(err); }
+    breachedPasswords = list;
+    return callback(null);
+  });
+
+};
+
+/*
+ * Hashes the password in the same way as the 'password-hash' transform, which
+ * takes the same options. If no callback is given a promise is returned instead.
+ * callback(err, encoded);
+ */
+Foval.hashPassword = function (password, options, callback) {
+
+  if (typeof options === 'function') {
+    callback = options;
+    options  = null;
+  }
+
+  // Return a promise if we don't have a callback.
+  if (typeof callback !== 'function') {
+    return new Promise(function (resolve, reject) {
+      Foval.hashPassword(password, options, function (err, encoded) {
+        if (err) { return reject(err); }
+        return resolve(encoded);
+      });
+    });
+  }
+
+  // Invalid options are passed back like any other error.
+  var hashOptions;
+  try {
+    hashOptions = getPasswordHashOptions(options);
+  } catch (err) {
+    return process.nextTick(function () { callback(err); });
+  }
+
+  passwords.hash(password, hashOptions, callback);
+
+};
+
+/*
+ * Checks the password against a hash created by the 'password-hash' transform.
+ * If no callback is given a promise is returned instead, which resolves with
+ * 'isMatch'.
+ * callback(err, isMatch);
+ */
+Foval.verifyPassword = function (password, encoded, callback) {
+
+  // Return a promise if we don't have a callback.
+  if (typeof callback !== 'function') {
+    return new Promise(function (resolve, reject) {
+      Foval.verifyPassword(password, encoded, function (err, isMatch) {
+        if (err) { return reject(err); }
+        return resolve(isMatch);
+      });
+    });
+  }
+
+  // We can't verify anything against a hash we don't understand.
+  if (!passwords.decode(encoded)) {
+    return process.nextTick(function () { callback(new ErrorNinja('invalid-password-hash')); });
+  }
+
+  passwords.verify(password, encoded, callback);
+
+};
+
+/*
+ * Returns true if a hash created by the 'password-hash' transform should be
+ * replaced, because it uses a different algorithm or a lower cost than the
+ * given options of the transform. Rehash the password after verifying it.
+ */
+Foval.needsRehash = function (encoded, options) {
+  return passwords.needsRehash(encoded, getPasswordHashOptions(options));
+};
+
+/*
+ * The catalogue of validation messages for each locale, keyed by validation
+ * and reason.
+ */
+Foval.messages = messages;
+
+/*
+ * Adds messages to the catalogue for the given locale, overwriting any that
+ * already exist. Can be used to add a new locale or messages for custom reasons.
+ */
+Foval.addMessages = function (locale, newMessages) {
+
+  locale = String(locale).toLowerCase().replace(/_/g, '-');
+  messages[locale] = extender.merge(messages[locale] || {}, newMessages);
+
+  return Foval;
+
+};
+
+/*
+ * Contains the response formats for the toResponse() method.
+ * format(form, options);
+ */
+Foval.prototype.responseFormats = {
+
+  /*
+   * The format expected by Foval Client, containing the result of every field.
+   * { success, errors: { fieldName: { isValid, errors: [{ validation, reason, message }], warnings } }, formErrors, formWarnings, values }
+   */
+  'client': function (form, options) {
+
+    var response = {
+      success: Boolean(form.isFormValid),
+      errors:  {}
+    };
+
+    form.getFieldNames().forEach(function (fieldName) {
+      if (!form.validationResults[fieldName]) { return; }
+      response.errors[fieldName] = {
+        isValid: (form.definitions[fieldName].isValid !== false),
+        errors:  form.getFieldErrors(fieldName)
+      };
+
+      // Warnings don't stop the form being submitted.
+      var warnings = form.getFieldWarnings(fieldName);
+      if (warnings.length) { response.errors[fieldName].warnings = warnings; }
+    });
+
+    // Rejected data for fields that don't exist.
+    var unknownErrors = listUnknownFieldErrors(form);
+    if (unknownErrors.length) {
+      response.unknownFields = unknownErrors.map(function (error) { return error.field; });
+    }
+
+    // Errors and warnings about the whole form.
+    var formErrors   = form.getFormErrors();
+    var formWarnings = form.getFormWarnings();
+    if (formErrors.length)   { response.formErrors   = formErrors;   }
+    if (formWarnings.length) { response.formWarnings = formWarnings; }
+
+    if (options.includeValues) { response.values = form.generateSafeFieldHash(); }
+
+    return response;
+
+  },
+
+  /*
+   * A flat list of all the failed validations, items of array fields also have an 'index' and
+   * items and group records have a 'path'. Warnings are listed separately in the same format.
+   * { success, errors: [{ field, validation, reason, message, index, path }], warnings, values }
+   */
+  'flat': function (form, options) {
+
+    var response = {
+      success: Boolean(form.isFormValid),
+      errors:  []
+    };
+
+    var flatten = function (fieldName, error) {
+      var flatError = {
+        field:      fieldName,
+        validation: error.validation,
+        reason:     error.reason,
+        message:    error.message
+      };
+      if (typeof error.index === 'number') { flatError.index = error.index; }
+      if (error.path)                       { flatError.path  = error.path;  }
+      return flatError;
+    };
+    var warnings = [];
+
+    form.getFieldNames().forEach(function (fieldName) {
+      form.getFieldErrors(fieldName).forEach(function (error) {
+        response.errors.push(flatten(fieldName, error));
+      });
+      form.getFieldWarnings(fieldName).forEach(function (warning) {
+        warnings.push(flatten(fieldName, warning));
+      });
+    });
+
+    // Rejected data for fields that don't exist, and errors about the whole form.
+    response.errors = response.errors.concat(listUnknownFieldErrors(form), listFormErrors(form));
+
+    // Warnings don't stop the form being submitted.
+    warnings = warnings.concat(form.getFormWarnings().map(function (warning) { return flatten('_form', warning); }));
+    if (warnings.length) { response.warnings = warnings; }
+
+    if (options.includeValues) { response.values = form.generateSafeFieldHash(); }
+
+    return response;
+
+  },
+
+  /*
+   * An RFC 7807 'application/problem+json' document, or null if the form is
+   * valid because there is no problem to report.
+   * [options]
+   *  type     (string>about:blank) A URI identifying the problem type.
+   *  title    (string)             A short summary of the problem.
+   *  status   (int>422)            The HTTP status code.
+   *  detail   (string)             An explanation of this occurrence of the problem.
+   *  instance (string)             A URI identifying this occurrence of the problem.
+   */
+  'problem': function (form, options) {
+
+    if (form.isFormValid) { return null; }
+
+    var response = {
+      type:             options.type   || 'about:blank',
+      title:            options.title  || 'The submitted form is invalid.',
+      status:           options.status || 422,
+      'invalid-params': []
+    };
+
+    if (options.detail)   { response.detail   = options.detail;   }
+    if (options.instance) { response.instance = options.instance; }
+
+    var errors = [];
+
+    form.getInvalidFields().forEach(function (fieldName) {
+      form.getFieldErrors(fieldName).forEach(function (error) {
+        error.field = error.path || fieldName;
+        errors.push(error);
+      });
+    });
+
+    // Rejected data for fields that don't exist, and errors about the whole form.
+    errors = errors.concat(listUnknownFieldErrors(form), listFormErrors(form));
+
+    errors.forEach(function (error) {
+      response['invalid-params'].push({
+        name:       error.field,
+        reason:     error.message || error.reason,
+        code:       error.reason,
+        validation: error.validation
+      });
+    });
+
+    if (options.includeValues) { response.values = form.generateSafeFieldHash(); }
+
+    return response;
+
+  }
+
+};
+
 /*
  * Contains various transformer functions.
  * transform(form, definition, options, callback);
@@ -680,7 +3263,8 @@ Foval.prototype.format = Foval.format = function (value, formatter, options) {
 Foval.prototype.transforms = {
 
   /*
-   * Perform a custom transform using the function passed in.
+   * Perform a custom transform using the function passed in, which can call
+   * 'finish' or return a promise for the transformed value.
    * custom(value, dataType, finish);
    * finish(err, transformedValue);
    * [options]
@@ -708,17 +3292,124 @@ Foval.prototype.transforms = {
       throw new ErrorNinja('custom-transform-no-function');
     }
 
-    // Run the custom transform function.
-    options.fn(definition.value, definition.dataType, function (err, transformedValue) {
+    // Run the custom transform function, which can also return a promise.
+    callUserFunction(options.fn, [definition.value, definition.dataType], function (err, transformedValue) {
       if (err) { return callback(err); }
       return callback(null, transformedValue);
     });
 
   },
 
+  /*
+   * Converts a date, time or datetime field into a string.
+   * [options]
+   *  run      (bool>true)  Set false to prevent it from running.
+   *  format   (string>iso) The format to use, see the 'date' formatter.
+   *  timezone (string)     The timezone to use, defaults to the timezone of the field.
+   */
+  'date': function (form, definition, options, callback) {
+
+    // Check the data type is correct.
+    var err = form.checkDataType('transform', 'date', dateDataTypes, definition);
+    if (ErrorNinja.isNinja(err)) { throw err; }
+
+    // Ensure options is always a hash and not a single value.
+    if (typeof options !== 'object' || options.constructor.name !== 'Object') {
+      options = {
+        'format': (typeof options === 'string' ? options : 'iso')
+      };
+    }
+
+    // Default options.
+    options = extender.defaults({
+      format:   'iso',
+      timezone: definition.timezone,
+      dataType: definition.dataType
+    }, options);
+
+    // Do the formatting.
+    var value = form.formatters.date(definition.value, options);
+
+    // Continue.
+    return callback(null, value);
+
+  },
+
+  /*
+   * Creates a digest of the value with any hash algorithm Node supports, or an
+   * HMAC using one of the keys given to the form in the 'hmacKeys' option.
+   * Non-string values will be typecast to strings first. Empty values are left
+   * as they are.
+   * [options]
+   *  run        (bool>true)     Set false to prevent it from running.
+   *  algorithm  (string>sha256) The hash algorithm, any of crypto.getHashes().
+   *  encoding   (string>hex)    Either 'hex', 'base64' or 'base64url'.
+   *  hmac       (string)        The name of the form's HMAC key to use, to create an HMAC instead of a plain digest.
+   *  salt       (bool>false)    Set true to add a random salt, the value becomes { digest, salt }.
+   *  saltLength (int>16)        The length of the random salt in bytes.
+   */
+  'digest': function (form, definition, options, callback) {
+
+    // Ensure options is always a hash and not a single value.
+    if (typeof options !== 'object' || options.constructor.name !== 'Object') {
+      options = {
+        'algorithm': (typeof options === 'string' ? options : 'sha256')
+      };
+    }
+
+    var digestOptions = getDigestOptions(options, form.hmacKeys);
+
+    // Nothing to digest.
+    if (definition.value === null || typeof definition.value === 'undefined' || definition.value === '') {
+      return callback(null, definition.value);
+    }
+
+    // Continue.
+    return callback(null, createDigest(definition.value, digestOptions));
+
+  },
+
+  /*
+   * Normalises an email address so the same mailbox is always stored the same
+   * way. Values that aren't valid email addresses are left as they are.
+   * [options]
+   *  run             (bool>true)  Set false to prevent it from running.
+   *  lowercaseDomain (bool>true)  Set false to keep the case of the domain.
+   *  lowercaseLocal  (bool>false) Set true to lowercase the part before the '@'.
+   *  stripPlusTags   (bool>false) Set true to remove tags like '+news' from the part before the '@'.
+   *  providerRules   (bool>false) Set true to apply the rules of well known providers, e.g. Gmail ignores dots.
+   *  domainEncoding  (string)     Set 'punycode' or 'unicode' to convert internationalised domains.
+   */
+  'email': function (form, definition, options, callback) {
+
+    // Check the data type is correct.
+    var err = form.checkDataType('transform', 'email', ['email'], definition);
+    if (ErrorNinja.isNinja(err)) { throw err; }
+
+    // Default options.
+    options = extender.defaults({
+      lowercaseDomain: true,
+      lowercaseLocal:  false,
+      stripPlusTags:   false,
+      providerRules:   false,
+      domainEncoding:  null
+    }, options);
+
+    // Nothing to normalise.
+    if (!definition.value) {
+      return callback(null, definition.value);
+    }
+
+    // Continue.
+    return callback(null, emails.normalise(definition.value, options));
+
+  },
+
   /*
    * Creates an MD5 hash of the value. Non-string values will be typecast to
-   * strings first and this may have unexpected behaviour.
+   * strings first and this may have unexpected behaviour. Never use this for
+   * passwords, use the 'password-hash' transform instead. Deprecated in favour
+   * of the 'digest' transform.
    * [options]
    *  run      (bool>true)  Set false to prevent it from running.
    *  encoding (string)     The encoding type. See Node's crypto documentation.
@@ -741,20 +3432,61 @@ Foval.prototype.transforms = {
       random:   false
     }, options);
 
-    // Prepare the value.
-    var value = String(definition.value);
-    if (options.seed)   { value += options.seed;               }
-    if (options.random) { value += Math.random() + Date.now(); }
+    // Prepare the value.
+    var value = String(definition.value);
+    if (options.seed)   { value += options.seed;               }
+    if (options.random) { value += Math.random() + Date.now(); }
+
+    // Create the algorithm.
+    var algo = crypto.createHash('md5');
+    algo.update(value);
+
+    // Create hash in the given encoding.
+    value = algo.digest(options.encoding);
+
+    // Continue.
+    return callback(null, value);
+
+  },
+
+  /*
+   * Hashes a password field with scrypt or PBKDF2 and a random salt, for storing
+   * in a database. Must run in the 'after' stage so the validations see the
+   * plain text password. Use Foval.verifyPassword() to check a password against
+   * the hash.
+   * [options]
+   *  run         (bool>true)     Set false to prevent it from running.
+   *  algorithm   (string>scrypt) Either 'scrypt' or 'pbkdf2'.
+   *  cost        (int>15)        The scrypt cost as the log2 of N, e.g. 15 is 32768.
+   *  blockSize   (int>8)         The scrypt block size, r.
+   *  parallelism (int>1)         The scrypt parallelisation, p.
+   *  iterations  (int>600000)    The number of PBKDF2 iterations.
+   *  digest      (string>sha256) The PBKDF2 digest, either 'sha256' or 'sha512'.
+   *  saltLength  (int>16)        The length of the random salt in bytes.
+   *  keyLength   (int>32)        The length of the hash in bytes.
+   */
+  'password-hash': function (form, definition, options, callback) {
+
+    // Check the data type is correct.
+    var err = form.checkDataType('transform', 'password-hash', ['password'], definition);
+    if (ErrorNinja.isNinja(err)) { throw err; }
+
+    // Ensure options is always a hash and not a single value.
+    if (typeof options !== 'object' || options.constructor.name !== 'Object') {
+      options = {
+        'algorithm': (typeof options === 'string' ? options : 'scrypt')
+      };
+    }
 
-    // Create the algorithm.
-    var algo = crypto.createHash('md5');
-    algo.update(value);
+    var hashOptions = getPasswordHashOptions(options);
 
-    // Create hash in the given encoding.
-    value = algo.digest(options.encoding);
+    // Nothing to hash.
+    if (!definition.value) {
+      return callback(null, definition.value);
+    }
 
-    // Continue.
-    return callback(null, value);
+    // Hash the password.
+    passwords.hash(definition.value, hashOptions, callback);
 
   },
 
@@ -931,9 +3663,10 @@ Foval.prototype.transforms = {
    * Formats a telephone number field as a friendly string.
    * [options]
    *  pattern       (string)       A Foval telephone pattern to use, overrides the 'format' option.
-   *  format        (string>basic) The name of the quick format to use.
+   *  format        (string>basic) The name of the quick format to use, e.g. 'e164' or 'national'.
    *  international (bool>null)    Set true to use international format or false to use local, otherwise we use the existing format.
-   *  countryCode   (string)       Must be provided if formatting local numbers as international.
+   *  countryCode   (string)       Must be provided if formatting local numbers as international, unless the country is known.
+   *  country       (string)       The country of national numbers, defaults to the 'country' of the field.
    */
   'telephone': function (form, definition, options, callback) {
 
@@ -948,6 +3681,11 @@ Foval.prototype.transforms = {
       };
     }
 
+    // Default options.
+    options = extender.defaults({
+      country: definition.country
+    }, options);
+
     // Do the formatting.
     var value = form.formatters.telephone(definition.value, options);
 
@@ -959,7 +3697,10 @@ Foval.prototype.transforms = {
   /*
    * Formats a URL field as a full URL.
    * [options]
-   *  protocol (string>http) The protocol to put at the start of the string.
+   *  protocol      (string>http) The protocol to put at the start of the string.
+   *  normalise     (bool>false)  Set true to lowercase the host and remove default ports.
+   *  stripTracking (bool>false)  Set true to remove tracking parameters like 'utm_source', implies 'normalise'.
+   *  upgradeHttps  (bool>false)  Set true to change 'http' URLs to 'https', implies 'normalise'.
    */
   'url': function (form, definition, options, callback) {
 
@@ -991,24 +3732,109 @@ Foval.prototype.transforms = {
 Foval.prototype.formatters = Foval.formatters = {
 
   /*
-   * Returns a nicely formatted telephone number.
+   * Returns an amount of money formatted for the locale, e.g. '£1,234.50' or
+   * '1.234,50 €', or an empty string if the value is not a number. The value
+   * should be a decimal string like '1234.5' or a number.
+   * [options]
+   *  currency           (string)    The currency code, e.g. 'GBP'. Sets the symbol and scale.
+   *  locale             (string>en) Sets the separators and where the symbol goes.
+   *  symbol             (string)    The symbol to use, overrides the currency's symbol.
+   *  scale              (int)       The number of decimal places, overrides the currency's scale.
+   *  decimalSeparator   (string)    Overrides the locale's decimal separator.
+   *  thousandsSeparator (string)    Overrides the locale's thousands separator.
    */
-  'telephone': function (value, options) {
+  'currency': function (value, options) {
+
+    // Default options.
+    options = extender.defaults({
+      currency:           null,
+      locale:             'en',
+      symbol:             null,
+      scale:              null,
+      decimalSeparator:   null,
+      thousandsSeparator: null
+    }, options);
+
+    var currency   = decimals.getCurrency(options.currency);
+    var separators = decimals.getSeparators(options.locale);
+    var symbol     = (options.symbol !== null ? options.symbol : (currency ? currency.symbol : String(options.currency || '')));
+    var scale      = (typeof options.scale === 'number' ? options.scale : (currency ? currency.scale : 2));
+    var decimal    = options.decimalSeparator || separators.decimal;
+    var thousands  = (options.thousandsSeparator !== null ? options.thousandsSeparator : separators.thousands[0]);
+
+    // Not a number.
+    value = (decimals.isDecimal(value) ? value : decimals.parse(value, '.', []));
+    if (value === null) { return ''; }
+
+    var amount   = decimals.format(decimals.toScale(value, scale), decimal, thousands);
+    var negative = (amount.charAt(0) === '-');
+    if (negative) { amount = amount.substr(1); }
+
+    // English puts the symbol first, most other languages put it last.
+    if (!symbol) { return (negative ? '-' : '') + amount; }
+    if (separators.symbolFirst) { return (negative ? '-' : '') + symbol + amount; }
+    return (negative ? '-' : '') + amount + '\u00a0' + symbol;
+
+  },
+
+  /*
+   * Returns a date formatted as a string, or an empty string if the value is
+   * not a valid date. The value can also be an ISO 8601 string or a number of
+   * milliseconds.
+   * [options]
+   *  format   (string>iso)      The tokens YYYY, YY, MM, M, DD, D, HH, H, mm, ss, SSS and Z can be used.
+   *  timezone (string>UTC)      'UTC', 'local', an offset like '+02:00' or a timezone name like 'Europe/London'.
+   *  dataType (string>datetime) Sets the ISO format to use, one of 'date', 'time' or 'datetime'.
+   */
+  'date': function (value, options) {
+
+    // Default options.
+    options = extender.defaults({
+      format:   'iso',
+      timezone: 'UTC',
+      dataType: 'datetime'
+    }, options);
+
+    if (typeof value === 'number') { value = new Date(value); }
+    if (typeof value === 'string') { value = dates.parse(value, options.dataType, ['iso'], options.timezone); }
+
+    // Not a date.
+    if (!(value instanceof Date) || isNaN(value.getTime())) { return ''; }
+
+    return dates.format(value, options.format, options.timezone, options.dataType);
 
-    if (options && options.format === 'default') { delete options.format; }
+  },
+
+  /*
+   * Returns a nicely formatted telephone number. The 'e164', 'international',
+   * 'national' and 'rfc3966' formats use the metadata of the number's country,
+   * and return the value as it was if the number isn't valid.
+   */
+  'telephone': function (value, options) {
 
     // Default options.
     options = extender.defaults({
       pattern:       null,
       format:        'basic',
       international: null,  //by default we keep the formatted number in the same format it was given.
-      countryCode:   '??'   //country code without the '+'.
+      countryCode:   null,  //country code without the '+'.
+      country:       null   //the region code of national numbers, e.g. 'GB'.
     }, options);
 
+    // Change our copy of the options, so the caller can use theirs again.
+    if (options.format === 'default') { options.format = 'basic'; }
+
+    // Formats that need to know the country of the number.
+    if (!options.pattern && countryFormats.indexOf(options.format) > -1) {
+      var number = telephones.parse(value, options.country);
+      return (number.error ? value : telephones.format(number, options.format));
+    }
+
     var valMatch         = value.replace(/[^\d\+\.]/gi, '').match(/(?:\+(\d+)\.)?(\d+)/);
+    var country          = telephones.getCountry(options.country);
     var isInternational  = Boolean(valMatch && valMatch[1]);
-    var useInternational = (options.international === null ? isInternational : options.international);
-    var countryCode      = (isInternational ? valMatch[1] : options.countryCode);
+    var countryCode      = (isInternational ? valMatch[1] : options.countryCode || (country && country.code));
+    var useInternational = Boolean(options.international === null ? isInternational : options.international && countryCode);
     var phoneNumber      = (valMatch ? valMatch[2] || '' : '');
 
     // Pre-defined patterns.
@@ -1080,20 +3906,30 @@ Foval.prototype.formatters = Foval.formatters = {
   },
 
   /*
-   * Returns a nicely formatted URL.
+   * Returns a nicely formatted URL. Normalising parses the URL, and returns the
+   * value as it was if it isn't a valid URL.
    */
   'url': function (value, options) {
 
-    if (options && options.protocol === 'default') { delete options.protocol; }
-
     // Default options.
     options = extender.defaults({
-      protocol: 'http'
+      protocol:      'http',
+      normalise:     false,
+      stripTracking: false,
+      upgradeHttps:  false
     }, options);
 
+    // Change our copy of the options, so the caller can use theirs again.
+    if (options.protocol === 'default') { options.protocol = 'http'; }
+
+    // Normalise the whole URL.
+    if (typeof value === 'string' && value.length && (options.normalise || options.stripTracking || options.upgradeHttps)) {
+      return urls.normalise(value, options);
+    }
+
     // Add the protocol to the front if we don't already have one.
     if (typeof value === 'string' && value.length) {
-      if (!value.match(new RegExp('^https?://', 'i'))) {
+      if (!urls.hasProtocol(value)) {
         return options.protocol + '://' + value;
       }
     }
@@ -1106,14 +3942,16 @@ Foval.prototype.formatters = Foval.formatters = {
 };
 
 /*
- * Contains various data validator functions.
+ * Contains various data validator functions. The optional 'params' are used in
+ * place of the options when filling in the validation message.
  * validate(form, definition, options, callback);
- * callback(err, isValid, reason);
+ * callback(err, isValid, reason, params);
  */
 Foval.prototype.validations = {
 
   /*
-   * Perform a custom validation using the function passed in.
+   * Perform a custom validation using the function passed in, which can call
+   * 'finish' or return a promise for either 'isValid' or { isValid, reason }.
    * custom(value, dataType, isRequired, finish);
    * finish(err, isValid, reason);
    * [options]
@@ -1141,37 +3979,506 @@ Foval.prototype.validations = {
       throw new ErrorNinja('custom-validation-no-function');
     }
 
-    // Run the custom validation function.
-    options.fn(definition.value, definition.dataType, definition.required, function (err, isValid, reason) {
+    // Run the custom validation function, which can also return a promise.
+    var args = [definition.value, definition.dataType, definition.required];
+    callUserFunction(options.fn, args, function (err, isValid, reason) {
+
       if (err) { return callback(err); }
+
+      // Promises can resolve with a hash containing the reason.
+      if (isValid && typeof isValid === 'object') {
+        reason  = isValid.reason;
+        isValid = Boolean(isValid.isValid);
+      }
+
       return callback(null, isValid, reason);
+
     });
 
   },
 
   /*
-   * A string field must represent an email address.
+   * Various tests on an array field, or on the records of a repeatable group
+   * field. The items themselves are validated using the element definition of
+   * the field.
+   * [options]
+   *  run      (bool>true)  Set false to prevent it from running.
+   *  minItems (int)        The minimum number of items allowed.
+   *  maxItems (int)        The maximum number of items allowed.
+   *  unique   (bool>false) Set true to disallow the same item appearing more than once (not for groups).
+   * [reasons]
+   *  'too-few-items'  There are fewer items than the minimum.
+   *  'too-many-items' There are more items than the maximum.
+   *  'not-unique'     The same item appears more than once.
+   */
+  'array': function (form, definition, options, callback) {
+
+    // Check the data type is correct.
+    var err = form.checkDataType('validation', 'array', ['array', 'group'], definition);
+    if (ErrorNinja.isNinja(err)) { throw err; }
+
+    // Default options.
+    options = extender.defaults({
+      minItems: null,
+      maxItems: null,
+      unique:   false
+    }, options);
+
+    var items = definition.value || [];
+
+    // No items and not required.
+    if (!items.length && !definition.required) {
+      return callback(null, true);
+    }
+
+    // Too few items.
+    if (typeof options.minItems === 'number' && items.length < options.minItems) {
+      return callback(null, false, 'too-few-items', options);
+    }
+
+    // Too many items.
+    if (typeof options.maxItems === 'number' && items.length > options.maxItems) {
+      return callback(null, false, 'too-many-items', options);
+    }
+
+    // The same item appears more than once, comparing dates by their time. Files and group records are never the same.
+    if (options.unique) {
+      var seen = {};
+      for (var i = 0, ilen = items.length ; i < ilen ; i++) {
+        var item = items[i];
+        if (definition.elementType === 'file' || definition.dataType === 'group') { continue; }
+        var key  = (item instanceof Date ? 'date:' + item.getTime() : typeof item + ':' + String(item));
+        if (seen[key]) { return callback(null, false, 'not-unique', options); }
+        seen[key] = true;
+      }
+    }
+
+    // Success!
+    return callback(null, true);
+
+  },
+
+  /*
+   * Compares the value of the field against the value of another field, e.g.
+   * an end date must be after a start date. Numbers and decimals are compared
+   * exactly, dates by their time and strings by their characters. Passes if
+   * either field has no value or an invalid value, or the other field was skipped.
+   * [options]
+   *  run      (bool>true) Set false to prevent it from running.
+   *  field    (string)    The name of the other field.
+   *  operator (string)    One of: 'gt', 'gte', 'lt', 'lte', 'ne'.
+   * [reasons]
+   *  'not-greater'          The value isn't greater than the other field ('gt').
+   *  'not-greater-or-equal' The value is less than the other field ('gte').
+   *  'not-less'             The value isn't less than the other field ('lt').
+   *  'not-less-or-equal'    The value is greater than the other field ('lte').
+   *  'not-different'        The value is the same as the other field ('ne').
+   *  'not-after', 'not-after-or-same', 'not-before', 'not-before-or-same'
+   *                         The same as the above for date, time and datetime fields.
+   *  'mismatched-types'     The values can't be compared, e.g. a date and a string.
+   */
+  'compare': function (form, definition, options, callback) {
+
+    // Default options.
+    options = extender.defaults({
+      field:    null,
+      operator: null
+    }, options);
+
+    // Get the other field.
+    var otherDefinition = form.getField(options.field);
+    if (!otherDefinition) {
+      throw new ErrorNinja('compare-validation-invalid-field', {
+        fieldName: definition.fieldName,
+        field:     options.field
+      });
+    }
+
+    // Check the operator is valid.
+    var operator = compareOperators[options.operator];
+    if (!compareOperators.hasOwnProperty(options.operator)) {
+      throw new ErrorNinja('compare-validation-invalid-operator', {
+        operator:       options.operator,
+        validOperators: Object.keys(compareOperators)
+      });
+    }
+
+    // Nothing to compare against, invalid values are reported by their own validations.
+    if (!hasValue(definition) || !hasValue(otherDefinition) || otherDefinition.isSkipped) {
+      return callback(null, true);
+    }
+    if (!isComparableValue(definition) || !isComparableValue(otherDefinition)) {
+      return callback(null, true);
+    }
+
+    var diff   = compareValues(definition, otherDefinition);
+    var params = {
+      field:    resolveLabel(otherDefinition, listLocales(form.locale, form.fallbackLocale)),
+      operator: options.operator
+    };
+
+    // The values are of different kinds, e.g. a date and a string.
+    if (diff === null) {
+      return callback(null, false, 'mismatched-types', params);
+    }
+
+    // The comparison failed, the message refers to the other field by its label.
+    if (!operator.test(diff)) {
+      var reason = (dateDataTypes.indexOf(definition.dataType) > -1 ? operator.dateReason : operator.reason);
+      return callback(null, false, reason, params);
+    }
+
+    // Success!
+    return callback(null, true);
+
+  },
+
+  /*
+   * A date, time or datetime field must have been given in one of its formats.
+   * [options]
+   *  run (bool>true) Set false to prevent it from running.
+   * [reasons]
+   *  'invalid-format' The value isn't in any of the field's formats.
+   *  'invalid-date'   The value is in the right format but isn't a real date or time, e.g. 31/02/2015.
+   */
+  'date': function (form, definition, options, callback) {
+
+    // Check the data type is correct.
+    var err = form.checkDataType('validation', 'date', dateDataTypes, definition);
+    if (ErrorNinja.isNinja(err)) { throw err; }
+
+    // No value and not required.
+    if ((definition.value === null || definition.value === '') && !definition.required) {
+      return callback(null, true);
+    }
+
+    // Parse the raw value to find out why it isn't a date.
+    var formats = definition.formats || ['iso'];
+    var input   = (definition.value instanceof Date && isNaN(definition.value.getTime()) ? definition.rawValue : definition.value);
+    var reason  = dates.check(input, definition.dataType, formats, definition.timezone);
+
+    if (reason) {
+      return callback(null, false, reason, {
+        formats: formats.map(function (format) {
+          return dates.describeFormat(format, definition.dataType);
+        }).join(', ')
+      });
+    }
+
+    // Success!
+    return callback(null, true);
+
+  },
+
+  /*
+   * Various tests on a date, time or datetime field. Date fields are compared by
+   * day, so 'today' is neither in the past or the future.
+   * [options]
+   *  run         (bool>true)  Set false to prevent it from running.
+   *  min         (mixed)      The earliest date allowed, see below.
+   *  max         (mixed)      The latest date allowed, see below.
+   *  notInPast   (bool>false) Set true to disallow dates in the past (not used by time fields).
+   *  notInFuture (bool>false) Set true to disallow dates in the future (not used by time fields).
+   * [bounds]
+   *  A Date, a number of milliseconds, a string in the ISO format of the field,
+   *  or relative to now e.g. '-18y', '+6mo', '-2w', '+30d', '+3h', '-15min',
+   *  'now' or 'today'.
+   * [reasons]
+   *  'too-early' The date is before the minimum.
+   *  'too-late'  The date is after the maximum.
+   *  'in-past'   The date is in the past.
+   *  'in-future' The date is in the future.
+   */
+  'date-range': function (form, definition, options, callback) {
+
+    // Check the data type is correct.
+    var err = form.checkDataType('validation', 'date-range', dateDataTypes, definition);
+    if (ErrorNinja.isNinja(err)) { throw err; }
+
+    // Default options.
+    options = extender.defaults({
+      min:         null,
+      max:         null,
+      notInPast:   false,
+      notInFuture: false
+    }, options);
+
+    // Leave invalid and missing dates to the 'date' and 'required' validations.
+    var value = definition.value;
+    if (!(value instanceof Date) || isNaN(value.getTime())) { return callback(null, true); }
+
+    var min    = (options.min === null ? null : parseDateBound(options.min, definition));
+    var max    = (options.max === null ? null : parseDateBound(options.max, definition));
+    var now    = (definition.dataType === 'date' ? dates.startOfToday(definition.timezone) : new Date());
+    var format = dates.describeFormat(definition.formats ? definition.formats[0] : 'iso', definition.dataType);
+    var params = {
+      min: (min ? dates.format(min, format, definition.timezone, definition.dataType) : null),
+      max: (max ? dates.format(max, format, definition.timezone, definition.dataType) : null)
+    };
+
+    // The date is too early.
+    if (min && value < min) {
+      return callback(null, false, 'too-early', params);
+    }
+
+    // The date is too late.
+    if (max && value > max) {
+      return callback(null, false, 'too-late', params);
+    }
+
+    // The date is in the past.
+    if (options.notInPast && definition.dataType !== 'time' && value < now) {
+      return callback(null, false, 'in-past', params);
+    }
+
+    // The date is in the future.
+    if (options.notInFuture && definition.dataType !== 'time' && value > now) {
+      return callback(null, false, 'in-future', params);
+    }
+
+    // Success!
+    return callback(null, true);
+
+  },
+
+  /*
+   * A decimal or currency field must be a number with no more digits than the
+   * field's 'precision' and no more decimal places than its 'scale'.
    * [options]
    *  run (bool>true) Set false to prevent it from running.
    * [reasons]
-   *  'invalid' The value isn't an email address.
+   *  'invalid'                 The value isn't a number.
+   *  'too-many-decimal-places' The value has more decimal places than the scale allows.
+   *  'too-many-digits'         The value has more digits than the precision allows.
+   */
+  'decimal': function (form, definition, options, callback) {
+
+    // Check the data type is correct.
+    var err = form.checkDataType('validation', 'decimal', decimalDataTypes, definition);
+    if (ErrorNinja.isNinja(err)) { throw err; }
+
+    // No value and not required.
+    if ((definition.value === null || definition.value === '') && !definition.required) {
+      return callback(null, true);
+    }
+
+    // Not a number.
+    if (!decimals.isDecimal(definition.value)) {
+      return callback(null, false, 'invalid');
+    }
+
+    var digits    = decimals.countDigits(definition.value);
+    var scale     = (typeof definition.scale === 'number' ? definition.scale : null);
+    var precision = (typeof definition.precision === 'number' ? definition.precision : null);
+    var params    = { precision: precision, scale: scale };
+
+    // Too many decimal places.
+    if (scale !== null && digits.fraction > scale) {
+      return callback(null, false, 'too-many-decimal-places', params);
+    }
+
+    // Too many digits, where the scale reserves digits for the decimal places.
+    if (precision !== null && (digits.integer > precision - (scale || 0) || digits.integer + digits.fraction > precision)) {
+      return callback(null, false, 'too-many-digits', params);
+    }
+
+    // Success!
+    return callback(null, true);
+
+  },
+
+  /*
+   * A string field must represent an email address. The domain can be an
+   * internationalised domain name, and the lists of domains can be given in
+   * either their unicode or punycode forms. Subdomains of the listed domains
+   * also match.
+   * [options]
+   *  run               (bool>true)  Set false to prevent it from running.
+   *  allowedDomains    (arr)        Only allow addresses at these domains, e.g. company domains.
+   *  blockDisposable   (bool>false) Set true to reject well known disposable email providers.
+   *  disposableDomains (arr)        Additional domains to reject as disposable.
+   *  checkMx           (bool>false) Set true to check the domain has mail servers via a DNS lookup.
+   *  resolver          (func)       Looks up MX records instead of the form's 'mxResolver' option.
+   *  lookupTimeout     (int>5000)   The number of milliseconds to wait for the DNS lookup.
+   *  failOnLookupError (bool>false) Set true to fail if the DNS lookup fails, instead of passing.
+   * [reasons]
+   *  'invalid'            The value isn't an email address.
+   *  'invalid-local-part' The part before the '@' isn't valid.
+   *  'invalid-domain'     The part after the '@' isn't a valid domain name.
+   *  'too-long'           The address is longer than email allows.
+   *  'domain-not-allowed' The domain isn't one of the allowed domains.
+   *  'disposable-domain'  The domain belongs to a disposable email provider.
+   *  'no-mx'              The domain doesn't exist or can't receive email.
+   *  'lookup-failed'      The DNS lookup failed or timed out, and 'failOnLookupError' is set.
    */
   'email': function (form, definition, options, callback) {
 
-    // Check the data type is correct.
-    var err = form.checkDataType('validation', 'email', ['email'], definition);
-    if (ErrorNinja.isNinja(err)) { throw err; }
+    // Check the data type is correct.
+    var err = form.checkDataType('validation', 'email', ['email'], definition);
+    if (ErrorNinja.isNinja(err)) { throw err; }
+
+    // Default options.
+    options = extender.defaults({
+      allowedDomains:    null,
+      blockDisposable:   false,
+      disposableDomains: null,
+      checkMx:           false,
+      resolver:          null,
+      lookupTimeout:     5000,
+      failOnLookupError: false
+    }, options);
+
+    // The resolver must be a function.
+    var resolver     = options.resolver || form.mxResolver || dns.resolveMx;
+    var hostResolver = form.hostResolver || dns.lookup;
+    if (options.checkMx && (typeof resolver !== 'function' || typeof hostResolver !== 'function')) {
+      throw new ErrorNinja('email-validation-invalid-resolver', {
+        resolver: (typeof resolver !== 'function' ? resolver : hostResolver)
+      });
+    }
+    if (options.checkMx) { checkLookupTimeout(definition, options.lookupTimeout); }
+
+    // No value and not required.
+    if (!definition.value && !definition.required) {
+      return callback(null, true);
+    }
+
+    var parsed = emails.parse(definition.value);
+    var params = { domain: parsed.unicodeDomain };
+
+    // Not a valid email address.
+    if (parsed.error) {
+      return callback(null, false, parsed.error);
+    }
+
+    // Not one of the allowed domains.
+    if (options.allowedDomains && !emails.matchesDomain(parsed.domain, options.allowedDomains)) {
+      return callback(null, false, 'domain-not-allowed', params);
+    }
+
+    // A disposable email address.
+    if ((options.blockDisposable && emails.isDisposable(parsed.domain)) ||
+        (options.disposableDomains && emails.matchesDomain(parsed.domain, options.disposableDomains))) {
+      return callback(null, false, 'disposable-domain', params);
+    }
+
+    // Success!
+    if (!options.checkMx) {
+      return callback(null, true);
+    }
+
+    var mxLookup   = limitResolverTime(resolver, options.lookupTimeout);
+    var hostLookup = limitResolverTime(hostResolver, options.lookupTimeout);
+
+    // Make sure the domain can receive email. We don't know if it can when the lookup fails, e.g. the DNS server is down.
+    emails.checkMailServer(parsed.domain, mxLookup, hostLookup, function (err, hasMailServer) {
+      if (err) { return callback(err); }
+      if (hasMailServer === null) { return callback(null, !options.failOnLookupError, 'lookup-failed', params); }
+      if (!hasMailServer) { return callback(null, false, 'no-mx', params); }
+      return callback(null, true);
+    });
+
+  },
+
+  /*
+   * Various tests on an uploaded file. The mime type is detected from the
+   * contents of the file where possible, rather than trusting the browser.
+   * [options]
+   *  run                 (bool>true)  Set false to prevent it from running.
+   *  minSize             (int)        The minimum file size in bytes.
+   *  maxSize             (int)        The maximum file size in bytes.
+   *  mimeTypes           (arr)        An array of allowed mime types, which can use wildcards e.g. 'image/*'.
+   *  extensions          (arr)        An array of allowed file extensions, without the dot.
+   *  checkContent        (bool>true)  Set false to skip checking the declared mime type against the contents.
+   *  requireKnownContent (bool>false) Set true to reject files whose contents can't be identified.
+   * [reasons]
+   *  'no-data'           The file contents weren't submitted, or couldn't be decoded.
+   *  'too-small'         The file is too small.
+   *  'too-large'         The file is too large.
+   *  'invalid-extension' The file extension isn't allowed.
+   *  'mime-mismatch'     The contents of the file don't match the declared mime type.
+   *  'unknown-content'   The contents of the file couldn't be identified.
+   *  'invalid-mime'      The mime type isn't allowed.
+   */
+  'file': function (form, definition, options, callback) {
+
+    // Check the data type is correct.
+    var err = form.checkDataType('validation', 'file', ['file'], definition);
+    if (ErrorNinja.isNinja(err)) { throw err; }
+
+    // Default options.
+    options = extender.defaults({
+      minSize:             null,
+      maxSize:             null,
+      mimeTypes:           null,
+      extensions:          null,
+      checkContent:        true,
+      requireKnownContent: false
+    }, options);
+
+    // The size limits must be numbers.
+    if ((options.minSize !== null && typeof options.minSize !== 'number') ||
+        (options.maxSize !== null && typeof options.maxSize !== 'number')) {
+      throw new ErrorNinja('file-validation-invalid-size', {
+        minSize: options.minSize,
+        maxSize: options.maxSize
+      });
+    }
+
+    var file = definition.value;
+
+    // No file selected, the 'required' validation will catch this if necessary.
+    if (!file) {
+      return callback(null, true);
+    }
+
+    // We don't have the file contents.
+    if (!file.buffer) {
+      return callback(null, false, 'no-data');
+    }
+
+    // File too small.
+    if (typeof options.minSize === 'number' && file.size < options.minSize) {
+      return callback(null, false, 'too-small', options);
+    }
+
+    // File too large.
+    if (typeof options.maxSize === 'number' && file.size > options.maxSize) {
+      return callback(null, false, 'too-large', options);
+    }
+
+    // The file extension isn't allowed.
+    if (options.extensions && options.extensions.length) {
+      var extensions = options.extensions.map(function (ext) {
+        return String(ext).replace(/^\./, '').toLowerCase();
+      });
 
-    // No value and not required.
-    if (!definition.value && !definition.required) {
-      return callback(null, true);
+      if (extensions.indexOf(file.extension) === -1) {
+        return callback(null, false, 'invalid-extension');
+      }
     }
 
-    var regexp = /^(([\w\d!#$%&'*+-\/=?^_`{|}~.]+)@((?:[\w\d\-]+)(?:\.[\w\d\-]+)+))$/i;
+    // The declared mime type doesn't match what's actually in the file, or the
+    // declared type has a signature that the contents don't have.
+    var signature = detectFileSignature(file.buffer);
+    if (options.checkContent && file.declaredMime) {
+      var isMismatch = (signature ?
+        !matchMimeType(file.declaredMime, [signature.mime].concat(signature.allows || [])) :
+        hasFileSignature(file.declaredMime)
+      );
 
-    // Not a valid email address (as best we can tell!)
-    if (!definition.value.match(regexp)) {
-      return callback(null, false, 'invalid');
+      if (isMismatch) { return callback(null, false, 'mime-mismatch'); }
+    }
+
+    // We don't know what's in the file.
+    if (options.requireKnownContent && !signature) {
+      return callback(null, false, 'unknown-content');
+    }
+
+    // The mime type isn't allowed.
+    var mime = (options.checkContent ? file.mime : file.declaredMime);
+    if (options.mimeTypes && options.mimeTypes.length && (!mime || !matchMimeType(mime, options.mimeTypes))) {
+      return callback(null, false, 'invalid-mime');
     }
 
     // Success!
@@ -1204,11 +4511,9 @@ Foval.prototype.validations = {
       maxSelections: null
     }, options);
 
-    // No hash provided.
-    if (definition.value !== Object(definition.value) || !Object.keys(definition.value).length) {
-      throw new ErrorNinja('hash-validation-invalid-hash', {
-        hash: definition.value
-      });
+    // Nothing selected, which is left to the 'required' validation.
+    if (!hasValue(definition)) {
+      return callback(null, true);
     }
 
     var isInvalidKey  = false;
@@ -1237,12 +4542,12 @@ Foval.prototype.validations = {
 
     // Not enough selections made.
     if (options.minSelections && numSelections < options.minSelections) {
-      return callback(null, false, 'too-few-selections');
+      return callback(null, false, 'too-few-selections', options);
     }
 
     // Too many selections made.
     if (options.maxSelections && numSelections > options.maxSelections) {
-      return callback(null, false, 'too-many-selections');
+      return callback(null, false, 'too-many-selections', options);
     }
 
     // Success!
@@ -1275,7 +4580,7 @@ Foval.prototype.validations = {
     // No list provided.
     if (Object.prototype.toString.call(options.list) !== '[object Array]') {
       throw new ErrorNinja('in-list-validation-invalid-list', {
-        list: list
+        list: options.list
       });
     }
 
@@ -1362,8 +4667,8 @@ Foval.prototype.validations = {
    * Various tests on a numeric field.
    * [options]
    *  run       (bool>true) Set false to prevent it from running.
-   *  min       (float)     The minimum number allowed.
-   *  max       (float)     The maximum number allowed.
+   *  min       (float)     The minimum number allowed, decimal and currency fields also accept a string e.g. '0.01'.
+   *  max       (float)     The maximum number allowed, decimal and currency fields also accept a string e.g. '9999.99'.
    *  allowZero (bool>true) Set false to disallow zero.
    * [reasons]
    *  'too-small'         The number is too small.
@@ -1373,7 +4678,7 @@ Foval.prototype.validations = {
   'numeric': function (form, definition, options, callback) {
 
     // Check the data type is correct.
-    var err = form.checkDataType('validation', 'numeric', ['int', 'float'], definition);
+    var err = form.checkDataType('validation', 'numeric', ['int', 'float'].concat(decimalDataTypes), definition);
     if (ErrorNinja.isNinja(err)) { throw err; }
 
     // Ensure options is always a hash and not a single value.
@@ -1383,14 +4688,36 @@ Foval.prototype.validations = {
       allowZero: true
     }, options);
 
+    // Decimals are compared exactly, leaving invalid numbers to the 'decimal' validation.
+    if (decimalDataTypes.indexOf(definition.dataType) > -1) {
+      if (!decimals.isDecimal(definition.value)) { return callback(null, true); }
+
+      var min = (options.min === null ? null : decimals.parse(options.min, '.', []));
+      var max = (options.max === null ? null : decimals.parse(options.max, '.', []));
+
+      if (min !== null && decimals.compare(definition.value, min) < 0) {
+        return callback(null, false, 'too-small', options);
+      }
+
+      if (max !== null && decimals.compare(definition.value, max) > 0) {
+        return callback(null, false, 'too-large', options);
+      }
+
+      if (!options.allowZero && decimals.compare(definition.value, '0') === 0) {
+        return callback(null, false, 'zero-not-allowed');
+      }
+
+      return callback(null, true);
+    }
+
     // The number is too small.
     if (typeof options.min === 'number' && definition.value < options.min) {
-      return callback(null, false, 'too-small');
+      return callback(null, false, 'too-small', options);
     }
 
     // The number is too large.
     if (typeof options.max === 'number' && definition.value > options.max) {
-      return callback(null, false, 'too-large');
+      return callback(null, false, 'too-large', options);
     }
 
     // Zero is not allowed!
@@ -1404,13 +4731,30 @@ Foval.prototype.validations = {
   },
 
   /*
-   * Uses the Countersign module to test the strength of the password.
+   * Checks the password against a password policy. Every rule is checked and
+   * each one that fails is listed in the 'failures' of the result, and the first
+   * of them becomes the reason. The Countersign module checks the requirements
+   * too, including its list of common passwords.
    * [options]
-   *  run          (bool>true) Set false to prevent it from running.
-   *  requirements (hash)      A list of options to pass to the Countersign module.
-   *  minScore     (int)       The minimum score required to pass.
+   *  run            (bool>true)  Set false to prevent it from running.
+   *  requirements   (hash)       A list of options to pass to the Countersign module.
+   *  minScore       (int)        The minimum Countersign score required to pass.
+   *  maxLength      (int>128)    The maximum number of characters, to limit the work of hashing the password.
+   *  minEntropy     (int>0)      The minimum estimated entropy in bits, 0 to turn off.
+   *  breached       (bool>false) Set true to check the list loaded by Foval.loadBreachedPasswords().
+   *  personalFields (array)      The names of fields with personal info the password mustn't contain, e.g. the email.
    * [reasons]
-   *  'too-weak' The password given wasn't strong enough to satisfy the Countersign tests.
+   *  'too-long'               The password is longer than the 'maxLength' option.
+   *  'too-short'              The password is shorter than the 'length' requirement.
+   *  'missing-lowercase'      The password doesn't contain a lowercase letter.
+   *  'missing-uppercase'      The password doesn't contain an uppercase letter.
+   *  'missing-digit'          The password doesn't contain a digit.
+   *  'missing-punctuation'    The password doesn't contain a punctuation character.
+   *  'missing-whitespace'     The password doesn't contain a space.
+   *  'contains-personal-info' The password contains the value of one of the 'personalFields'.
+   *  'breached'               The password is in the breached password list.
+   *  'low-entropy'            The password is too easy to guess.
+   *  'too-weak'               The password given wasn't strong enough to satisfy the Countersign tests.
    */
   'password': function (form, definition, options, callback) {
 
@@ -1429,22 +4773,65 @@ Foval.prototype.validations = {
         punctuation: false,
         common:      true
       },
-      minScore: 0
+      minScore:       0,
+      maxLength:      128,
+      minEntropy:     0,
+      breached:       false,
+      personalFields: []
     }, options);
 
+    // Get the values of the personal info fields.
+    var personalInfo = [].concat(options.personalFields || []).map(function (fieldName) {
+      var otherDefinition = form.getField(fieldName);
+      if (!otherDefinition) {
+        throw new ErrorNinja('password-validation-invalid-field', {
+          personalField: fieldName
+        });
+      }
+      return otherDefinition.value;
+    });
+
+    // We can't check a list that hasn't been loaded.
+    if (options.breached && !breachedPasswords) {
+      throw new ErrorNinja('password-validation-no-breached-list');
+    }
+
     // No value and not required.
     if (!definition.value && !definition.required) {
       return callback(null, true);
     }
 
+    var password = String(definition.value);
+    var params   = {
+      length:     options.requirements.length,
+      maxLength:  options.maxLength,
+      minEntropy: options.minEntropy,
+      failures:   []
+    };
+
+    // Don't check any further if the password is too long to hash safely.
+    if (options.maxLength && Array.from(password).length > options.maxLength) {
+      params.failures.push('too-long');
+      return callback(null, false, 'too-long', params);
+    }
+
+    // Check each rule of the policy.
+    params.failures = passwords.checkRequirements(password, options.requirements);
+    if (passwords.containsPersonalInfo(password, personalInfo))                         { params.failures.push('contains-personal-info'); }
+    if (options.breached && passwords.isBreached(password, breachedPasswords))           { params.failures.push('breached');               }
+    if (options.minEntropy && passwords.estimateEntropy(password) < options.minEntropy) { params.failures.push('low-entropy');            }
+
     // Test the password.
     var cs = new Countersign(options.requirements);
-    cs.test(definition.value, options.minScore, function (err, success, result) {
+    cs.test(password, options.minScore, function (err, success, result) {
 
       if (err) { throw err; }
 
+      // Countersign only has something to add if our own rules passed.
+      if (!success && !params.failures.length) { params.failures.push('too-weak'); }
+
       // Too weak!
-      if (!success) { return callback(null, false, 'too-weak'); }
+      if (params.failures.length) { return callback(null, false, params.failures[0], params); }
 
       // Success!
       return callback(null, true);
@@ -1453,6 +4840,34 @@ Foval.prototype.validations = {
 
   },
 
+  /*
+   * A radio field must have one of its declared choices selected.
+   * [options]
+   *  run (bool>true) Set false to prevent it from running.
+   * [reasons]
+   *  'invalid-choice' The value isn't one of the choices for the field.
+   */
+  'radio': function (form, definition, options, callback) {
+
+    // Check the data type is correct.
+    var err = form.checkDataType('validation', 'radio', ['radio'], definition);
+    if (ErrorNinja.isNinja(err)) { throw err; }
+
+    // Nothing selected, the 'required' validation will catch this if necessary.
+    if (definition.value === null || typeof definition.value === 'undefined') {
+      return callback(null, true);
+    }
+
+    // Not one of the choices.
+    if (definition.choices.indexOf(definition.value) === -1) {
+      return callback(null, false, 'invalid-choice');
+    }
+
+    // Success!
+    return callback(null, true);
+
+  },
+
   /*
    * Tests the field value against a regular expression.
    * [options]
@@ -1522,39 +4937,8 @@ Foval.prototype.validations = {
    */
   'required': function (form, definition, options, callback) {
 
-    var isPop = null;
-    var value = definition.value;
-
-    // Checks for the given data type.
-    switch (definition.dataType) {
-
-      case 'boolean':  isPop = Boolean(value === true || value === false);              break;
-
-      case 'checkbox': isPop = Boolean(value === true);                                 break;
-
-      case 'int':      isPop = Boolean(!isNaN(parseInt(value, 10)) && isFinite(value)); break;
-
-      case 'float':    isPop = Boolean(!isNaN(parseFloat(value)) && isFinite(value));   break;
-
-      case 'hash':
-        if (value === Object(value)) {  //is an object.
-          for (var h in value) {
-            if (value.hasOwnProperty(h)) {
-              if (value[h]) {  //stop on first truthy value because we only need 1 checkbox selected for this to be valid.
-                isPop = true;
-                break;
-              }
-            }
-          }
-        }
-        break;
-
-      default:         isPop = Boolean(value);                                          break;
-
-    }
-
     // Required field isn't present.
-    if (!isPop) { return callback(null, false, 'required'); }
+    if (!hasValue(definition)) { return callback(null, false, 'required'); }
 
     // Success!
     return callback(null, true);
@@ -1590,12 +4974,12 @@ Foval.prototype.validations = {
 
     // String too short.
     if (typeof options.min === 'number' && definition.value.length < options.min) {
-      return callback(null, false, 'too-short');
+      return callback(null, false, 'too-short', options);
     }
 
     // String too long.
     if (typeof options.max === 'number' && definition.value.length > options.max) {
-      return callback(null, false, 'too-long');
+      return callback(null, false, 'too-long', options);
     }
 
     // Success!
@@ -1604,19 +4988,31 @@ Foval.prototype.validations = {
   },
 
   /*
-   * A string field must represent a telephone number which must contain only
-   * digits unless using the international format.
+   * A string field must represent a telephone number. Numbers given with a
+   * country code, or national numbers in a field with a 'country', are checked
+   * against the metadata of their country. Other national numbers can only be
+   * checked by counting their digits.
    * [formats]
-   *  '+44.7912345678' International format.
-   *  '07912345678'    Local format.
+   *  '+44.7912345678'    International format.
+   *  '+44 20 7946 0018'  International format, with any spaces, dashes, dots or brackets.
+   *  '0044 20 7946 0018' International format, with the international dialling prefix.
+   *  '07912345678'       National format.
    * [options]
    *  run       (bool>true) Set false to prevent it from running.
    *  minDigits (int>1)     The minimum number of digits allowed.
    *  maxDigits (int)       The maximum number of digits allowed.
+   *  country   (string)    The country of national numbers, overrides the 'country' of the field.
+   *  countries (arr)       Only allow numbers from these countries, e.g. ['GB', 'IE'].
+   *  types     (arr)       Only allow these types of number, e.g. ['mobile'].
    * [reasons]
-   *  'invalid'   The value isn't a telephone number.
-   *  'too-short' There are too few digits.
-   *  'too-long'  There are too many digits.
+   *  'invalid'             The value isn't a telephone number.
+   *  'too-short'           There are too few digits.
+   *  'too-long'            There are too many digits.
+   *  'invalid-length'      The number of digits isn't valid for the country.
+   *  'invalid-country'     The country code isn't one we know.
+   *  'no-country'          The number needs a country code to check the 'countries' or 'types'.
+   *  'country-not-allowed' The number isn't from one of the allowed countries.
+   *  'type-not-allowed'    The number isn't one of the allowed types.
    */
   'telephone': function (form, definition, options, callback) {
 
@@ -1627,39 +5023,76 @@ Foval.prototype.validations = {
     // Ensure options is always a hash and not a single value.
     options = extender.defaults({
       minDigits: 1,
-      maxDigits: null
+      maxDigits: null,
+      country:   definition.country,
+      countries: null,
+      types:     null
     }, options);
 
+    // The country and any allowed countries must be ones we know.
+    [].concat(options.country || [], options.countries || []).forEach(function (country) {
+      if (!telephones.getCountry(country)) {
+        throw new ErrorNinja('invalid-telephone-country', { fieldName: definition.fieldName, country: country });
+      }
+    });
+
+    // The allowed types must be ones we can detect.
+    [].concat(options.types || []).forEach(function (type) {
+      if (!telephones.isNumberType(type)) {
+        throw new ErrorNinja('telephone-validation-invalid-type', { type: type });
+      }
+    });
+
     // No value and not required.
     if (!definition.value && !definition.required) {
       return callback(null, true);
     }
 
-    var regexp    = /(?:\+(\d+)\.)?(\d+)/i;
-    var match     = definition.value.match(regexp);
-    var minDigits = options.minDigits;
-    var maxDigits = options.maxDigits;
+    var number     = telephones.parse(definition.value, options.country);
+    var hasCountry = (number.error !== 'no-country');  //false for national numbers in a field without a country.
+    var minDigits  = options.minDigits;
+    var maxDigits  = options.maxDigits;
+
+    // National numbers without a country can only have their digits counted.
+    if (!hasCountry && (options.countries || options.types)) {
+      return callback(null, false, 'no-country');
+    }
 
     // Not a telephone number.
-    if (!match) { return callback(null, false, 'invalid'); }
+    if (hasCountry && number.error) {
+      return callback(null, false, number.error, extender.merge(options, number));
+    }
 
-    var isInternational = Boolean(match[1]);
-    var numberPart      = match[2];
+    var numberPart = (hasCountry ? number.nationalNumber : definition.value.replace(/\D/g, ''));
 
-    // International numbers usually drop the first digit '0'.
-    if (isInternational) {
+    // Numbers with a country don't include the first digit '0' that's dialled nationally.
+    if (hasCountry) {
       if (minDigits > 1) { minDigits--; }
       if (maxDigits) { maxDigits--; }
     }
 
     // Not enough digits.
     if (typeof minDigits === 'number' && numberPart.length < minDigits) {
-      return callback(null, false, 'too-short');
+      return callback(null, false, 'too-short', options);
     }
 
     // Too many digits.
     if (typeof maxDigits === 'number' && numberPart.length > maxDigits) {
-      return callback(null, false, 'too-long');
+      return callback(null, false, 'too-long', options);
+    }
+
+    // Not one of the allowed countries.
+    var countries = [].concat(options.countries || []).map(function (country) { return country.toUpperCase(); });
+    if (options.countries && countries.indexOf(number.country) === -1) {
+      return callback(null, false, 'country-not-allowed', options);
+    }
+
+    // Not one of the allowed types, we can't tell some countries' mobiles from their fixed lines.
+    if (options.types) {
+      var types = [].concat(options.types);
+      var isTypeAllowed = (types.indexOf(number.type) > -1 ||
+        (number.type === 'fixed-or-mobile' && (types.indexOf('fixed') > -1 || types.indexOf('mobile') > -1)));
+      if (!isTypeAllowed) { return callback(null, false, 'type-not-allowed', options); }
     }
 
     // Success!
@@ -1669,13 +5102,30 @@ Foval.prototype.validations = {
 
   /*
    * A string must represent a URL, by default the protocol is required but this
-   * can be disabled.
+   * can be disabled. Hosts can be domains, 'localhost' or IP addresses, and the
+   * lists of hosts also match subdomains.
    * [options]
-   *  run             (bool>true) Set false to prevent it from running.
-   *  requireProtocol (bool>true) Set false to allow URLs without any URL.
+   *  run               (bool>true)  Set false to prevent it from running.
+   *  requireProtocol   (bool>true)  Set false to allow URLs without a protocol.
+   *  protocols         (arr)        The protocols allowed, defaults to ['http', 'https'].
+   *  allowedHosts      (arr)        Only allow URLs on these hosts.
+   *  blockedHosts      (arr)        Reject URLs on these hosts.
+   *  allowCredentials  (bool>false) Set true to allow a username and password in the URL.
+   *  blockPrivate      (bool>false) Set true to reject 'localhost' and private, loopback and link-local IP addresses.
+   *  resolveHost       (bool>false) Set true to look up the host and reject it if it isn't found, or resolves to a private address when 'blockPrivate' is set.
+   *  resolver          (func)       Looks up the host instead of the form's 'hostResolver' option.
+   *  lookupTimeout     (int>5000)   The number of milliseconds to wait for the DNS lookup.
+   *  failOnLookupError (bool)       Set true to fail if the DNS lookup fails, instead of passing. Defaults to the value of 'blockPrivate'.
    * [reasons]
-   *  'invalid'           The value isn't a telephone number.
-   *  'protocol-required' The protocol is required but isn't present.
+   *  'invalid'                 The value isn't a URL.
+   *  'protocol-required'       The protocol is required but isn't present.
+   *  'protocol-not-allowed'    The protocol isn't one of the allowed protocols.
+   *  'credentials-not-allowed' The URL contains a username or password.
+   *  'host-not-allowed'        The host isn't one of the allowed hosts.
+   *  'host-blocked'            The host is one of the blocked hosts.
+   *  'private-address'         The host is on a private network.
+   *  'host-not-found'          The host doesn't exist.
+   *  'lookup-failed'           The DNS lookup failed or timed out, and 'failOnLookupError' is set.
    */
   'url': function (form, definition, options, callback) {
 
@@ -1685,32 +5135,450 @@ Foval.prototype.validations = {
 
     // Ensure options is always a hash and not a single value.
     options = extender.defaults({
-      requireProtocol: form.urlsRequireProtocol
+      requireProtocol:   form.urlsRequireProtocol,
+      protocols:         ['http', 'https'],
+      allowedHosts:      null,
+      blockedHosts:      null,
+      allowCredentials:  false,
+      blockPrivate:      false,
+      resolveHost:       false,
+      resolver:          null,
+      lookupTimeout:     5000,
+      failOnLookupError: null
     }, options);
 
+    // A host could get around the private address check by making its lookup fail.
+    if (options.failOnLookupError === null) { options.failOnLookupError = options.blockPrivate; }
+
+    // The resolver must be a function.
+    var resolver = options.resolver || form.hostResolver || dns.lookup;
+    if (options.resolveHost && typeof resolver !== 'function') {
+      throw new ErrorNinja('url-validation-invalid-resolver', {
+        resolver: resolver
+      });
+    }
+    if (options.resolveHost) { checkLookupTimeout(definition, options.lookupTimeout); }
+
     // No value and not required.
     if (!definition.value && !definition.required) {
       return callback(null, true);
     }
 
-    var regexp = /(^|\s|>)((?:(https?):\/\/|(www\.))(?:([\w%]+):([\w%]+)@)?((?:[\w]+\.)?(?:[\w\-_]+){1}(?:\.[a-z]+)+\.*)(?::(\d+))?((?:\/[a-z0-9\-._~:\/?#\[\]%!$&'()*+,;=]+)?[^,\.;:?'"-]\/*))($|\s|<|,|\.|;|:|\?|'|"|-)/gi;
-    var match  = definition.value.match(regexp);
+    var parsed    = urls.parse(definition.value);
+    var protocols = [].concat(options.protocols).map(function (protocol) { return String(protocol).toLowerCase().replace(/:$/, ''); });
+    var params    = { protocols: protocols.join(', ') };
 
     // Not a URL.
-    if (!match) { return callback(null, false, 'invalid'); }
+    if (parsed.error) { return callback(null, false, 'invalid'); }
+
+    var hostname = parsed.hostname;
 
     // Protocol required but not present.
-    if (options.requireProtocol && !definition.value.match(/^https?:\/\//i)) {
-      return callback(null, false, 'protocol-required');
+    if (options.requireProtocol && !parsed.hasProtocol) {
+      return callback(null, false, 'protocol-required', params);
+    }
+
+    // Not one of the allowed protocols.
+    if (protocols.indexOf(parsed.protocol) === -1) {
+      return callback(null, false, 'protocol-not-allowed', params);
+    }
+
+    // Usernames and passwords shouldn't be stored in plain text.
+    if (!options.allowCredentials && (parsed.url.username || parsed.url.password)) {
+      return callback(null, false, 'credentials-not-allowed');
+    }
+
+    // The host lists only apply to URLs with a host, e.g. not 'mailto' URLs.
+    if (hostname && options.allowedHosts && !urls.matchesHost(hostname, options.allowedHosts)) {
+      return callback(null, false, 'host-not-allowed', { host: hostname });
+    }
+    if (hostname && options.blockedHosts && urls.matchesHost(hostname, options.blockedHosts)) {
+      return callback(null, false, 'host-blocked', { host: hostname });
+    }
+
+    // A host on a private network.
+    if (options.blockPrivate && urls.isPrivateHost(hostname)) {
+      return callback(null, false, 'private-address', { host: hostname });
     }
 
     // Success!
-    return callback(null, true);
+    if (!options.resolveHost || !hostname || net.isIP(hostname.replace(/^\[|\]$/g, ''))) {
+      return callback(null, true);
+    }
+
+    // Make sure the host exists, and doesn't point to a private network.
+    urls.checkHostAddresses(hostname, limitResolverTime(resolver, options.lookupTimeout), function (err, isFound, isPrivate) {
+      if (err) { return callback(err); }
+      if (isFound === null) { return callback(null, !options.failOnLookupError, 'lookup-failed', { host: hostname }); }
+      if (!isFound) { return callback(null, false, 'host-not-found', { host: hostname }); }
+      if (options.blockPrivate && isPrivate) { return callback(null, false, 'private-address', { host: hostname }); }
+      return callback(null, true);
+    });
+
+  }
+
+};
+
+/*
+ * Compiles an array of field definitions once, so the resulting schema can be
+ * used to validate many sets of form data without redefining the fields.
+ * [options]
+ *  Any of the Foval constructor options, used as the defaults for each form.
+ */
+Foval.schema = function (definitions, options) {
+  return new FovalSchema(definitions, options);
+};
+
+/*
+ * Schema Constructor. Compiles each of the definitions and stores them in the
+ * order they were given.
+ */
+function FovalSchema (definitions, options) {
+  definitions = definitions || [];
+
+  this.options     = options || {};
+  this.definitions = [];
+  this.validators  = [];
+
+  var compiledFields = {};
+
+  // Compile each of the definitions.
+  for (var i = 0, ilen = definitions.length ; i < ilen ; i++) {
+    var compiled = compileDefinition(definitions[i]);
+
+    // Have we already defined this field?
+    if (compiledFields[compiled.fieldName]) {
+      throw new ErrorNinja('duplicate-field', { fieldName: compiled.fieldName });
+    }
+
+    compiledFields[compiled.fieldName] = compiled;
+    this.definitions.push(compiled);
+  }
+
+  // Throws if the fields depend on each other in a circle, or a rule refers to a field that doesn't exist.
+  groupFieldsByDependency(compiledFields);
+  compileRules(this.options.rules, compiledFields);
+
+};
+
+/*
+ * Adds a named validator to every form created by this schema, see
+ * Foval.addValidator().
+ * fn(form, fieldHash, finish);
+ * finish(err, results);
+ */
+FovalSchema.prototype.addValidator = function (name, fn, options) {
+
+  addValidatorTo(this.validators, name, fn, options);
+
+  // Enable chaining.
+  return this;
+
+};
+
+/*
+ * Add a function to perform some extra validation on the field data of every
+ * form created by this schema, as the 'additional-validation' validator.
+ * fn(form, fieldHash, finish);
+ * finish(err, additionalResults);
+ */
+FovalSchema.prototype.additionalValidation = function (fn) {
+
+  // Store the function.
+  if (typeof fn === 'function') { this.addValidator('additional-validation', fn); }
+
+  // Enable chaining.
+  return this;
+
+};
+
+/*
+ * Returns a new instance of Foval for the given data, with all the compiled
+ * fields already defined. The options given are merged with the schema's.
+ */
+FovalSchema.prototype.createForm = function (data, options) {
+
+  var form = new Foval(data, extender.merge({}, this.options, options || {}));
+
+  // Add each of the compiled definitions.
+  for (var i = 0, ilen = this.definitions.length ; i < ilen ; i++) {
+    form.useDefinition(this.definitions[i]);
+  }
+
+  // Add the validators, if any.
+  for (var v = 0, vlen = this.validators.length ; v < vlen ; v++) {
+    form.addValidator(this.validators[v].name, this.validators[v].fn, { skipIfInvalid: this.validators[v].skipIfInvalid });
+  }
+
+  return form;
+
+};
 
+/*
+ * Creates a form for the given data and validates it, the form is passed to
+ * the callback as the final parameter. The options are optional. If no
+ * callback is given a promise is returned instead, as with Foval.validate().
+ * callback(err, isFormValid, validationResults, fieldHash, form);
+ */
+FovalSchema.prototype.validate = function (data, options, callback) {
+
+  if (typeof options === 'function') {
+    callback = options;
+    options  = null;
+  }
+
+  // Return a promise if we don't have a callback.
+  if (typeof callback !== 'function') {
+    return promiseValidation(this.validate.bind(this, data, options));
+  }
+
+  var form;
+
+  // The constructor throws if the Foval Client version is too old.
+  try {
+    form = this.createForm(data, options);
+  } catch (err) {
+    return callback(err);
   }
 
+  form.validate(callback);
+
+};
+
+/*
+ * Returns Express/Connect middleware that validates each request against the
+ * given definitions (or schema). The data comes from the query string for GET
+ * requests and the body otherwise, as with the 'method' option in Foval
+ * Client. The result is attached to 'req.foval'. Valid requests continue to
+ * the next handler, and invalid ones are sent the errors in the response.
+ * [options]
+ *  formOptions    (hash|func)    Options for each form, or a function(req) that returns them e.g. to set the locale.
+ *  responseFormat (string>client) The format of the error response, see toResponse().
+ *  invalidStatus  (int>422)       The HTTP status code to send when the form is invalid.
+ *  sendErrors     (bool>true)     Set false to call next() for invalid forms too, and handle them yourself.
+ */
+Foval.middleware = function (definitions, options) {
+
+  // Default options.
+  options = extender.defaults({
+    formOptions:    null,
+    responseFormat: 'client',
+    invalidStatus:  422,
+    sendErrors:     true
+  }, options);
+
+  var schema = (definitions instanceof FovalSchema ? definitions : Foval.schema(definitions));
+
+  return function fovalMiddleware (req, res, next) {
+
+    var method      = (req.method || 'GET').toUpperCase();
+    var data        = (method === 'GET' || method === 'HEAD' ? req.query : req.body) || {};
+    var formOptions = (typeof options.formOptions === 'function' ? options.formOptions(req) : options.formOptions);
+
+    schema.validate(data, formOptions || {}, function (err, isFormValid, validationResults, fieldHash, form) {
+
+      // The browser needs to load the latest version of Foval Client.
+      if (err && (err.id === 'old-foval-client-version' || err.id === 'invalid-foval-client-version')) {
+        return sendJSON(res, 400, 'application/json', {
+          success: false,
+          error:   err.id,
+          message: err.human || err.message
+        });
+      }
+
+      // Other error.
+      else if (err) { return next(err); }
+
+      req.foval = {
+        form:              form,
+        isFormValid:       isFormValid,
+        validationResults: validationResults,
+        fieldHash:         fieldHash
+      };
+
+      // Success!
+      if (isFormValid || !options.sendErrors) { return next(); }
+
+      // Send the errors back.
+      var isProblem = (options.responseFormat === 'problem');
+      return sendJSON(
+        res,
+        options.invalidStatus,
+        (isProblem ? 'application/problem+json' : 'application/json'),
+        form.toResponse({ format: options.responseFormat, status: options.invalidStatus, instance: req.originalUrl || req.url })
+      );
+
+    });
+
+  };
+
 };
 
+/*
+ * Returns true if the result of a validation failed with the given severity,
+ * either 'error' or 'warning'.
+ */
+function isIssue (result, severity) {
+  return Boolean(result && typeof result === 'object' && result.passed === false &&
+    (result.severity === 'warning') === (severity === 'warning'));
+}
+
+/*
+ * Returns an array of the validations of the given field that failed with the
+ * given severity, including those of its items and group records, see
+ * Foval.getFieldErrors(). Unknown fields in group records are always errors.
+ */
+function listFieldIssues (form, fieldName, severity) {
+
+  var result     = (form.validationResults ? form.validationResults[fieldName] : null);
+  var definition = form.definitions[fieldName];
+  var issues     = [];
+
+  // No results for this field.
+  if (!result || !definition) { return issues; }
+
+  // Collect the failures.
+  for (var key in result) {
+    if (!result.hasOwnProperty(key)) { continue; }
+
+    if (isIssue(result[key], severity)) {
+      issues.push({
+        validation: key,
+        reason:     result[key].reason,
+        message:    result[key].message || null
+      });
+    }
+  }
+
+  // Collect the failures of each item.
+  if (definition.dataType === 'array') {
+    for (var index in result.items) {
+      if (!result.items.hasOwnProperty(index)) { continue; }
+
+      for (var itemKey in result.items[index]) {
+        var itemResult = result.items[index][itemKey];
+
+        if (isIssue(itemResult, severity)) {
+          issues.push({
+            validation: itemKey,
+            reason:     itemResult.reason,
+            message:    itemResult.message || null,
+            index:      parseInt(index, 10),
+            path:       fieldName + '.' + index
+          });
+        }
+      }
+    }
+  }
+
+  // Collect the failures of each record, including any fields that don't belong to the record.
+  (definition.subForms || []).forEach(function (subForm, index) {
+
+    var prefix  = fieldName + (definition.repeatable ? '.' + index : '') + '.';
+    var unknown = (severity === 'error' ? listUnknownFieldErrors(subForm) : []);
+
+    subForm.getFieldNames().forEach(function (subFieldName) {
+      listFieldIssues(subForm, subFieldName, severity).forEach(function (issue) {
+        issues.push({
+          validation: issue.validation,
+          reason:     issue.reason,
+          message:    issue.message,
+          path:       prefix + (issue.path || subFieldName)
+        });
+      });
+    });
+
+    unknown.forEach(function (error) {
+      issues.push({
+        validation: error.validation,
+        reason:     error.reason,
+        message:    error.message,
+        path:       prefix + error.field
+      });
+    });
+
+  });
+
+  return issues;
+
+}
+
+/*
+ * Returns an array of the results under '_form' that failed with the given
+ * severity, see Foval.getFormErrors().
+ */
+function listFormIssues (form, severity) {
+
+  var result = (form.validationResults ? form.validationResults._form : null);
+  var issues = [];
+
+  // Nothing about the form.
+  if (!result) { return issues; }
+
+  for (var key in result) {
+    if (!result.hasOwnProperty(key)) { continue; }
+
+    if (isIssue(result[key], severity)) {
+      issues.push({
+        validation: key,
+        reason:     result[key].reason,
+        message:    result[key].message || null
+      });
+    }
+  }
+
+  return issues;
+
+}
+
+/*
+ * Returns an error for each unknown field if they were rejected, in the same
+ * format as the 'flat' response.
+ */
+function listUnknownFieldErrors (form) {
+
+  var unknown = (form.validationResults ? form.validationResults[unknownResultKey] : null);
+
+  if (!unknown || unknown.isValid) { return []; }
+
+  return unknown.fields.map(function (key) {
+    return {
+      field:      key,
+      validation: 'unknown-fields',
+      reason:     'unknown-field',
+      message:    form.getMessage({ fieldName: key }, 'unknown-fields', 'unknown-field')
+    };
+  });
+
+}
+
+/*
+ * Returns an array of the errors about the whole form, each with the field
+ * '_form', for the flat and problem response formats.
+ */
+function listFormErrors (form) {
+
+  return form.getFormErrors().map(function (error) {
+    return {
+      field:      '_form',
+      validation: error.validation,
+      reason:     error.reason,
+      message:    error.message
+    };
+  });
+
+}
+
+/*
+ * Sends a JSON response without relying on Express, so the middleware also
+ * works with Connect.
+ */
+function sendJSON (res, statusCode, contentType, body) {
+  res.statusCode = statusCode;
+  res.setHeader('Content-Type', contentType + '; charset=utf-8');
+  res.end(JSON.stringify(body));
+}
+
 /*
  * Export the class.
  */
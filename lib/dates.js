@@ -0,0 +1,375 @@
+/*
+ * FOVAL DATES.
+ * Parses and formats the values of date, time and datetime fields, taking the
+ * timezone into account.
+ */
+
+var ME = module.exports;
+
+/*
+ * Private Variables.
+ */
+var tokenPatterns = {
+  'YYYY': '(\\d{4})',
+  'MM':   '(\\d{1,2})',
+  'M':    '(\\d{1,2})',
+  'DD':   '(\\d{1,2})',
+  'D':    '(\\d{1,2})',
+  'HH':   '(\\d{1,2})',
+  'H':    '(\\d{1,2})',
+  'mm':   '(\\d{2})',
+  'ss':   '(\\d{2})'
+};
+var tokenParts = {
+  'YYYY': 'year',
+  'MM':   'month',
+  'M':    'month',
+  'DD':   'day',
+  'D':    'day',
+  'HH':   'hour',
+  'H':    'hour',
+  'mm':   'minute',
+  'ss':   'second'
+};
+var parseTokenRE   = /YYYY|MM|M|DD|D|HH|H|mm|ss/g;
+var formatTokenRE  = /YYYY|YY|MM|M|DD|D|HH|H|mm|ss|SSS|Z/g;
+var isoPatterns    = {
+  'date':     /^(\d{4})-(\d{2})-(\d{2})$/,
+  'time':     /^(\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3})\d*)?)?$/,
+  'datetime': /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3})\d*)?)?)?\s*(Z|[+\-]\d{2}:?\d{2})?$/i
+};
+var isoFormats     = {
+  'date':     'YYYY-MM-DD',
+  'time':     'HH:mm:ss',
+  'datetime': 'YYYY-MM-DDTHH:mm:ss.SSSZ'
+};
+var displayFormats = {
+  'date':     'YYYY-MM-DD',
+  'time':     'HH:mm',
+  'datetime': 'YYYY-MM-DDTHH:mm'
+};
+var relativeUnits  = {
+  'min': 60 * 1000,
+  'h':   60 * 60 * 1000,
+  'd':   24 * 60 * 60 * 1000,
+  'w':   7 * 24 * 60 * 60 * 1000
+};
+
+/*
+ * Returns the offset of the timezone from UTC in minutes at the given moment.
+ * The timezone can be 'UTC', 'local', an offset like '+02:00' or an IANA name
+ * like 'Europe/London'. Throws a RangeError if the timezone is invalid.
+ */
+ME.getTimezoneOffset = function (timezone, date) {
+
+  date = date || new Date();
+
+  if (!timezone || String(timezone).toUpperCase() === 'UTC') { return 0; }
+  if (timezone === 'local') { return -date.getTimezoneOffset(); }
+
+  // A fixed offset.
+  var offsetMatch = String(timezone).match(/^([+\-])(\d{2}):?(\d{2})$/);
+  if (offsetMatch) {
+    return (offsetMatch[1] === '-' ? -1 : 1) * (parseInt(offsetMatch[2], 10) * 60 + parseInt(offsetMatch[3], 10));
+  }
+
+  // An IANA timezone, which we look up with Intl.
+  var parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone:  timezone,
+    hourCycle: 'h23',
+    year:      'numeric',
+    month:     'numeric',
+    day:       'numeric',
+    hour:      'numeric',
+    minute:    'numeric',
+    second:    'numeric'
+  }).formatToParts(date).forEach(function (part) {
+    parts[part.type] = parseInt(part.value, 10);
+  });
+
+  var asUTC = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour % 24, parts.minute, parts.second);
+  return Math.round((asUTC - (date.getTime() - date.getUTCMilliseconds())) / 60000);
+
+};
+
+/*
+ * Converts a wall clock time in the timezone, given as milliseconds as if it
+ * were UTC, into a real Date.
+ */
+ME.wallTimeToDate = function (wallTime, timezone) {
+
+  var guess  = wallTime - ME.getTimezoneOffset(timezone, new Date(wallTime)) * 60000;
+  var offset = ME.getTimezoneOffset(timezone, new Date(guess));
+
+  // Check again in case we crossed a daylight saving change.
+  return new Date(wallTime - offset * 60000);
+
+};
+
+/*
+ * Returns the wall clock parts of the date in the timezone.
+ */
+ME.getWallParts = function (date, timezone) {
+
+  var offset = ME.getTimezoneOffset(timezone, date);
+  var wall   = new Date(date.getTime() + offset * 60000);
+
+  return {
+    year:        wall.getUTCFullYear(),
+    month:       wall.getUTCMonth() + 1,
+    day:         wall.getUTCDate(),
+    hour:        wall.getUTCHours(),
+    minute:      wall.getUTCMinutes(),
+    second:      wall.getUTCSeconds(),
+    millisecond: wall.getUTCMilliseconds(),
+    offset:      offset
+  };
+
+};
+
+/*
+ * Returns the start of the day the date falls on in the timezone.
+ */
+ME.startOfDay = function (date, timezone) {
+  var parts = ME.getWallParts(date, timezone);
+  return ME.wallTimeToDate(Date.UTC(parts.year, parts.month - 1, parts.day), timezone);
+};
+
+/*
+ * Returns the start of today in the timezone.
+ */
+ME.startOfToday = function (timezone) {
+  return ME.startOfDay(new Date(), timezone);
+};
+
+/*
+ * Returns true if the format is 'iso' or only contains valid tokens.
+ */
+ME.isValidFormat = function (format) {
+  return (format === 'iso' || (typeof format === 'string' && format.search(parseTokenRE) !== -1));
+};
+
+/*
+ * Parses the value using the first of the formats that matches and returns a
+ * Date. An invalid Date is returned if none of the formats match, or if the
+ * value isn't a real date e.g. '31/02/2015'. Dates are passed straight through.
+ */
+ME.parse = function (value, dataType, formats, timezone) {
+  var result = parseValue(value, dataType, formats, timezone);
+  return result.date || new Date(NaN);
+};
+
+/*
+ * Returns null if the value can be parsed, otherwise the reason it can't be:
+ * 'invalid-format' if none of the formats match, or 'invalid-date' if the value
+ * matches a format but isn't a real date or time.
+ */
+ME.check = function (value, dataType, formats, timezone) {
+  var result = parseValue(value, dataType, formats, timezone);
+  if (result.date) { return null; }
+  return (result.matched ? 'invalid-date' : 'invalid-format');
+};
+
+/*
+ * Returns the format as it should be shown to the user, e.g. 'iso' for a date
+ * field becomes 'YYYY-MM-DD'.
+ */
+ME.describeFormat = function (format, dataType) {
+  return (format === 'iso' ? displayFormats[dataType] : format);
+};
+
+/*
+ * Returns a date relative to now, given a string like '-18y', '+30d', '+6mo',
+ * '-2w', '+3h', '-15min', 'now' or 'today', otherwise null.
+ */
+ME.parseRelative = function (value, timezone) {
+
+  if (value === 'now')   { return new Date(); }
+  if (value === 'today') { return ME.startOfToday(timezone); }
+
+  var match = String(value).match(/^([+\-]\d+)\s*(y|mo|w|d|h|min)$/);
+  if (!match) { return null; }
+
+  var amount = parseInt(match[1], 10);
+  var date   = new Date();
+
+  // Calendar units.
+  if (match[2] === 'y')  { date.setUTCFullYear(date.getUTCFullYear() + amount); return date; }
+  if (match[2] === 'mo') { date.setUTCMonth(date.getUTCMonth() + amount);       return date; }
+
+  return new Date(date.getTime() + amount * relativeUnits[match[2]]);
+
+};
+
+/*
+ * Formats the date in the timezone using the given format, which can contain
+ * the tokens YYYY, YY, MM, M, DD, D, HH, H, mm, ss, SSS and Z, or be 'iso'.
+ */
+ME.format = function (date, format, timezone, dataType) {
+
+  var parts = ME.getWallParts(date, timezone);
+
+  if (!format || format === 'iso') { format = isoFormats[dataType || 'datetime']; }
+
+  return format.replace(formatTokenRE, function (token) {
+    switch (token) {
+      case 'YYYY': return String(parts.year);
+      case 'YY':   return pad(parts.year % 100, 2);
+      case 'MM':   return pad(parts.month, 2);
+      case 'M':    return String(parts.month);
+      case 'DD':   return pad(parts.day, 2);
+      case 'D':    return String(parts.day);
+      case 'HH':   return pad(parts.hour, 2);
+      case 'H':    return String(parts.hour);
+      case 'mm':   return pad(parts.minute, 2);
+      case 'ss':   return pad(parts.second, 2);
+      case 'SSS':  return pad(parts.millisecond, 3);
+      case 'Z':    return formatOffset(parts.offset);
+    }
+  });
+
+};
+
+/*
+ * Tries each of the formats in turn and returns a hash of { matched, date },
+ * where date is null if the value couldn't be parsed.
+ */
+function parseValue (value, dataType, formats, timezone) {
+
+  var matched = false;
+
+  if (value instanceof Date) { return { matched: true, date: (isNaN(value.getTime()) ? null : value) }; }
+
+  value = String(value).trim();
+
+  for (var f = 0, flen = formats.length ; f < flen ; f++) {
+    var parts = (formats[f] === 'iso' ? parseISO(value, dataType) : parseFormat(value, formats[f]));
+    if (!parts) { continue; }
+
+    matched = true;
+
+    var date = partsToDate(parts, dataType, timezone);
+    if (date) { return { matched: true, date: date }; }
+  }
+
+  return { matched: matched, date: null };
+
+}
+
+/*
+ * Returns the parts of an ISO 8601 value, or null if it doesn't match.
+ */
+function parseISO (value, dataType) {
+
+  var match = value.match(isoPatterns[dataType]);
+  if (!match) { return null; }
+
+  if (dataType === 'time') {
+    return { hour: match[1], minute: match[2], second: match[3], millisecond: match[4] };
+  }
+
+  return {
+    year:        match[1],
+    month:       match[2],
+    day:         match[3],
+    hour:        match[4],
+    minute:      match[5],
+    second:      match[6],
+    millisecond: match[7],
+    offset:      match[8]
+  };
+
+}
+
+/*
+ * Returns the parts of a value in a custom format like 'DD/MM/YYYY', or null
+ * if it doesn't match.
+ */
+function parseFormat (value, format) {
+
+  var order  = [];
+  var source = format.split(parseTokenRE).map(escapeRegExp);
+  var tokens = format.match(parseTokenRE) || [];
+  var regexp = source[0];
+
+  for (var t = 0, tlen = tokens.length ; t < tlen ; t++) {
+    order.push(tokenParts[tokens[t]]);
+    regexp += tokenPatterns[tokens[t]] + source[t + 1];
+  }
+
+  var match = value.match(new RegExp('^' + regexp + '$'));
+  if (!match) { return null; }
+
+  var parts = {};
+  for (var o = 0, olen = order.length ; o < olen ; o++) {
+    parts[order[o]] = match[o + 1];
+  }
+
+  return parts;
+
+}
+
+/*
+ * Converts the parsed parts into a Date, or returns null if any of the parts
+ * are out of range.
+ */
+function partsToDate (parts, dataType, timezone) {
+
+  var year        = (dataType === 'time' ? 1970 : toInt(parts.year, 1970));
+  var month       = (dataType === 'time' ? 1    : toInt(parts.month, 1));
+  var day         = (dataType === 'time' ? 1    : toInt(parts.day, 1));
+  var hour        = (dataType === 'date' ? 0    : toInt(parts.hour, 0));
+  var minute      = (dataType === 'date' ? 0    : toInt(parts.minute, 0));
+  var second      = (dataType === 'date' ? 0    : toInt(parts.second, 0));
+  var millisecond = (dataType === 'date' ? 0    : toInt(String(parts.millisecond || '0').concat('00').slice(0, 3), 0));
+
+  // Check the parts are in range, including the number of days in the month.
+  var daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  if (month < 1 || month > 12 || day < 1 || day > daysInMonth) { return null; }
+  if (hour > 23 || minute > 59 || second > 59) { return null; }
+
+  var wallTime = Date.UTC(year, month - 1, day, hour, minute, second, millisecond);
+  if (year < 100) { wallTime = new Date(wallTime).setUTCFullYear(year); }
+
+  // The value has its own offset.
+  if (parts.offset) {
+    var offset = (parts.offset.toUpperCase() === 'Z' ? 0 : ME.getTimezoneOffset(parts.offset.replace(/^([+\-]\d{2})(\d{2})$/, '$1:$2')));
+    return new Date(wallTime - offset * 60000);
+  }
+
+  return ME.wallTimeToDate(wallTime, timezone);
+
+}
+
+/*
+ * Returns the offset in minutes as '+HH:MM', or 'Z' for UTC.
+ */
+function formatOffset (offset) {
+  if (!offset) { return 'Z'; }
+  var abs = Math.abs(offset);
+  return (offset < 0 ? '-' : '+') + pad(Math.floor(abs / 60), 2) + ':' + pad(abs % 60, 2);
+}
+
+/*
+ * Pads the number with zeros to the given length.
+ */
+function pad (number, length) {
+  var str = String(number);
+  while (str.length < length) { str = '0' + str; }
+  return str;
+}
+
+/*
+ * Returns the integer value of the string, or the default value if not set.
+ */
+function toInt (value, defaultValue) {
+  return (typeof value === 'undefined' || value === null ? defaultValue : parseInt(value, 10));
+}
+
+/*
+ * Escapes a string for use in a regular expression.
+ */
+function escapeRegExp (str) {
+  return str.replace(/[\-\[\]\/\{\}\(\)\*\+\?\.\\\^\$\|]/g, '\\$&');
+}
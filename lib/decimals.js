@@ -0,0 +1,242 @@
+/*
+ * FOVAL DECIMALS.
+ * Exact decimal numbers for decimal and currency fields. Values are kept as
+ * strings like '-1234.50' so they never pass through a binary float.
+ */
+
+var ME = module.exports;
+
+/*
+ * Private Variables.
+ */
+var localeSeparators = {  //the separators we accept for each locale, and whether currency symbols go first.
+  'en': { decimal: '.', thousands: [','],                      symbolFirst: true  },
+  'fr': { decimal: ',', thousands: [' ', '\u00a0', '\u202f'], symbolFirst: false },
+  'de': { decimal: ',', thousands: ['.'],                      symbolFirst: false }
+};
+var currencies       = {  //the symbol and number of minor units of common currencies.
+  'AUD': { symbol: 'A$',  scale: 2 },
+  'CAD': { symbol: 'CA$', scale: 2 },
+  'CHF': { symbol: 'CHF', scale: 2 },
+  'CNY': { symbol: '¥',   scale: 2 },
+  'EUR': { symbol: '€',   scale: 2 },
+  'GBP': { symbol: '£',   scale: 2 },
+  'INR': { symbol: '₹',   scale: 2 },
+  'JPY': { symbol: '¥',   scale: 0 },
+  'KWD': { symbol: 'KD',  scale: 3 },
+  'NZD': { symbol: 'NZ$', scale: 2 },
+  'USD': { symbol: '$',   scale: 2 }
+};
+var canonicalRE      = /^(-?)(\d+)(?:\.(\d+))?$/;
+
+/*
+ * Returns the separators to use for the locale, e.g. 'fr-CA' uses the 'fr'
+ * separators. Unknown locales use the English separators.
+ */
+ME.getSeparators = function (locale) {
+  var language = String(locale || 'en').toLowerCase().split(/[\-_]/)[0];
+  return localeSeparators[language] || localeSeparators['en'];
+};
+
+/*
+ * Returns the symbol and scale of the currency, or null if we don't know it.
+ */
+ME.getCurrency = function (code) {
+  return currencies[String(code || '').toUpperCase()] || null;
+};
+
+/*
+ * Returns true if the value is a decimal string in the canonical form.
+ */
+ME.isDecimal = function (value) {
+  return (typeof value === 'string' && canonicalRE.test(value));
+};
+
+/*
+ * Parses the value into a canonical decimal string like '-1234.5', or returns
+ * null if it isn't a number. Strings can use the given decimal separator and
+ * thousands separators, but the thousands must be grouped correctly. Trailing
+ * zeros are removed from the fraction.
+ */
+ME.parse = function (value, decimalSeparator, thousandsSeparators) {
+
+  // Numbers are already parsed, but may be in exponent notation.
+  if (typeof value === 'number') {
+    return (isFinite(value) ? fromExponent(String(value)) : null);
+  }
+
+  var str   = String(value).trim();
+  var match = str.match(/^([+\-]?)\s*([\s\S]*)$/);  //values can contain line breaks, e.g. from a textarea.
+  var sign  = match[1];
+  var rest  = match[2];
+
+  // Split off the fraction.
+  var parts = rest.split(decimalSeparator);
+  if (parts.length > 2) { return null; }
+
+  var integer  = parts[0];
+  var fraction = (parts.length === 2 ? parts[1] : '');
+
+  // Remove the thousands separators, checking they're in the right places.
+  for (var t = 0, tlen = thousandsSeparators.length ; t < tlen ; t++) {
+    var separator = thousandsSeparators[t];
+    if (integer.indexOf(separator) === -1) { continue; }
+
+    var groups = integer.split(separator);
+    for (var g = 0, glen = groups.length ; g < glen ; g++) {
+      if (!groups[g].match(g === 0 ? /^\d{1,3}$/ : /^\d{3}$/)) { return null; }
+    }
+
+    integer = groups.join('');
+  }
+
+  if (!integer.match(/^\d*$/) || !fraction.match(/^\d*$/) || !(integer + fraction).length) { return null; }
+
+  return normalise(sign === '-', integer, fraction);
+
+};
+
+/*
+ * Returns the number of digits before and after the decimal point, ignoring
+ * leading zeros in the integer and trailing zeros in the fraction.
+ */
+ME.countDigits = function (value) {
+
+  var match    = value.match(canonicalRE);
+  var integer  = match[2].replace(/^0+/, '');
+  var fraction = (match[3] || '').replace(/0+$/, '');
+
+  return { integer: integer.length, fraction: fraction.length };
+
+};
+
+/*
+ * Compares two decimals exactly and returns -1, 0 or 1. Numbers are converted
+ * to decimal strings first.
+ */
+ME.compare = function (a, b) {
+
+  a = splitDecimal(typeof a === 'number' ? fromExponent(String(a)) : a);
+  b = splitDecimal(typeof b === 'number' ? fromExponent(String(b)) : b);
+
+  // Different signs (zero is never negative).
+  if (a.negative !== b.negative) { return (a.negative ? -1 : 1); }
+
+  var direction = (a.negative ? -1 : 1);
+
+  // More integer digits means a larger number.
+  if (a.integer.length !== b.integer.length) {
+    return (a.integer.length > b.integer.length ? direction : -direction);
+  }
+
+  // Otherwise compare digit by digit, padding the fractions to the same length.
+  var length = Math.max(a.fraction.length, b.fraction.length);
+  var digitsA = a.integer + padRight(a.fraction, length);
+  var digitsB = b.integer + padRight(b.fraction, length);
+
+  if (digitsA === digitsB) { return 0; }
+  return (digitsA > digitsB ? direction : -direction);
+
+};
+
+/*
+ * Returns the decimal with exactly the given number of decimal places, rounding
+ * half away from zero if necessary.
+ */
+ME.toScale = function (value, scale) {
+
+  var parts    = splitDecimal(value);
+  var fraction = padRight(parts.fraction, scale);
+  var digits   = parts.integer + fraction.substr(0, scale);
+
+  // Round up if the first dropped digit is 5 or more.
+  if (fraction.length > scale && fraction.charAt(scale) >= '5') {
+    digits = increment(digits);
+  }
+
+  var integer = digits.substr(0, digits.length - scale) || '0';
+  return normalise(parts.negative, integer, digits.substr(digits.length - scale), scale);
+
+};
+
+/*
+ * Returns the decimal with thousands separators and the given decimal
+ * separator, e.g. '1234.5' becomes '1,234.5'.
+ */
+ME.format = function (value, decimalSeparator, thousandsSeparator) {
+
+  var parts   = splitDecimal(value);
+  var integer = parts.integer.replace(/\B(?=(\d{3})+(?!\d))/g, thousandsSeparator);
+
+  return (parts.negative ? '-' : '') + integer + (parts.fraction ? decimalSeparator + parts.fraction : '');
+
+};
+
+/*
+ * Returns the canonical decimal string, padding the fraction to the minimum
+ * number of decimal places if given.
+ */
+function normalise (negative, integer, fraction, minScale) {
+
+  integer  = integer.replace(/^0+/, '') || '0';
+  fraction = padRight(fraction.replace(/0+$/, ''), minScale || 0);
+
+  // Zero is never negative.
+  if (integer === '0' && !fraction.match(/[1-9]/)) { negative = false; }
+
+  return (negative ? '-' : '') + integer + (fraction ? '.' + fraction : '');
+
+}
+
+/*
+ * Converts a number as a string, which may be in exponent notation like
+ * '1e-7', into a canonical decimal string.
+ */
+function fromExponent (str) {
+
+  var match = str.match(/^(-?)(\d+)(?:\.(\d+))?(?:e([+\-]?\d+))?$/i);
+  if (!match) { return null; }
+
+  var digits   = match[2] + (match[3] || '');
+  var point    = match[2].length + parseInt(match[4] || '0', 10);
+  var integer  = (point <= 0 ? '0' : padRight(digits, point).substr(0, point));
+  var fraction = (point <= 0 ? new Array(1 - point).join('0') + digits : digits.substr(point));
+
+  return normalise(match[1] === '-', integer, fraction);
+
+}
+
+/*
+ * Splits a canonical decimal string into its sign, integer and fraction.
+ */
+function splitDecimal (value) {
+  var match = String(value).match(canonicalRE);
+  return { negative: match[1] === '-', integer: match[2].replace(/^0+(?=\d)/, ''), fraction: match[3] || '' };
+}
+
+/*
+ * Adds one to a string of digits.
+ */
+function increment (digits) {
+
+  var result = digits.split('');
+
+  for (var d = result.length - 1 ; d >= 0 ; d--) {
+    if (result[d] !== '9') {
+      result[d] = String(parseInt(result[d], 10) + 1);
+      return result.join('');
+    }
+    result[d] = '0';
+  }
+
+  return '1' + result.join('');
+
+}
+
+/*
+ * Pads the string with zeros on the right to the given length.
+ */
+function padRight (str, length) {
+  while (str.length < length) { str += '0'; }
+  return str;
+}
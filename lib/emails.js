@@ -0,0 +1,212 @@
+/*
+ * FOVAL EMAILS.
+ * Parses, normalises and checks the domains of email addresses. Addresses can
+ * use internationalised domain names (IDN) and non-ASCII local parts.
+ */
+
+var url = require('url');
+
+var ME = module.exports;
+
+/*
+ * Private Variables.
+ */
+var maxLength         = 254;  //the longest address that can be used in the SMTP 'RCPT TO' command.
+var maxLocalLength    = 64;   //the longest local part, in bytes.
+var atextRE           = /^[A-Za-z0-9!#$%&'*+\/=?^_`{|}~\-\u0080-\uffff]+(?:\.[A-Za-z0-9!#$%&'*+\/=?^_`{|}~\-\u0080-\uffff]+)*$/;
+var quotedRE          = /^"(?:[\x20\x21\x23-\x5b\x5d-\x7e\u0080-\uffff]|\\[\x20-\x7e])*"$/;
+var labelRE           = /^[a-z0-9](?:[a-z0-9\-]{0,61}[a-z0-9])?$/;
+var notFoundCodes     = ['ENOTFOUND', 'ENODATA'];  //DNS errors that mean the records don't exist, rather than the lookup failing.
+var providers         = {  //mailbox providers that ignore parts of the local part.
+  'gmail.com':      { domain: 'gmail.com', ignoreDots: true, plusTags: true },
+  'googlemail.com': { domain: 'gmail.com', ignoreDots: true, plusTags: true },
+  'outlook.com':    { plusTags: true },
+  'hotmail.com':    { plusTags: true },
+  'live.com':       { plusTags: true },
+  'icloud.com':     { plusTags: true },
+  'me.com':         { plusTags: true },
+  'fastmail.com':   { plusTags: true },
+  'proton.me':      { plusTags: true },
+  'protonmail.com': { plusTags: true }
+};
+var disposableDomains = [  //well known disposable email providers.
+  '10minutemail.com',
+  '20minutemail.com',
+  'burnermail.io',
+  'discard.email',
+  'dispostable.com',
+  'emailondeck.com',
+  'fakeinbox.com',
+  'getairmail.com',
+  'getnada.com',
+  'guerrillamail.biz',
+  'guerrillamail.com',
+  'guerrillamail.de',
+  'guerrillamail.net',
+  'guerrillamail.org',
+  'guerrillamailblock.com',
+  'maildrop.cc',
+  'mailcatch.com',
+  'mailinator.com',
+  'mailnesia.com',
+  'mintemail.com',
+  'moakt.com',
+  'mohmal.com',
+  'mytemp.email',
+  'sharklasers.com',
+  'spambox.us',
+  'spamgourmet.com',
+  'temp-mail.org',
+  'tempail.com',
+  'tempmail.net',
+  'tempr.email',
+  'throwawaymail.com',
+  'trashmail.com',
+  'trashmail.de',
+  'yopmail.com',
+  'yopmail.fr'
+];
+
+/*
+ * Parses the email address and returns { local, domain, unicodeDomain }, where
+ * the domain is in its ASCII (punycode) form. If the address isn't valid,
+ * returns { error } with one of the reasons: 'invalid', 'invalid-local-part',
+ * 'invalid-domain' or 'too-long'.
+ */
+ME.parse = function (value) {
+
+  var str = String(value);
+  var at  = str.lastIndexOf('@');  //quoted local parts can contain '@'.
+
+  // We need something either side of the '@'.
+  if (at < 1 || at === str.length - 1) { return { error: 'invalid' }; }
+
+  var local  = str.substr(0, at);
+  var domain = ME.toASCIIDomain(str.substr(at + 1));
+
+  if (!atextRE.test(local) && !quotedRE.test(local)) { return { error: 'invalid-local-part' }; }
+  if (!domain)                                       { return { error: 'invalid-domain' };     }
+
+  // The limits are in bytes, so non-ASCII characters count for more.
+  if (Buffer.byteLength(local) > maxLocalLength || Buffer.byteLength(local) + 1 + domain.length > maxLength) {
+    return { error: 'too-long' };
+  }
+
+  return {
+    local:         local,
+    domain:        domain,
+    unicodeDomain: url.domainToUnicode(domain)
+  };
+
+};
+
+/*
+ * Returns the ASCII (punycode) form of the domain in lowercase, or null if it
+ * isn't a valid domain name. IP addresses and single labels aren't allowed.
+ */
+ME.toASCIIDomain = function (domain) {
+
+  var ascii  = url.domainToASCII(String(domain || ''));
+  var labels = ascii.split('.');
+
+  if (!ascii || ascii.length > 253 || labels.length < 2) { return null; }
+  if (!labels.every(function (label) { return labelRE.test(label); })) { return null; }
+
+  // The top level domain is never a number, which also rules out IP addresses.
+  if (/^\d+$/.test(labels[labels.length - 1])) { return null; }
+
+  return ascii;
+
+};
+
+/*
+ * Returns true if the (ASCII) domain is one of the domains in the list, or a
+ * subdomain of one of them. The domains in the list can be in either form.
+ */
+ME.matchesDomain = function (domain, list) {
+
+  return [].concat(list || []).some(function (item) {
+    var entry = ME.toASCIIDomain(item);
+    return Boolean(entry && (domain === entry || domain.substr(-entry.length - 1) === '.' + entry));
+  });
+
+};
+
+/*
+ * Returns true if the (ASCII) domain belongs to a well known disposable email
+ * provider.
+ */
+ME.isDisposable = function (domain) {
+  return ME.matchesDomain(domain, disposableDomains);
+};
+
+/*
+ * Looks up the mail servers of the (ASCII) domain using the MX resolver, which
+ * is called like dns.resolveMx(). Domains without MX records can still receive
+ * email at their own address, so we fall back to the host resolver, which is
+ * called like dns.lookup(). Passes back false if the domain doesn't exist, has
+ * no records or has a null MX record saying it doesn't accept email, and null
+ * if the lookup failed, e.g. it timed out or the DNS server had an error.
+ * callback(err, hasMailServer);
+ */
+ME.checkMailServer = function (domain, mxResolver, hostResolver, callback) {
+
+  mxResolver(domain, function (err, records) {
+
+    if (err && err.code === 'ENOTFOUND') { return callback(null, false); }
+    if (err && err.code !== 'ENODATA')   { return callback(null, null);  }
+
+    records = (err ? [] : records || []);
+
+    // A null MX record means the domain doesn't accept email at all.
+    var isNullMx = records.some(function (record) { return (record && record.exchange === '.'); });
+    if (isNullMx) { return callback(null, false); }
+    if (records.length) { return callback(null, true); }
+
+    hostResolver(domain, { all: true }, function (err, addresses) {
+      if (err && notFoundCodes.indexOf(err.code) > -1) { return callback(null, false); }
+      if (err) { return callback(null, null); }
+      return callback(null, [].concat(addresses || []).length > 0);
+    });
+
+  });
+
+};
+
+/*
+ * Returns the normalised email address, or the value as it was if it isn't a
+ * valid address.
+ * [options]
+ *  lowercaseDomain (bool>true)  Set false to keep the case of the domain.
+ *  lowercaseLocal  (bool>false) Set true to lowercase the local part, most providers ignore its case.
+ *  stripPlusTags   (bool>false) Set true to remove tags like '+news' from the end of the local part.
+ *  providerRules   (bool>false) Set true to apply the rules of well known providers, e.g. Gmail ignores dots.
+ *  domainEncoding  (string)     Set 'punycode' or 'unicode' to convert internationalised domains.
+ */
+ME.normalise = function (value, options) {
+
+  var parsed = ME.parse(value);
+  if (parsed.error) { return value; }
+
+  var str      = String(value);
+  var local    = parsed.local;
+  var domain   = str.substr(str.lastIndexOf('@') + 1);
+  var provider = (options.providerRules ? providers[parsed.domain] : null);
+  var isQuoted = (local.charAt(0) === '"');
+
+  // Tags are only removed if there's something left, and never from quoted local parts.
+  if (!isQuoted && (options.stripPlusTags || (provider && provider.plusTags))) {
+    local = local.replace(/^([^+]+)\+.*$/, '$1');
+  }
+  if (!isQuoted && provider && provider.ignoreDots) { local = local.replace(/\./g, ''); }
+  if (options.lowercaseLocal)                        { local = local.toLowerCase();    }
+
+  // The provider may prefer a different domain, e.g. 'googlemail.com' is 'gmail.com'.
+  if (provider && provider.domain)                { domain = provider.domain;       }
+  else if (options.domainEncoding === 'punycode') { domain = parsed.domain;         }
+  else if (options.domainEncoding === 'unicode')  { domain = parsed.unicodeDomain;  }
+  else if (options.lowercaseDomain !== false)     { domain = domain.toLowerCase();  }
+
+  return local + '@' + domain;
+
+};
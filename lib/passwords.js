@@ -0,0 +1,370 @@
+/*
+ * FOVAL PASSWORDS.
+ * Hashes passwords with scrypt or PBKDF2 and a random salt, and verifies them.
+ * Hashes are encoded in the PHC string format, which records the algorithm and
+ * its parameters, e.g. '$scrypt$ln=15,r=8,p=1$<salt>$<hash>'. Also checks
+ * passwords against the rules of a password policy.
+ */
+
+var crypto   = require('crypto');
+var fs       = require('fs');
+var readline = require('readline');
+
+var ME = module.exports;
+
+/*
+ * Private Variables.
+ */
+var algorithms     = ['scrypt', 'pbkdf2'];
+var pbkdf2Digests  = ['sha256', 'sha512'];
+var defaultOptions = {
+  algorithm:   'scrypt',
+  cost:        15,        //scrypt: the cost is the log2 of N, so 15 is 32768.
+  blockSize:   8,         //scrypt: r.
+  parallelism: 1,         //scrypt: p.
+  iterations:  600000,    //pbkdf2.
+  digest:      'sha256',  //pbkdf2.
+  saltLength:  16,        //bytes.
+  keyLength:   32         //bytes.
+};
+var maxCost        = 24;  //scrypt costs above this need gigabytes of memory.
+var maxBlockSize   = 32;  //scrypt: the memory and time scale with r.
+var maxParallelism = 16;  //scrypt: the time scales with p.
+var maxIterations  = 10000000;  //pbkdf2: several seconds of work.
+var maxMemory      = 2 * 1024 * 1024 * 1024;  //bytes, the most memory scrypt can use.
+var maxmemHeadroom = 1024 * 1024;  //bytes on top of the memory scrypt needs, in case Node's estimate differs.
+var encodedRE      = /^\$(scrypt|pbkdf2-(sha256|sha512))\$([a-z0-9=,]+)\$([A-Za-z0-9+\/]+)\$([A-Za-z0-9+\/]+)$/;
+var breachedLineRE = /^([0-9A-F]{10,40})(?::\d+)?$/;  //an uppercase SHA-1 hash or hash prefix, with an optional count.
+var minInfoLength  = 3;  //shorter parts of personal info match too many passwords by chance.
+var characterRules = [  //the policy requirements that need a kind of character, with the reason they fail with.
+  { requirement: 'lowercase',   reason: 'missing-lowercase',   test: /\p{Ll}/u              },
+  { requirement: 'uppercase',   reason: 'missing-uppercase',   test: /\p{Lu}/u              },
+  { requirement: 'digits',      reason: 'missing-digit',       test: /\p{Nd}/u              },
+  { requirement: 'punctuation', reason: 'missing-punctuation', test: /[^\p{L}\p{N}\s]/u      },
+  { requirement: 'whitespace',  reason: 'missing-whitespace',  test: /\s/                   }
+];
+var characterPools = [  //the number of characters an attacker must try for each kind of character.
+  { test: /[a-z]/,         size: 26  },
+  { test: /[A-Z]/,         size: 26  },
+  { test: /[0-9]/,         size: 10  },
+  { test: /[\x20-\x2f\x3a-\x40\x5b-\x60\x7b-\x7e]/, size: 33 },
+  { test: /[^\x00-\x7f]/,  size: 100 }
+];
+
+/*
+ * Returns the options with the defaults filled in, or { error } if they're not
+ * valid, with the name of the invalid option.
+ */
+ME.getOptions = function (options) {
+
+  var result = {};
+
+  for (var key in defaultOptions) {
+    if (defaultOptions.hasOwnProperty(key)) {
+      result[key] = (options && typeof options[key] !== 'undefined' ? options[key] : defaultOptions[key]);
+    }
+  }
+
+  if (algorithms.indexOf(result.algorithm) === -1)  { return { error: 'algorithm' }; }
+  if (pbkdf2Digests.indexOf(result.digest) === -1) { return { error: 'digest' };    }
+
+  var numbers = ['cost', 'blockSize', 'parallelism', 'iterations', 'saltLength', 'keyLength'];
+  for (var n = 0, nlen = numbers.length ; n < nlen ; n++) {
+    var number = result[numbers[n]];
+    if (typeof number !== 'number' || number < 1 || Math.floor(number) !== number) { return { error: numbers[n] }; }
+  }
+
+  // Higher scrypt costs need more memory than we can use, and the other parameters take too long.
+  if (result.cost > maxCost || scryptMemory(result.cost, result.blockSize, result.parallelism) > maxMemory) { return { error: 'cost' }; }
+  if (result.blockSize > maxBlockSize)     { return { error: 'blockSize' };   }
+  if (result.parallelism > maxParallelism) { return { error: 'parallelism' }; }
+  if (result.iterations > maxIterations)   { return { error: 'iterations' };  }
+
+  return result;
+
+};
+
+/*
+ * Hashes the password with a new random salt and passes back the encoded hash.
+ * The options must have come from getOptions().
+ * callback(err, encoded);
+ */
+ME.hash = function (password, options, callback) {
+
+  crypto.randomBytes(options.saltLength, function (err, salt) {
+    if (err) { return callback(err); }
+
+    var params = (options.algorithm === 'scrypt' ?
+      { ln: options.cost, r: options.blockSize, p: options.parallelism } :
+      { i: options.iterations });
+    var id     = (options.algorithm === 'scrypt' ? 'scrypt' : 'pbkdf2-' + options.digest);
+
+    deriveKey(id, params, String(password), salt, options.keyLength, function (err, key) {
+      if (err) { return callback(err); }
+      return callback(null, encode(id, params, salt, key));
+    });
+
+  });
+
+};
+
+/*
+ * Checks the password against the encoded hash, in constant time. Passes back
+ * an error if the hash isn't one we can decode.
+ * callback(err, isMatch);
+ */
+ME.verify = function (password, encoded, callback) {
+
+  var decoded = ME.decode(encoded);
+  if (!decoded) { return callback(new Error('The password hash is not in a format we recognise.')); }
+
+  deriveKey(decoded.id, decoded.params, String(password), decoded.salt, decoded.key.length, function (err, key) {
+    if (err) { return callback(err); }
+    return callback(null, crypto.timingSafeEqual(key, decoded.key));
+  });
+
+};
+
+/*
+ * Returns true if the encoded hash should be replaced with a new hash using the
+ * given options, because it uses a different algorithm or a lower cost. Hashes
+ * we can't decode always need rehashing.
+ */
+ME.needsRehash = function (encoded, options) {
+
+  var decoded = ME.decode(encoded);
+  if (!decoded) { return true; }
+
+  if (decoded.algorithm !== options.algorithm) { return true; }
+  if (decoded.salt.length < options.saltLength || decoded.key.length < options.keyLength) { return true; }
+
+  if (decoded.algorithm === 'scrypt') {
+    return (decoded.params.ln < options.cost || decoded.params.r < options.blockSize || decoded.params.p < options.parallelism);
+  }
+
+  return (decoded.digest !== options.digest || decoded.params.i < options.iterations);
+
+};
+
+/*
+ * Decodes a hash in the PHC string format into { id, algorithm, digest,
+ * params, salt, key }, or returns null if it isn't one of our hashes. Hashes
+ * with parameters above our limits are treated as not being ours, so a crafted
+ * or corrupted hash can't use up the memory or the CPU when it's verified.
+ */
+ME.decode = function (encoded) {
+
+  var match = String(encoded || '').match(encodedRE);
+  if (!match) { return null; }
+
+  var params = {};
+  match[3].split(',').forEach(function (pair) {
+    var parts = pair.split('=');
+    params[parts[0]] = parseInt(parts[1], 10);
+  });
+
+  var isScrypt = (match[1] === 'scrypt');
+  var required = (isScrypt ? ['ln', 'r', 'p'] : ['i']);
+  var isValid  = required.every(function (name) { return params[name] > 0; });
+
+  if (!isValid || !isWithinLimits(isScrypt, params)) { return null; }
+
+  return {
+    id:        match[1],
+    algorithm: (isScrypt ? 'scrypt' : 'pbkdf2'),
+    digest:    match[2] || null,
+    params:    params,
+    salt:      Buffer.from(match[4], 'base64'),
+    key:       Buffer.from(match[5], 'base64')
+  };
+
+};
+
+/*
+ * Returns the reasons the password fails the requirements, which are the same
+ * as the Countersign options: 'length' is the minimum number of characters and
+ * 'lowercase', 'uppercase', 'digits', 'punctuation' and 'whitespace' must be
+ * true for the password to need at least one of them.
+ */
+ME.checkRequirements = function (password, requirements) {
+
+  var chars   = Array.from(String(password));
+  var reasons = [];
+
+  if (requirements.length && chars.length < requirements.length) { reasons.push('too-short'); }
+
+  characterRules.forEach(function (rule) {
+    if (requirements[rule.requirement] === true && !rule.test.test(password)) { reasons.push(rule.reason); }
+  });
+
+  return reasons;
+
+};
+
+/*
+ * Returns an estimate of the entropy of the password in bits, from the kinds of
+ * characters it uses and its length. Repeated characters add nothing, and
+ * neither do runs like 'abcd' or '4321' after their first two characters.
+ */
+ME.estimateEntropy = function (password) {
+
+  var chars    = Array.from(String(password));
+  var poolSize = characterPools.reduce(function (total, pool) {
+    return total + (pool.test.test(password) ? pool.size : 0);
+  }, 0);
+  var length   = 0;
+  var lastStep = null;
+
+  for (var c = 0, clen = chars.length ; c < clen ; c++) {
+    var step = (c > 0 ? chars[c].codePointAt(0) - chars[c - 1].codePointAt(0) : null);
+    var isRun = (step === 0 || ((step === 1 || step === -1) && step === lastStep));
+    if (!isRun) { length++; }
+    lastStep = step;
+  }
+
+  return (poolSize ? Math.round(length * Math.log2(poolSize) * 10) / 10 : 0);
+
+};
+
+/*
+ * Returns true if the password contains any of the values, such as the user's
+ * name or email address, ignoring case. Email addresses are checked without
+ * their domain, and each word of a value is checked on its own.
+ */
+ME.containsPersonalInfo = function (password, values) {
+
+  var lowerPassword = String(password).toLowerCase();
+
+  return [].concat(values || []).some(function (value) {
+
+    if (value === null || typeof value === 'undefined') { return false; }
+
+    var str   = String(value).toLowerCase().trim();
+    var local = str.replace(/@.*$/, '');  //the domain is shared with too many people to count.
+    var parts = [local].concat(local.split(/[^\p{L}\p{N}]+/u));
+
+    return parts.some(function (part) {
+      return (Array.from(part).length >= minInfoLength && lowerPassword.indexOf(part) > -1);
+    });
+
+  });
+
+};
+
+/*
+ * Loads a list of breached passwords from a file with one SHA-1 hash per line,
+ * in hexadecimal and optionally followed by ':' and a count, like the Have I
+ * Been Pwned downloads. To save memory the hashes can be cut down to prefixes,
+ * as long as every line has the same length. Blank lines and lines starting
+ * with '#' are ignored.
+ * callback(err, list);
+ */
+ME.loadBreachedList = function (filePath, callback) {
+
+  var list     = { hashLength: null, hashes: new Set() };
+  var stream   = fs.createReadStream(filePath, { encoding: 'utf8' });
+  var reader   = readline.createInterface({ input: stream, crlfDelay: Infinity });
+  var finished = false;
+  var lineNum  = 0;
+
+  var finish = function (err) {
+    if (finished) { return; }
+    finished = true;
+    reader.close();
+    stream.destroy();
+    return (err ? callback(err) : callback(null, list));
+  };
+
+  stream.on('error', finish);
+  reader.on('error', finish);
+
+  reader.on('line', function (line) {
+
+    if (finished) { return; }
+
+    lineNum++;
+    line = line.trim().toUpperCase();
+    if (!line || line.charAt(0) === '#') { return; }
+
+    var match = line.match(breachedLineRE);
+    if (!match || (list.hashLength && match[1].length !== list.hashLength)) {
+      return finish(new Error('Line ' + lineNum + ' of the breached password list is not a valid hash.'));
+    }
+
+    list.hashLength = match[1].length;
+    list.hashes.add(match[1]);
+
+  });
+
+  reader.on('close', function () { finish(null); });
+
+};
+
+/*
+ * Returns true if the SHA-1 hash of the password is in the breached list.
+ */
+ME.isBreached = function (password, list) {
+
+  if (!list || !list.hashLength) { return false; }
+
+  var hash = crypto.createHash('sha1').update(String(password)).digest('hex').toUpperCase();
+
+  return list.hashes.has(hash.substr(0, list.hashLength));
+
+};
+
+/*
+ * Derives the key from the password using the algorithm and parameters.
+ * callback(err, key);
+ */
+function deriveKey (id, params, password, salt, keyLength, callback) {
+
+  // Node throws straight away if the parameters are out of range.
+  try {
+
+    if (id === 'scrypt') {
+      return crypto.scrypt(password, salt, keyLength, {
+        N:      Math.pow(2, params.ln),
+        r:      params.r,
+        p:      params.p,
+        maxmem: scryptMemory(params.ln, params.r, params.p) + maxmemHeadroom  //the default limit of 32MB is too low for the recommended cost.
+      }, callback);
+    }
+
+    return crypto.pbkdf2(password, salt, params.i, keyLength, id.replace('pbkdf2-', ''), callback);
+
+  } catch (err) {
+    return process.nextTick(function () { callback(err); });
+  }
+
+}
+
+/*
+ * Returns the number of bytes of memory scrypt needs for the parameters.
+ */
+function scryptMemory (ln, r, p) {
+  return 128 * r * (Math.pow(2, ln) + p + 2);
+}
+
+/*
+ * Returns true if the parameters decoded from a hash are within our limits.
+ */
+function isWithinLimits (isScrypt, params) {
+
+  if (!isScrypt) { return (params.i <= maxIterations); }
+
+  return (params.ln <= maxCost && params.r <= maxBlockSize && params.p <= maxParallelism && scryptMemory(params.ln, params.r, params.p) <= maxMemory);
+
+}
+
+/*
+ * Encodes the hash in the PHC string format, using base64 without padding.
+ */
+function encode (id, params, salt, key) {
+
+  var paramStr = Object.keys(params).map(function (name) { return name + '=' + params[name]; }).join(',');
+  var toBase64 = function (buffer) { return buffer.toString('base64').replace(/=+$/, ''); };
+
+  return '$' + id + '$' + paramStr + '$' + toBase64(salt) + '$' + toBase64(key);
+
+}
@@ -0,0 +1,371 @@
+/*
+ * FOVAL TELEPHONES.
+ * Parses telephone numbers into E.164 format, and checks and formats them using
+ * the metadata of each country. The metadata covers the EU, the US and the
+ * Commonwealth countries.
+ */
+
+var ME = module.exports;
+
+/*
+ * Private Variables.
+ * The metadata of each country is keyed by its ISO 3166 region code:
+ *  code      The country calling code, without the '+'.
+ *  trunk     The prefix dialled before national numbers, e.g. '0'.
+ *  hideTrunk True if the trunk prefix isn't shown in the national format.
+ *  exit      The prefix dialled before international numbers, if not '00'.
+ *  lengths   The allowed lengths of the national (significant) number.
+ *  pattern   A pattern the national number must match, if any.
+ *  areaCodes The area codes of countries that share a calling code.
+ *  mobile    The start of mobile numbers, if they can be told apart.
+ *  tollFree  The start of toll free numbers.
+ *  premium   The start of premium rate numbers.
+ *  groups    A list of [pattern, sizes] for grouping the digits when formatting.
+ */
+var nanp      = {  //the North American Numbering Plan, shared by the US, Canada and much of the Caribbean.
+  code:      '1',
+  trunk:     '1',
+  hideTrunk: true,
+  exit:      '011',
+  lengths:   [10],
+  pattern:   /^[2-9]\d{2}[2-9]\d{6}$/,
+  tollFree:  /^8(?:00|33|44|55|66|77|88)/,
+  premium:   /^900/,
+  groups:    [[/./, [3, 3, 4]]]
+};
+var countries = {
+  'AG': nanpCountry(['268']),
+  'AT': { code: '43',  trunk: '0', lengths: range(4, 13), mobile: /^6[5-9]/, tollFree: /^800/, premium: /^9[0-3]/ },
+  'AU': {
+    code: '61', trunk: '0', exit: '0011', lengths: [9, 10], mobile: /^4/, tollFree: /^180/, premium: /^190/,
+    groups: [[/^4/, [3, 3, 3]], [/^1/, [4, 3, 3]], [/./, [1, 4, 4]]]
+  },
+  'BB': nanpCountry(['246']),
+  'BD': { code: '880', trunk: '0', lengths: range(6, 10), mobile: /^1[3-9]/ },
+  'BE': {
+    code: '32', trunk: '0', lengths: [8, 9], mobile: /^4[5-9]/, tollFree: /^800/, premium: /^90/,
+    groups: [[/^4/, [3, 2, 2, 2]], [/^[239]/, [1, 3, 2, 2]], [/./, [2, 2, 2, 2]]]
+  },
+  'BG': { code: '359', trunk: '0', lengths: [7, 8, 9], mobile: /^(?:8[7-9]|98)/, tollFree: /^800/, premium: /^90/ },
+  'BN': { code: '673', lengths: [7], mobile: /^[78]/ },
+  'BS': nanpCountry(['242']),
+  'BW': { code: '267', lengths: [7, 8], mobile: /^7/ },
+  'BZ': { code: '501', lengths: [7], mobile: /^6/ },
+  'CA': nanpCountry([
+    '204', '226', '236', '249', '250', '263', '289', '306', '343', '354', '365', '367', '368', '382', '403', '416',
+    '418', '428', '431', '437', '438', '450', '468', '474', '506', '514', '519', '548', '579', '581', '584', '587',
+    '604', '613', '639', '647', '672', '683', '705', '709', '742', '753', '778', '780', '782', '807', '819', '825',
+    '867', '873', '879', '902', '905'
+  ]),
+  'CM': { code: '237', lengths: [9], mobile: /^6/ },
+  'CY': { code: '357', lengths: [8], mobile: /^9/, tollFree: /^800/, premium: /^90/ },
+  'CZ': { code: '420', lengths: [9], mobile: /^(?:60[1-8]|7[2-9])/, tollFree: /^800/, premium: /^90/ },
+  'DE': { code: '49',  trunk: '0', lengths: range(5, 13), mobile: /^1[5-7]/, tollFree: /^800/, premium: /^900/ },
+  'DK': { code: '45',  lengths: [8], tollFree: /^80/, premium: /^90/, groups: [[/./, [2, 2, 2, 2]]] },
+  'DM': nanpCountry(['767']),
+  'EE': { code: '372', lengths: [7, 8], mobile: /^5/, tollFree: /^800/, premium: /^90/ },
+  'ES': { code: '34',  lengths: [9], mobile: /^[67]/, tollFree: /^900/, premium: /^80[3-7]/ },
+  'FI': { code: '358', trunk: '0', lengths: range(5, 12), mobile: /^(?:4|50)/, tollFree: /^800/ },
+  'FJ': { code: '679', lengths: [7], mobile: /^[2789]/ },
+  'FR': {
+    code: '33', trunk: '0', lengths: [9], mobile: /^[67]/, tollFree: /^80[0-5]/, premium: /^8[1-9]/,
+    groups: [[/./, [1, 2, 2, 2, 2]]]
+  },
+  'GA': { code: '241', lengths: [7, 8] },
+  'GB': {
+    code: '44', trunk: '0', lengths: [7, 9, 10], mobile: /^7[1-57-9]/, tollFree: /^80[08]/, premium: /^9/,
+    groups: [[/^2/, [2, 4, 4]], [/^(?:1(?:1|\d1)|[389])/, [3, 3, 4]], [/./, [4, 6]]]
+  },
+  'GD': nanpCountry(['473']),
+  'GH': { code: '233', trunk: '0', lengths: [9], mobile: /^[25]/ },
+  'GM': { code: '220', lengths: [7], mobile: /^[23679]/ },
+  'GR': { code: '30',  lengths: [10], mobile: /^69/, tollFree: /^80[07]/, premium: /^90/ },
+  'GY': { code: '592', lengths: [7], mobile: /^6/ },
+  'HR': { code: '385', trunk: '0', lengths: [8, 9], mobile: /^9[1-9]/, tollFree: /^80/, premium: /^6[01]/ },
+  'HU': { code: '36',  trunk: '06', lengths: [8, 9], mobile: /^(?:20|3[01]|50|70)/, tollFree: /^80/, premium: /^9[01]/ },
+  'IE': {
+    code: '353', trunk: '0', lengths: [7, 8, 9, 10], mobile: /^8[3-9]/, tollFree: /^1800/, premium: /^15/,
+    groups: [[/^8/, [2, 3, 4]], [/^1/, [1, 3, 3, 3]]]
+  },
+  'IN': {
+    code: '91', trunk: '0', lengths: [10, 11], mobile: /^[6-9]/, tollFree: /^1800/,
+    groups: [[/^[6-9]/, [5, 5]]]
+  },
+  'IT': {
+    code: '39', lengths: range(6, 11), mobile: /^3/, tollFree: /^80[03]/, premium: /^89/,
+    groups: [[/^0[26]/, [2, 4, 4]], [/^3/, [3, 3, 4]]]
+  },
+  'JM': nanpCountry(['658', '876']),
+  'KE': { code: '254', trunk: '0', exit: '000', lengths: [9], mobile: /^(?:7|1[01])/, tollFree: /^800/, premium: /^900/ },
+  'KI': { code: '686', lengths: [5, 8] },
+  'KN': nanpCountry(['869']),
+  'LC': nanpCountry(['758']),
+  'LK': { code: '94',  trunk: '0', lengths: [9], mobile: /^7/ },
+  'LS': { code: '266', lengths: [8], mobile: /^[56]/ },
+  'LT': { code: '370', trunk: '8', lengths: [8], mobile: /^6/, tollFree: /^800/, premium: /^90/ },
+  'LU': { code: '352', lengths: range(4, 11), mobile: /^6[269]1/, tollFree: /^800/, premium: /^90/ },
+  'LV': { code: '371', lengths: [8], mobile: /^2/, tollFree: /^80/, premium: /^90/ },
+  'MT': { code: '356', lengths: [8], mobile: /^[79]/, tollFree: /^800/, premium: /^5[03]/ },
+  'MU': { code: '230', lengths: [7, 8], mobile: /^5/ },
+  'MV': { code: '960', lengths: [7, 10], mobile: /^[79]/, tollFree: /^800/ },
+  'MW': { code: '265', trunk: '0', lengths: [7, 9], mobile: /^[3789]/ },
+  'MY': { code: '60',  trunk: '0', lengths: [8, 9, 10], mobile: /^1[0-46-9]/, tollFree: /^1[38]00/, premium: /^1600/ },
+  'MZ': { code: '258', lengths: [8, 9], mobile: /^8[2-7]/, tollFree: /^800/ },
+  'NA': { code: '264', trunk: '0', lengths: [8, 9], mobile: /^8[1-5]/ },
+  'NG': { code: '234', trunk: '0', exit: '009', lengths: [8, 9, 10], mobile: /^[789][01]/, tollFree: /^800/ },
+  'NL': {
+    code: '31', trunk: '0', lengths: [7, 8, 9, 10], mobile: /^6/, tollFree: /^800/, premium: /^90[069]/,
+    groups: [[/^6/, [1, 8]], [/^[1-57]/, [2, 3, 4]]]
+  },
+  'NR': { code: '674', lengths: [7], mobile: /^55/ },
+  'NZ': { code: '64',  trunk: '0', lengths: [8, 9, 10], mobile: /^2/, tollFree: /^800/, premium: /^900/ },
+  'PG': { code: '675', lengths: [7, 8], mobile: /^7/ },
+  'PK': { code: '92',  trunk: '0', lengths: [8, 9, 10, 11], mobile: /^3/, tollFree: /^800/, premium: /^900/ },
+  'PL': { code: '48',  lengths: [9], mobile: /^(?:45|5[0137]|6[069]|7[2389]|88)/, tollFree: /^800/, premium: /^70/ },
+  'PT': { code: '351', lengths: [9], mobile: /^9[1236]/, tollFree: /^800/, premium: /^76/ },
+  'RO': { code: '40',  trunk: '0', lengths: [9], mobile: /^7/, tollFree: /^800/, premium: /^90/ },
+  'RW': { code: '250', trunk: '0', lengths: [9], mobile: /^7[2389]/ },
+  'SB': { code: '677', lengths: [5, 7], mobile: /^[7-9]/ },
+  'SC': { code: '248', lengths: [7], mobile: /^2/ },
+  'SE': { code: '46',  trunk: '0', lengths: range(7, 10), mobile: /^7[02369]/, tollFree: /^20/, premium: /^9[0-4]/ },
+  'SG': {
+    code: '65', lengths: [8, 10, 11], mobile: /^[89]/, tollFree: /^1800/, premium: /^1900/,
+    groups: [[/^1/, [4, 3, 4]], [/./, [4, 4]]]
+  },
+  'SI': { code: '386', trunk: '0', lengths: [8], mobile: /^(?:[3457][01]|6[4-9])/, tollFree: /^80/, premium: /^90/ },
+  'SK': { code: '421', trunk: '0', lengths: [9], mobile: /^9/, tollFree: /^800/, premium: /^900/ },
+  'SL': { code: '232', trunk: '0', lengths: [8] },
+  'SZ': { code: '268', lengths: [8], mobile: /^7[6-9]/ },
+  'TG': { code: '228', lengths: [8], mobile: /^[79]/ },
+  'TO': { code: '676', lengths: [5, 7], mobile: /^[78]/ },
+  'TT': nanpCountry(['868']),
+  'TV': { code: '688', lengths: [5, 6], mobile: /^9/ },
+  'TZ': { code: '255', trunk: '0', exit: '000', lengths: [9], mobile: /^[67]/, tollFree: /^80/, premium: /^90/ },
+  'UG': { code: '256', trunk: '0', exit: '000', lengths: [9], mobile: /^7/, tollFree: /^800/, premium: /^90/ },
+  'US': nanpCountry(null),
+  'VC': nanpCountry(['784']),
+  'VU': { code: '678', lengths: [5, 7], mobile: /^[57]/ },
+  'WS': { code: '685', lengths: [5, 6, 7], mobile: /^[78]/ },
+  'ZA': { code: '27',  trunk: '0', lengths: [9], mobile: /^(?:[67]|8[1-4])/, tollFree: /^80/, premium: /^86/ },
+  'ZM': { code: '260', trunk: '0', lengths: [9], mobile: /^[79]/ }
+};
+var regionsByCode = {};  //the regions that use each calling code.
+var numberTypes   = ['mobile', 'fixed', 'fixed-or-mobile', 'toll-free', 'premium'];
+var allowedCharRE = /^\+?[\d\s\-.()\/]+$/;
+
+// Index the regions by their calling code.
+Object.keys(countries).forEach(function (region) {
+  var code = countries[region].code;
+  regionsByCode[code] = (regionsByCode[code] || []).concat(region);
+});
+
+/*
+ * Returns the metadata of the country with the given region code, e.g. 'GB', or
+ * null if we don't know it.
+ */
+ME.getCountry = function (region) {
+  var key = String(region || '').toUpperCase();
+  return (countries.hasOwnProperty(key) ? countries[key] : null);
+};
+
+/*
+ * Returns true if the value is one of the types of number we can detect.
+ */
+ME.isNumberType = function (type) {
+  return (numberTypes.indexOf(type) > -1);
+};
+
+/*
+ * Parses a telephone number like '+1 (415) 555-0100', '0044 20 7946 0018' or a
+ * national number like '020 7946 0018' in the default region. Returns
+ * { country, countryCode, nationalNumber, e164, type } if the number is valid,
+ * otherwise { error } with one of the reasons: 'invalid', 'no-country',
+ * 'invalid-country', 'too-short', 'too-long' or 'invalid-length'. The length
+ * errors also include the { minDigits, maxDigits } of the country.
+ */
+ME.parse = function (value, defaultRegion) {
+
+  var str     = String(value).trim();
+  var country = ME.getCountry(defaultRegion);
+  var exit    = (country && country.exit) || '00';
+
+  if (!allowedCharRE.test(str) || !/\d/.test(str)) { return { error: 'invalid' }; }
+
+  var digits          = str.replace(/\D/g, '');
+  var isInternational = (str.charAt(0) === '+' || digits.indexOf(exit) === 0);
+
+  // International numbers start with the country code.
+  if (isInternational) {
+    return parseInternational(str.charAt(0) === '+' ? digits : digits.substr(exit.length));
+  }
+
+  // National numbers need a default region.
+  if (!country) { return { error: 'no-country' }; }
+
+  if (country.trunk && digits.indexOf(country.trunk) === 0) { digits = digits.substr(country.trunk.length); }
+
+  return checkNumber(country.code, digits);
+
+};
+
+/*
+ * Formats a parsed number as 'e164' e.g. '+442079460018', 'international' e.g.
+ * '+44 20 7946 0018', 'national' e.g. '020 7946 0018' or 'rfc3966' e.g.
+ * 'tel:+44-20-7946-0018'.
+ */
+ME.format = function (number, format) {
+
+  var country = countries[number.country];
+  var groups  = groupDigits(country, number.nationalNumber);
+
+  switch (format) {
+    case 'international': return '+' + number.countryCode + ' ' + groups.join(' ');
+    case 'national':      return (country.trunk && !country.hideTrunk ? country.trunk : '') + groups.join(' ');
+    case 'rfc3966':       return 'tel:+' + number.countryCode + '-' + groups.join('-');
+    default:              return number.e164;
+  }
+
+};
+
+/*
+ * Splits the digits of an international number (after the '+') into the
+ * country code and the national number, and checks them.
+ */
+function parseInternational (digits) {
+
+  // Calling codes are never a prefix of another, so the first match is the right one.
+  for (var length = 1 ; length <= 3 ; length++) {
+    var code = digits.substr(0, length);
+    if (!regionsByCode[code]) { continue; }
+
+    var nationalNumber = digits.substr(length);
+    var trunk          = countries[regionsByCode[code][0]].trunk;
+
+    // People often write the trunk prefix after the country code, e.g. '+44 (0)20...'.
+    if (trunk && trunk.charAt(0) === '0' && nationalNumber.indexOf(trunk) === 0) {
+      nationalNumber = nationalNumber.substr(trunk.length);
+    }
+
+    return checkNumber(code, nationalNumber);
+  }
+
+  return { error: 'invalid-country' };
+
+}
+
+/*
+ * Checks the national number against the metadata of the country it belongs
+ * to, which for shared calling codes is decided by the area code.
+ */
+function checkNumber (code, nationalNumber) {
+
+  var regions = regionsByCode[code];
+  var region  = regions.filter(function (candidate) {
+    var areaCodes = countries[candidate].areaCodes;
+    return Boolean(areaCodes && areaCodes.indexOf(nationalNumber.substr(0, 3)) > -1);
+  })[0] || regions.filter(function (candidate) {
+    return !countries[candidate].areaCodes;
+  })[0];
+  var country = countries[region];
+  var lengths = {
+    minDigits: Math.min.apply(Math, country.lengths),
+    maxDigits: Math.max.apply(Math, country.lengths)
+  };
+
+  if (nationalNumber.length < lengths.minDigits) { return { error: 'too-short',      country: region, minDigits: lengths.minDigits, maxDigits: lengths.maxDigits }; }
+  if (nationalNumber.length > lengths.maxDigits) { return { error: 'too-long',       country: region, minDigits: lengths.minDigits, maxDigits: lengths.maxDigits }; }
+  if (country.lengths.indexOf(nationalNumber.length) === -1) {
+    return { error: 'invalid-length', country: region, minDigits: lengths.minDigits, maxDigits: lengths.maxDigits };
+  }
+
+  // National numbers never start with a trunk prefix of '0'.
+  if ((country.trunk && country.trunk.charAt(0) === '0' && nationalNumber.charAt(0) === '0') ||
+      (country.pattern && !country.pattern.test(nationalNumber))) {
+    return { error: 'invalid', country: region };
+  }
+
+  return {
+    country:        region,
+    countryCode:    code,
+    nationalNumber: nationalNumber,
+    e164:           '+' + code + nationalNumber,
+    type:           getNumberType(country, nationalNumber)
+  };
+
+}
+
+/*
+ * Returns the type of the national number. If the country's mobile numbers
+ * can't be told apart from its fixed lines we return 'fixed-or-mobile'.
+ */
+function getNumberType (country, nationalNumber) {
+  if (country.tollFree && country.tollFree.test(nationalNumber)) { return 'toll-free'; }
+  if (country.premium && country.premium.test(nationalNumber))   { return 'premium';   }
+  if (!country.mobile)                                           { return 'fixed-or-mobile'; }
+  return (country.mobile.test(nationalNumber) ? 'mobile' : 'fixed');
+}
+
+/*
+ * Splits the national number into groups of digits for formatting. Any digits
+ * left over are added to the last group.
+ */
+function groupDigits (country, nationalNumber) {
+
+  var match  = (country.groups || []).filter(function (group) { return group[0].test(nationalNumber); })[0];
+  var sizes  = (match ? match[1] : defaultGroupSizes(nationalNumber.length));
+  var groups = [];
+  var start  = 0;
+
+  for (var s = 0, slen = sizes.length ; s < slen && start < nationalNumber.length ; s++) {
+    var size = (s === slen - 1 ? nationalNumber.length - start : sizes[s]);
+    groups.push(nationalNumber.substr(start, size));
+    start += size;
+  }
+
+  return groups;
+
+}
+
+/*
+ * Returns the group sizes to use when the country doesn't specify any, e.g. 10
+ * digits are grouped as 3, 3 and 4.
+ */
+function defaultGroupSizes (length) {
+
+  var sizes = [];
+
+  while (length > 4) {
+    var size = (length === 8 ? 4 : 3);
+    sizes.push(size);
+    length -= size;
+  }
+
+  sizes.push(length);
+  return sizes;
+
+}
+
+/*
+ * Returns the metadata of a country in the North American Numbering Plan with
+ * the given area codes. The country without area codes is used for the rest.
+ */
+function nanpCountry (areaCodes) {
+
+  var country = { areaCodes: areaCodes };
+
+  for (var key in nanp) {
+    if (nanp.hasOwnProperty(key)) { country[key] = nanp[key]; }
+  }
+
+  return country;
+
+}
+
+/*
+ * Returns an array of the numbers from min to max inclusive.
+ */
+function range (min, max) {
+  var numbers = [];
+  for (var n = min ; n <= max ; n++) { numbers.push(n); }
+  return numbers;
+}
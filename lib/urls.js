@@ -0,0 +1,303 @@
+/*
+ * FOVAL URLS.
+ * Parses, checks and normalises URLs using the WHATWG URL parser, and detects
+ * hosts on private networks to protect against server-side request forgery.
+ */
+
+var url    = require('url');
+var net    = require('net');
+var emails = require('./emails');
+
+var ME = module.exports;
+
+/*
+ * Private Variables.
+ */
+var schemeRE        = /^([a-z][a-z0-9+.\-]*):(?!\d)/i;  //a port number after the colon means there's no scheme, e.g. 'localhost:8080'.
+var labelRE         = /^[a-z0-9](?:[a-z0-9\-]{0,61}[a-z0-9])?$/;
+var hostProtocols   = ['http', 'https', 'ftp', 'ws', 'wss'];  //protocols that must have a host.
+var notFoundCodes   = ['ENOTFOUND', 'ENODATA'];  //DNS errors that mean the host doesn't exist, rather than the lookup failing.
+var trackingParamRE = /^(?:utm_[a-z_]+|fbclid|gclid|dclid|gbraid|wbraid|msclkid|yclid|twclid|ttclid|igshid|mc_cid|mc_eid|_hsenc|_hsmi|li_fat_id)$/i;
+var privateIPv4     = [  //loopback, private, link-local, shared, reserved and multicast ranges, as [address, prefix length].
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+];
+
+/*
+ * Returns true if the value starts with a scheme like 'https:' or 'mailto:'.
+ */
+ME.hasProtocol = function (value) {
+  return schemeRE.test(String(value).trim());
+};
+
+/*
+ * Parses the URL and returns { url, protocol, hostname, hasProtocol }, where
+ * 'url' is a WHATWG URL object and the protocol has no colon e.g. 'https'. The
+ * hostname is lowercased without the trailing root dot, so 'Example.com.' is
+ * 'example.com', and is the one to check hosts against. Values without a
+ * protocol are parsed as if they started with the default protocol. Returns
+ * { error: 'invalid' } if the value isn't a URL or its host isn't valid.
+ */
+ME.parse = function (value, defaultProtocol) {
+
+  var str         = String(value).trim();
+  var hasProtocol = ME.hasProtocol(str);
+  var parsed;
+
+  if (!str || /\s/.test(str)) { return { error: 'invalid' }; }
+
+  try {
+    parsed = new url.URL(hasProtocol ? str : (defaultProtocol || 'http') + '://' + str);
+  } catch (err) {
+    return { error: 'invalid' };
+  }
+
+  var protocol = parsed.protocol.slice(0, -1);
+
+  // Web addresses need a valid host.
+  if (hostProtocols.indexOf(protocol) > -1 && !isValidHost(parsed.hostname)) { return { error: 'invalid' }; }
+
+  // Each email address in a 'mailto' URL must be valid.
+  if (protocol === 'mailto' && !isValidMailto(parsed.pathname)) { return { error: 'invalid' }; }
+
+  return {
+    url:         parsed,
+    protocol:    protocol,
+    hostname:    stripRootDot(parsed.hostname.toLowerCase()),
+    hasProtocol: hasProtocol
+  };
+
+};
+
+/*
+ * Returns true if the hostname is one of the hosts in the list, or a subdomain
+ * of one of them. Domains in the list can be in their unicode or punycode forms.
+ */
+ME.matchesHost = function (hostname, list) {
+
+  hostname = stripRootDot(String(hostname || '').toLowerCase());
+
+  return [].concat(list || []).some(function (item) {
+    var entry = normaliseHostname(item);
+    return Boolean(entry && (hostname === entry || (!isIPHost(entry) && hostname.substr(-entry.length - 1) === '.' + entry)));
+  });
+
+};
+
+/*
+ * Returns true if the hostname is 'localhost' or an IP address that isn't
+ * publicly routable, such as a loopback, private or link-local address.
+ */
+ME.isPrivateHost = function (hostname) {
+
+  hostname = stripRootDot(String(hostname || '').toLowerCase()).replace(/^\[|\]$/g, '');
+
+  if (hostname === 'localhost' || hostname.substr(-10) === '.localhost') { return true; }
+  if (net.isIPv4(hostname)) { return isPrivateIPv4(hostname); }
+  if (net.isIPv6(hostname)) { return isPrivateIPv6(hostname); }
+
+  return false;
+
+};
+
+/*
+ * Looks up the addresses of the hostname using the resolver, which is called
+ * like dns.lookup(hostname, { all: true }, callback). Passes back whether the
+ * host was found and whether any of its addresses are private. If the lookup
+ * failed, e.g. it timed out or the DNS server had an error, isFound is null.
+ * callback(err, isFound, isPrivate);
+ */
+ME.checkHostAddresses = function (hostname, resolver, callback) {
+
+  resolver(hostname, { all: true }, function (err, addresses) {
+
+    if (err && notFoundCodes.indexOf(err.code) > -1) { return callback(null, false, false); }
+    if (err) { return callback(null, null, false); }
+
+    var list      = [].concat(addresses || []);
+    var isPrivate = list.some(function (address) {
+      return ME.isPrivateHost(typeof address === 'string' ? address : address.address);
+    });
+
+    return callback(null, list.length > 0, isPrivate);
+
+  });
+
+};
+
+/*
+ * Returns the normalised URL, or the value as it was if it isn't a valid URL.
+ * The host is always lowercased and default ports are removed.
+ * [options]
+ *  protocol      (string>http) The protocol to add if the URL doesn't have one.
+ *  stripTracking (bool>false)  Set true to remove tracking parameters like 'utm_source' from the query string.
+ *  upgradeHttps  (bool>false)  Set true to change 'http' URLs to 'https'.
+ */
+ME.normalise = function (value, options) {
+
+  var parsed = ME.parse(value, options.protocol);
+  if (parsed.error) { return value; }
+
+  var result = parsed.url;
+
+  if (options.upgradeHttps && result.protocol === 'http:') {
+    if (result.port === '80') { result.port = ''; }
+    result.protocol = 'https:';
+  }
+
+  // Only touch the query string if we need to, as removing parameters re-encodes it.
+  if (options.stripTracking) {
+    var params = [];
+    result.searchParams.forEach(function (paramValue, name) {
+      if (trackingParamRE.test(name) && params.indexOf(name) === -1) { params.push(name); }
+    });
+    params.forEach(function (name) { result.searchParams.delete(name); });
+    if (params.length && !result.searchParams.toString()) { result.search = ''; }
+  }
+
+  return result.href;
+
+};
+
+/*
+ * Returns true if the hostname from the URL parser is an IP address, the
+ * domain 'localhost', or a domain with at least two valid labels.
+ */
+function isValidHost (hostname) {
+
+  if (!hostname) { return false; }
+  if (isIPHost(hostname) || hostname === 'localhost') { return true; }
+
+  var labels = hostname.replace(/\.$/, '').split('.');
+  if (labels.length < 2 || /^\d+$/.test(labels[labels.length - 1])) { return false; }
+
+  return labels.every(function (label) { return labelRE.test(label); });
+
+}
+
+/*
+ * Returns true if the hostname is an IPv4 address, or an IPv6 address in
+ * square brackets as the URL parser gives them.
+ */
+function isIPHost (hostname) {
+  return Boolean(net.isIPv4(hostname) || (/^\[.*\]$/.test(hostname) && net.isIPv6(hostname.slice(1, -1))));
+}
+
+/*
+ * Returns the hostname in the same form the URL parser gives them, or null if
+ * it isn't a valid hostname.
+ */
+function normaliseHostname (hostname) {
+  try {
+    return stripRootDot(new url.URL('http://' + (net.isIPv6(hostname) ? '[' + hostname + ']' : hostname)).hostname);
+  } catch (err) {
+    return null;
+  }
+}
+
+/*
+ * Removes the trailing dot from a fully qualified hostname like 'example.com.'.
+ */
+function stripRootDot (hostname) {
+  return hostname.replace(/\.$/, '');
+}
+
+/*
+ * Returns true if the path of a 'mailto' URL is one or more valid email
+ * addresses separated by commas.
+ */
+function isValidMailto (pathname) {
+
+  var addresses;
+
+  try {
+    addresses = decodeURIComponent(pathname).split(',');
+  } catch (err) {
+    return false;
+  }
+
+  return addresses.every(function (address) { return !emails.parse(address.trim()).error; });
+
+}
+
+/*
+ * Returns true if the IPv4 address is in one of the private ranges.
+ */
+function isPrivateIPv4 (address) {
+
+  var value = ipv4ToNumber(address);
+
+  return privateIPv4.some(function (range) {
+    var size = Math.pow(2, 32 - range[1]);
+    return Math.floor(value / size) === Math.floor(ipv4ToNumber(range[0]) / size);
+  });
+
+}
+
+/*
+ * Returns true if the IPv6 address is unspecified, loopback, unique local,
+ * link-local or multicast, or if it embeds a private IPv4 address.
+ */
+function isPrivateIPv6 (address) {
+
+  var groups = expandIPv6(address);
+  var first  = groups[0];
+
+  // The unspecified address '::' and the loopback address '::1'.
+  if (groups.slice(0, 7).every(function (group) { return group === 0; }) && groups[7] <= 1) { return true; }
+
+  // Unique local (fc00::/7), link-local (fe80::/10) and multicast (ff00::/8).
+  if ((first & 0xfe00) === 0xfc00 || (first & 0xffc0) === 0xfe80 || (first & 0xff00) === 0xff00) { return true; }
+
+  // IPv4-mapped (::ffff:0:0/96) and NAT64 (64:ff9b::/96) addresses contain an IPv4 address.
+  var isMapped = (groups.slice(0, 5).every(function (group) { return group === 0; }) && groups[5] === 0xffff);
+  var isNAT64  = (first === 0x64 && groups[1] === 0xff9b && groups.slice(2, 6).every(function (group) { return group === 0; }));
+
+  if (isMapped || isNAT64) {
+    return isPrivateIPv4([groups[6] >> 8, groups[6] & 0xff, groups[7] >> 8, groups[7] & 0xff].join('.'));
+  }
+
+  return false;
+
+}
+
+/*
+ * Converts an IPv4 address into a number.
+ */
+function ipv4ToNumber (address) {
+  return address.split('.').reduce(function (total, octet) { return total * 256 + parseInt(octet, 10); }, 0);
+}
+
+/*
+ * Expands an IPv6 address into its eight 16-bit groups as numbers. A trailing
+ * IPv4 address counts as the last two groups.
+ */
+function expandIPv6 (address) {
+
+  var ipv4 = address.match(/(\d+\.\d+\.\d+\.\d+)$/);
+
+  if (ipv4) {
+    var octets = ipv4[1].split('.').map(function (octet) { return parseInt(octet, 10); });
+    address = address.substr(0, address.length - ipv4[1].length) +
+      ((octets[0] << 8) + octets[1]).toString(16) + ':' + ((octets[2] << 8) + octets[3]).toString(16);
+  }
+
+  var halves = address.split('::');
+  var head   = (halves[0] ? halves[0].split(':') : []);
+  var tail   = (halves.length > 1 && halves[1] ? halves[1].split(':') : []);
+  var middle = [];
+
+  for (var m = head.length + tail.length ; m < 8 ; m++) { middle.push('0'); }
+
+  return head.concat(middle, tail).map(function (group) { return parseInt(group, 16); });
+
+}
@@ -0,0 +1,164 @@
+/*
+ * FOVAL MESSAGES (German).
+ * The messages for each validation reason. Placeholders in curly braces are
+ * replaced with the field label and the options of the validation.
+ */
+
+module.exports = {
+
+  'default': 'Das Feld {label} ist ungültig.',
+
+  'all-or-none': {
+    'incomplete': 'Das Feld {label} ist erforderlich, wenn eines der Felder {fields} angegeben ist.'
+  },
+
+  'array': {
+    'too-few-items':  'Das Feld {label} benötigt mindestens {minItems} Einträge.',
+    'too-many-items': 'Das Feld {label} erlaubt höchstens {maxItems} Einträge.',
+    'not-unique':     'Das Feld {label} darf denselben Eintrag nicht mehrmals enthalten.'
+  },
+
+  'at-least-one-of': {
+    'none-given': 'Mindestens eines der Felder {fields} ist erforderlich.'
+  },
+
+  'compare': {
+    'not-greater':          'Das Feld {label} muss größer als {field} sein.',
+    'not-greater-or-equal': 'Das Feld {label} muss mindestens {field} sein.',
+    'not-less':             'Das Feld {label} muss kleiner als {field} sein.',
+    'not-less-or-equal':    'Das Feld {label} darf höchstens {field} sein.',
+    'not-different':        'Das Feld {label} muss sich von {field} unterscheiden.',
+    'not-after':            'Das Feld {label} muss nach {field} liegen.',
+    'not-after-or-same':    'Das Feld {label} darf nicht vor {field} liegen.',
+    'not-before':           'Das Feld {label} muss vor {field} liegen.',
+    'not-before-or-same':   'Das Feld {label} darf nicht nach {field} liegen.',
+    'mismatched-types':     'Das Feld {label} kann nicht mit {field} verglichen werden.'
+  },
+
+  'date': {
+    'invalid-format': 'Das Feld {label} muss im Format {formats} angegeben werden.',
+    'invalid-date':   'Das Feld {label} ist kein gültiges Datum und keine gültige Uhrzeit.'
+  },
+
+  'date-range': {
+    'too-early': 'Das Feld {label} darf nicht vor dem {min} liegen.',
+    'too-late':  'Das Feld {label} darf nicht nach dem {max} liegen.',
+    'in-past':   'Das Feld {label} darf nicht in der Vergangenheit liegen.',
+    'in-future': 'Das Feld {label} darf nicht in der Zukunft liegen.'
+  },
+
+  'decimal': {
+    'invalid':                 'Das Feld {label} muss eine Zahl sein.',
+    'too-many-decimal-places': 'Das Feld {label} darf höchstens {scale} Nachkommastellen haben.',
+    'too-many-digits':         'Das Feld {label} darf höchstens {precision} Ziffern haben.'
+  },
+
+  'email': {
+    'invalid':            'Das Feld {label} muss eine gültige E-Mail-Adresse sein.',
+    'invalid-local-part': 'Das Feld {label} enthält einen ungültigen Namen vor dem @.',
+    'invalid-domain':     'Das Feld {label} enthält eine ungültige Domain nach dem @.',
+    'too-long':           'Das Feld {label} ist zu lang für eine E-Mail-Adresse.',
+    'domain-not-allowed': 'Das Feld {label} muss eine der erlaubten E-Mail-Domains verwenden.',
+    'disposable-domain':  'Das Feld {label} darf keine Wegwerf-E-Mail-Adresse sein.',
+    'no-mx':              'Das Feld {label} verwendet die Domain {domain}, die keine E-Mails empfangen kann.',
+    'lookup-failed':      'Das Feld {label} verwendet die Domain {domain}, die nicht geprüft werden konnte. Bitte versuchen Sie es erneut.'
+  },
+
+  'file': {
+    'no-data':           'Die Datei {label} konnte nicht hochgeladen werden, bitte versuchen Sie es erneut.',
+    'too-small':         'Die Datei {label} muss mindestens {minSize} Bytes groß sein.',
+    'too-large':         'Die Datei {label} darf höchstens {maxSize} Bytes groß sein.',
+    'invalid-extension': 'Der Dateityp von {label} ist nicht erlaubt.',
+    'mime-mismatch':     'Der Inhalt der Datei {label} passt nicht zu ihrem Dateityp.',
+    'unknown-content':   'Der Dateityp von {label} wurde nicht erkannt.',
+    'invalid-mime':      'Der Dateityp von {label} ist nicht erlaubt.'
+  },
+
+  'hash': {
+    'invalid-key':         'Das Feld {label} enthält eine ungültige Auswahl.',
+    'too-few-selections':  'Im Feld {label} müssen mindestens {minSelections} Optionen ausgewählt werden.',
+    'too-many-selections': 'Im Feld {label} dürfen höchstens {maxSelections} Optionen ausgewählt werden.'
+  },
+
+  'in-list': {
+    'not-in-list': 'Das Feld {label} enthält keinen erlaubten Wert.'
+  },
+
+  'match-field': {
+    'no-match':    'Das Feld {label} stimmt nicht überein.',
+    'loose-match': 'Das Feld {label} stimmt nicht überein.'
+  },
+
+  'mutually-exclusive': {
+    'more-than-one-given': 'Nur eines der Felder {fields} darf angegeben werden.'
+  },
+
+  'numeric': {
+    'too-small':        'Das Feld {label} muss mindestens {min} sein.',
+    'too-large':        'Das Feld {label} darf höchstens {max} sein.',
+    'zero-not-allowed': 'Das Feld {label} darf nicht null sein.'
+  },
+
+  'password': {
+    'too-long':               'Das Feld {label} darf höchstens {maxLength} Zeichen lang sein.',
+    'too-short':              'Das Feld {label} muss mindestens {length} Zeichen lang sein.',
+    'missing-lowercase':      'Das Feld {label} muss einen Kleinbuchstaben enthalten.',
+    'missing-uppercase':      'Das Feld {label} muss einen Großbuchstaben enthalten.',
+    'missing-digit':          'Das Feld {label} muss eine Ziffer enthalten.',
+    'missing-punctuation':    'Das Feld {label} muss ein Satzzeichen enthalten.',
+    'missing-whitespace':     'Das Feld {label} muss ein Leerzeichen enthalten.',
+    'contains-personal-info': 'Das Feld {label} darf weder Ihren Namen noch Ihren Benutzernamen oder Ihre E-Mail-Adresse enthalten.',
+    'breached':               'Das Feld {label} ist in einem Datenleck aufgetaucht, bitte wählen Sie ein anderes.',
+    'low-entropy':            'Das Feld {label} ist zu leicht zu erraten.',
+    'too-weak':               'Das Feld {label} ist nicht sicher genug.'
+  },
+
+  'radio': {
+    'invalid-choice': 'Das Feld {label} enthält keine der verfügbaren Optionen.'
+  },
+
+  'regexp': {
+    'invalid': 'Das Feld {label} hat nicht das richtige Format.'
+  },
+
+  'required': {
+    'required': 'Das Feld {label} ist erforderlich.'
+  },
+
+  'str-length': {
+    'too-short': 'Das Feld {label} muss mindestens {min} Zeichen lang sein.',
+    'too-long':  'Das Feld {label} darf höchstens {max} Zeichen lang sein.'
+  },
+
+  'telephone': {
+    'invalid':             'Das Feld {label} muss eine gültige Telefonnummer sein.',
+    'too-short':           'Das Feld {label} muss mindestens {minDigits} Ziffern enthalten.',
+    'too-long':            'Das Feld {label} darf höchstens {maxDigits} Ziffern enthalten.',
+    'invalid-length':      'Das Feld {label} enthält nicht die richtige Anzahl an Ziffern.',
+    'invalid-country':     'Das Feld {label} beginnt nicht mit einer gültigen Ländervorwahl.',
+    'no-country':          'Das Feld {label} muss die Ländervorwahl enthalten, z. B. +49.',
+    'country-not-allowed': 'Das Feld {label} muss eine Telefonnummer aus einem der erlaubten Länder sein.',
+    'type-not-allowed':    'Das Feld {label} ist keine erlaubte Art von Telefonnummer.'
+  },
+
+  'type': {
+    'type-mismatch': 'Das Feld {label} hat nicht den richtigen Typ.'
+  },
+
+  'unknown-fields': {
+    'unknown-field': 'Das Feld {label} ist nicht erlaubt.'
+  },
+
+  'url': {
+    'invalid':                 'Das Feld {label} muss eine gültige URL sein.',
+    'protocol-required':       'Das Feld {label} muss mit http:// oder https:// beginnen.',
+    'protocol-not-allowed':    'Das Feld {label} muss eine URL mit einem dieser Protokolle sein: {protocols}.',
+    'credentials-not-allowed': 'Das Feld {label} darf keinen Benutzernamen und kein Passwort enthalten.',
+    'host-not-allowed':        'Das Feld {label} muss eine URL auf einer der erlaubten Seiten sein.',
+    'host-blocked':            'Das Feld {label} darf keine URL auf {host} sein.',
+    'private-address':         'Das Feld {label} darf keine URL in einem privaten Netzwerk sein.',
+    'host-not-found':          'Das Feld {label} ist eine URL auf {host}, der nicht gefunden wurde.',
+    'lookup-failed':           'Das Feld {label} ist eine URL auf {host}, der nicht geprüft werden konnte. Bitte versuchen Sie es erneut.'
+  }
+
+};
@@ -0,0 +1,164 @@
+/*
+ * FOVAL MESSAGES (English).
+ * The messages for each validation reason. Placeholders in curly braces are
+ * replaced with the field label and the options of the validation.
+ */
+
+module.exports = {
+
+  'default': '{label} is invalid.',
+
+  'all-or-none': {
+    'incomplete': '{label} is required when any of {fields} is given.'
+  },
+
+  'array': {
+    'too-few-items':  '{label} needs at least {minItems} items.',
+    'too-many-items': '{label} allows no more than {maxItems} items.',
+    'not-unique':     '{label} cannot contain the same item more than once.'
+  },
+
+  'at-least-one-of': {
+    'none-given': 'At least one of {fields} is required.'
+  },
+
+  'compare': {
+    'not-greater':          '{label} must be greater than {field}.',
+    'not-greater-or-equal': '{label} must be at least {field}.',
+    'not-less':             '{label} must be less than {field}.',
+    'not-less-or-equal':    '{label} must be no more than {field}.',
+    'not-different':        '{label} must be different from {field}.',
+    'not-after':            '{label} must be after {field}.',
+    'not-after-or-same':    '{label} cannot be before {field}.',
+    'not-before':           '{label} must be before {field}.',
+    'not-before-or-same':   '{label} cannot be after {field}.',
+    'mismatched-types':     '{label} cannot be compared with {field}.'
+  },
+
+  'date': {
+    'invalid-format': '{label} must be in the format {formats}.',
+    'invalid-date':   '{label} is not a valid date or time.'
+  },
+
+  'date-range': {
+    'too-early': '{label} must be no earlier than {min}.',
+    'too-late':  '{label} must be no later than {max}.',
+    'in-past':   '{label} cannot be in the past.',
+    'in-future': '{label} cannot be in the future.'
+  },
+
+  'decimal': {
+    'invalid':                 '{label} must be a number.',
+    'too-many-decimal-places': '{label} can have no more than {scale} decimal places.',
+    'too-many-digits':         '{label} can have no more than {precision} digits.'
+  },
+
+  'email': {
+    'invalid':            '{label} must be a valid email address.',
+    'invalid-local-part': '{label} has an invalid name before the @.',
+    'invalid-domain':     '{label} has an invalid domain after the @.',
+    'too-long':           '{label} is too long to be an email address.',
+    'domain-not-allowed': '{label} must use one of the allowed email domains.',
+    'disposable-domain':  '{label} cannot use a disposable email address.',
+    'no-mx':              '{label} uses the domain {domain}, which cannot receive email.',
+    'lookup-failed':      '{label} uses the domain {domain}, which could not be checked. Please try again.'
+  },
+
+  'file': {
+    'no-data':           '{label} could not be uploaded, please try again.',
+    'too-small':         '{label} must be at least {minSize} bytes.',
+    'too-large':         '{label} must be no larger than {maxSize} bytes.',
+    'invalid-extension': '{label} is not an allowed type of file.',
+    'mime-mismatch':     '{label} does not match the type of file it claims to be.',
+    'unknown-content':   '{label} is not a recognised type of file.',
+    'invalid-mime':      '{label} is not an allowed type of file.'
+  },
+
+  'hash': {
+    'invalid-key':         '{label} contains an invalid selection.',
+    'too-few-selections':  '{label} needs at least {minSelections} selections.',
+    'too-many-selections': '{label} allows no more than {maxSelections} selections.'
+  },
+
+  'in-list': {
+    'not-in-list': '{label} is not one of the allowed values.'
+  },
+
+  'match-field': {
+    'no-match':    '{label} does not match.',
+    'loose-match': '{label} does not match.'
+  },
+
+  'mutually-exclusive': {
+    'more-than-one-given': 'Only one of {fields} can be given.'
+  },
+
+  'numeric': {
+    'too-small':        '{label} must be at least {min}.',
+    'too-large':        '{label} must be no more than {max}.',
+    'zero-not-allowed': '{label} cannot be zero.'
+  },
+
+  'password': {
+    'too-long':               '{label} must be no more than {maxLength} characters long.',
+    'too-short':              '{label} must be at least {length} characters long.',
+    'missing-lowercase':      '{label} must contain a lowercase letter.',
+    'missing-uppercase':      '{label} must contain an uppercase letter.',
+    'missing-digit':          '{label} must contain a number.',
+    'missing-punctuation':    '{label} must contain a punctuation character.',
+    'missing-whitespace':     '{label} must contain a space.',
+    'contains-personal-info': '{label} must not contain your name, username or email address.',
+    'breached':               '{label} has appeared in a data breach, please choose a different one.',
+    'low-entropy':            '{label} is too easy to guess.',
+    'too-weak':               '{label} is not strong enough.'
+  },
+
+  'radio': {
+    'invalid-choice': '{label} is not one of the available choices.'
+  },
+
+  'regexp': {
+    'invalid': '{label} is not in the correct format.'
+  },
+
+  'required': {
+    'required': '{label} is required.'
+  },
+
+  'str-length': {
+    'too-short': '{label} must be at least {min} characters.',
+    'too-long':  '{label} must be no more than {max} characters.'
+  },
+
+  'telephone': {
+    'invalid':             '{label} must be a valid telephone number.',
+    'too-short':           '{label} must have at least {minDigits} digits.',
+    'too-long':            '{label} must have no more than {maxDigits} digits.',
+    'invalid-length':      '{label} does not have the right number of digits.',
+    'invalid-country':     '{label} does not start with a valid country code.',
+    'no-country':          '{label} must include the country code, e.g. +44.',
+    'country-not-allowed': '{label} must be a telephone number from one of the allowed countries.',
+    'type-not-allowed':    '{label} is not an allowed type of telephone number.'
+  },
+
+  'type': {
+    'type-mismatch': '{label} is not the right type of value.'
+  },
+
+  'unknown-fields': {
+    'unknown-field': '{label} is not an allowed field.'
+  },
+
+  'url': {
+    'invalid':                 '{label} must be a valid URL.',
+    'protocol-required':       '{label} must start with http:// or https://.',
+    'protocol-not-allowed':    '{label} must be a URL using one of: {protocols}.',
+    'credentials-not-allowed': '{label} cannot contain a username or password.',
+    'host-not-allowed':        '{label} must be a URL on one of the allowed sites.',
+    'host-blocked':            '{label} cannot be a URL on {host}.',
+    'private-address':         '{label} cannot be a URL on a private network.',
+    'host-not-found':          '{label} is a URL on {host}, which could not be found.',
+    'lookup-failed':           '{label} is a URL on {host}, which could not be checked. Please try again.'
+  }
+
+};
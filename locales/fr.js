@@ -0,0 +1,164 @@
+/*
+ * FOVAL MESSAGES (French).
+ * The messages for each validation reason. Placeholders in curly braces are
+ * replaced with the field label and the options of the validation.
+ */
+
+module.exports = {
+
+  'default': 'Le champ {label} n\'est pas valide.',
+
+  'all-or-none': {
+    'incomplete': 'Le champ {label} est obligatoire lorsque l\'un des champs {fields} est renseigné.'
+  },
+
+  'array': {
+    'too-few-items':  'Le champ {label} nécessite au moins {minItems} éléments.',
+    'too-many-items': 'Le champ {label} autorise au plus {maxItems} éléments.',
+    'not-unique':     'Le champ {label} ne peut pas contenir plusieurs fois le même élément.'
+  },
+
+  'at-least-one-of': {
+    'none-given': 'Au moins un des champs {fields} est obligatoire.'
+  },
+
+  'compare': {
+    'not-greater':          'Le champ {label} doit être supérieur à {field}.',
+    'not-greater-or-equal': 'Le champ {label} doit être au moins égal à {field}.',
+    'not-less':             'Le champ {label} doit être inférieur à {field}.',
+    'not-less-or-equal':    'Le champ {label} ne doit pas dépasser {field}.',
+    'not-different':        'Le champ {label} doit être différent de {field}.',
+    'not-after':            'Le champ {label} doit être postérieur à {field}.',
+    'not-after-or-same':    'Le champ {label} ne peut pas être antérieur à {field}.',
+    'not-before':           'Le champ {label} doit être antérieur à {field}.',
+    'not-before-or-same':   'Le champ {label} ne peut pas être postérieur à {field}.',
+    'mismatched-types':     'Le champ {label} ne peut pas être comparé à {field}.'
+  },
+
+  'date': {
+    'invalid-format': 'Le champ {label} doit être au format {formats}.',
+    'invalid-date':   'Le champ {label} n\'est pas une date ou une heure valide.'
+  },
+
+  'date-range': {
+    'too-early': 'Le champ {label} ne doit pas être antérieur au {min}.',
+    'too-late':  'Le champ {label} ne doit pas être postérieur au {max}.',
+    'in-past':   'Le champ {label} ne peut pas être dans le passé.',
+    'in-future': 'Le champ {label} ne peut pas être dans le futur.'
+  },
+
+  'decimal': {
+    'invalid':                 'Le champ {label} doit être un nombre.',
+    'too-many-decimal-places': 'Le champ {label} ne peut pas avoir plus de {scale} décimales.',
+    'too-many-digits':         'Le champ {label} ne peut pas avoir plus de {precision} chiffres.'
+  },
+
+  'email': {
+    'invalid':            'Le champ {label} doit être une adresse e-mail valide.',
+    'invalid-local-part': 'Le champ {label} contient un nom invalide avant le @.',
+    'invalid-domain':     'Le champ {label} contient un domaine invalide après le @.',
+    'too-long':           'Le champ {label} est trop long pour une adresse e-mail.',
+    'domain-not-allowed': 'Le champ {label} doit utiliser l\'un des domaines e-mail autorisés.',
+    'disposable-domain':  'Le champ {label} ne peut pas être une adresse e-mail jetable.',
+    'no-mx':              'Le champ {label} utilise le domaine {domain}, qui ne peut pas recevoir d\'e-mails.',
+    'lookup-failed':      'Le champ {label} utilise le domaine {domain}, qui n\'a pas pu être vérifié. Veuillez réessayer.'
+  },
+
+  'file': {
+    'no-data':           'Le fichier {label} n\'a pas pu être envoyé, veuillez réessayer.',
+    'too-small':         'Le fichier {label} doit faire au moins {minSize} octets.',
+    'too-large':         'Le fichier {label} ne doit pas dépasser {maxSize} octets.',
+    'invalid-extension': 'Le type du fichier {label} n\'est pas autorisé.',
+    'mime-mismatch':     'Le contenu du fichier {label} ne correspond pas à son type.',
+    'unknown-content':   'Le type du fichier {label} n\'est pas reconnu.',
+    'invalid-mime':      'Le type du fichier {label} n\'est pas autorisé.'
+  },
+
+  'hash': {
+    'invalid-key':         'Le champ {label} contient une sélection non valide.',
+    'too-few-selections':  'Le champ {label} nécessite au moins {minSelections} sélections.',
+    'too-many-selections': 'Le champ {label} autorise au plus {maxSelections} sélections.'
+  },
+
+  'in-list': {
+    'not-in-list': 'Le champ {label} ne fait pas partie des valeurs autorisées.'
+  },
+
+  'match-field': {
+    'no-match':    'Le champ {label} ne correspond pas.',
+    'loose-match': 'Le champ {label} ne correspond pas.'
+  },
+
+  'mutually-exclusive': {
+    'more-than-one-given': 'Un seul des champs {fields} peut être renseigné.'
+  },
+
+  'numeric': {
+    'too-small':        'Le champ {label} doit être au moins {min}.',
+    'too-large':        'Le champ {label} ne doit pas dépasser {max}.',
+    'zero-not-allowed': 'Le champ {label} ne peut pas être zéro.'
+  },
+
+  'password': {
+    'too-long':               'Le champ {label} ne doit pas dépasser {maxLength} caractères.',
+    'too-short':              'Le champ {label} doit contenir au moins {length} caractères.',
+    'missing-lowercase':      'Le champ {label} doit contenir une lettre minuscule.',
+    'missing-uppercase':      'Le champ {label} doit contenir une lettre majuscule.',
+    'missing-digit':          'Le champ {label} doit contenir un chiffre.',
+    'missing-punctuation':    'Le champ {label} doit contenir un signe de ponctuation.',
+    'missing-whitespace':     'Le champ {label} doit contenir un espace.',
+    'contains-personal-info': 'Le champ {label} ne doit pas contenir votre nom, identifiant ou adresse e-mail.',
+    'breached':               'Le champ {label} figure dans une fuite de données, veuillez en choisir un autre.',
+    'low-entropy':            'Le champ {label} est trop facile à deviner.',
+    'too-weak':               'Le champ {label} n\'est pas assez sécurisé.'
+  },
+
+  'radio': {
+    'invalid-choice': 'Le champ {label} ne fait pas partie des choix disponibles.'
+  },
+
+  'regexp': {
+    'invalid': 'Le format du champ {label} n\'est pas correct.'
+  },
+
+  'required': {
+    'required': 'Le champ {label} est obligatoire.'
+  },
+
+  'str-length': {
+    'too-short': 'Le champ {label} doit contenir au moins {min} caractères.',
+    'too-long':  'Le champ {label} ne doit pas dépasser {max} caractères.'
+  },
+
+  'telephone': {
+    'invalid':             'Le champ {label} doit être un numéro de téléphone valide.',
+    'too-short':           'Le champ {label} doit contenir au moins {minDigits} chiffres.',
+    'too-long':            'Le champ {label} ne doit pas dépasser {maxDigits} chiffres.',
+    'invalid-length':      'Le champ {label} ne contient pas le bon nombre de chiffres.',
+    'invalid-country':     'Le champ {label} ne commence pas par un indicatif de pays valide.',
+    'no-country':          'Le champ {label} doit inclure l\'indicatif du pays, par exemple +33.',
+    'country-not-allowed': 'Le champ {label} doit être un numéro de téléphone de l\'un des pays autorisés.',
+    'type-not-allowed':    'Le champ {label} n\'est pas un type de numéro de téléphone autorisé.'
+  },
+
+  'type': {
+    'type-mismatch': 'Le champ {label} n\'a pas le bon type de valeur.'
+  },
+
+  'unknown-fields': {
+    'unknown-field': 'Le champ {label} n\'est pas autorisé.'
+  },
+
+  'url': {
+    'invalid':                 'Le champ {label} doit être une URL valide.',
+    'protocol-required':       'Le champ {label} doit commencer par http:// ou https://.',
+    'protocol-not-allowed':    'Le champ {label} doit être une URL utilisant l\'un des protocoles suivants : {protocols}.',
+    'credentials-not-allowed': 'Le champ {label} ne peut pas contenir de nom d\'utilisateur ni de mot de passe.',
+    'host-not-allowed':        'Le champ {label} doit être une URL de l\'un des sites autorisés.',
+    'host-blocked':            'Le champ {label} ne peut pas être une URL sur {host}.',
+    'private-address':         'Le champ {label} ne peut pas être une URL sur un réseau privé.',
+    'host-not-found':          'Le champ {label} est une URL sur {host}, qui est introuvable.',
+    'lookup-failed':           'Le champ {label} est une URL sur {host}, qui n\'a pas pu être vérifié. Veuillez réessayer.'
+  }
+
+};
@@ -0,0 +1,116 @@
+/*
+ * Tests array fields and repeatable groups of fields.
+ */
+
+var assert = require('assert');
+var Foval  = require('../foval');
+
+var schema = Foval.schema([
+  { fieldName: 'tags', dataType: 'array', element: { trim: true, validations: { 'str-length': { max: 5 } } }, validations: {
+    'array': { minItems: 1, maxItems: 3, unique: true }
+  } },
+  { fieldName: 'ids', dataType: 'array', elementType: 'int' },
+  { fieldName: 'items', dataType: 'group', fields: [
+    { fieldName: 'name', dataType: 'string', required: true, trim: true },
+    { fieldName: 'qty',  dataType: 'int', validations: { 'numeric': { min: 1 } } }
+  ], validations: { 'array': { minItems: 1 } } },
+  { fieldName: 'address', dataType: 'group', repeatable: false, fields: [
+    { fieldName: 'city', dataType: 'string', required: true }
+  ] }
+], { stopOnInvalid: false });
+
+// Bad element types and groups are errors when the fields are defined.
+assert.throws(function () {
+  Foval.schema([{ fieldName: 'x', dataType: 'array', elementType: 'hash' }]);
+}, function (err) { return err.id === 'invalid-element-type'; });
+assert.throws(function () {
+  Foval.schema([{ fieldName: 'x', dataType: 'group', fields: 'name' }]);
+}, function (err) { return err.id === 'invalid-group-fields'; });
+assert.throws(function () {
+  Foval.schema([{ fieldName: 'x', dataType: 'group', fields: [{ fieldName: 'a', dataType: 'string' }, { fieldName: 'a', dataType: 'int' }] }]);
+}, function (err) { return err.id === 'duplicate-field'; });
+
+// Values can be submitted as 'field[]', 'field[0]' or 'field[0][sub]' keys.
+schema.validate({
+  'tags[]':                   [' red ', 'blue'],
+  'ids[1]':                   '20',
+  'ids[0]':                   '10',
+  'items[0][name]':           ' Pen ',
+  'items[0][qty]':            '2',
+  'items[1][name]':           'Ink',
+  'items[1][qty]':            '3',
+  'items[1][__proto__][bad]': 'yes',
+  'address[city]':            'Leeds'
+}).then(function (result) {
+
+  assert.strictEqual(result.isFormValid, true);
+  assert.deepStrictEqual(result.fieldHash.tags, ['red', 'blue']);
+  assert.deepStrictEqual(result.fieldHash.ids, [10, 20]);
+  assert.deepStrictEqual(result.fieldHash.items, [{ name: 'Pen', qty: 2 }, { name: 'Ink', qty: 3 }]);
+  assert.deepStrictEqual(result.fieldHash.address, { city: 'Leeds' });
+  assert.strictEqual({}.bad, undefined);
+
+  // The values of array and group fields can't be changed through getField().
+  assert.ok(Object.isFrozen(result.form.getField('tags').value));
+  assert.ok(Object.isFrozen(result.form.getField('items').value[0]));
+
+  return schema.validate({ tags: ['red', 'toolong'], items: [{ name: 'Pen', qty: '0' }], address: { city: '' } });
+
+}).then(function (result) {
+
+  var form = result.form;
+
+  assert.strictEqual(result.isFormValid, false);
+  assert.deepStrictEqual(result.fieldHash.ids, []);
+  assert.strictEqual(result.validationResults.tags.items['1']['str-length'].reason, 'too-long');
+  assert.strictEqual(result.validationResults.items.items['0'].fields.qty.numeric.reason, 'too-small');
+  assert.strictEqual(result.validationResults.address.fields.city.required.passed, false);
+
+  // Errors include the path to the item.
+  assert.deepStrictEqual(form.getFieldErrors('tags'), [{ validation: 'str-length', reason: 'too-long', message: 'tags must be no more than 5 characters.', index: 1, path: 'tags.1' }]);
+  assert.strictEqual(form.getFieldErrors('items')[0].path, 'items.0.qty');
+  assert.strictEqual(form.toResponse({ format: 'flat' }).errors[2].path, 'address.city');
+
+  return schema.validate({ tags: ['a', 'b', 'a'] });
+
+}).then(function (result) {
+
+  assert.strictEqual(result.validationResults.tags.array.reason, 'not-unique');
+  assert.strictEqual(result.fieldHash.address, null);
+
+  // Empty groups are only checked if they're required.
+  assert.deepStrictEqual(result.fieldHash.items, []);
+  assert.strictEqual(result.validationResults.items.isValid, true);
+
+  return schema.validate({ tags: 'solo' });
+
+}).then(function (result) {
+
+  // A single value becomes an array of one item.
+  assert.deepStrictEqual(result.fieldHash.tags, ['solo']);
+
+  return schema.validate({ tags: ['a', 'b', 'c', 'd'] });
+
+}).then(function (result) {
+
+  assert.strictEqual(result.validationResults.tags.array.reason, 'too-many-items');
+
+  var required = Foval.schema([{ fieldName: 'items', dataType: 'group', required: true, fields: [{ fieldName: 'name', dataType: 'string' }], validations: {
+    'array': { minItems: 2 }
+  } }]);
+
+  return required.validate({ 'items[0][name]': 'Pen' });
+
+}).then(function (result) {
+
+  assert.strictEqual(result.validationResults.items.array.reason, 'too-few-items');
+  assert.strictEqual(result.validationResults.items.array.message, 'items needs at least 2 items.');
+
+}).then(function () {
+
+  console.log('Array tests passed.');
+
+}).catch(function (err) {
+  console.error(err);
+  process.exitCode = 1;
+});
@@ -0,0 +1,112 @@
+/*
+ * Tests the compare validation and form-level rules.
+ */
+
+var assert = require('assert');
+var Foval  = require('../foval');
+
+var priceDefinitions = [
+  { fieldName: 'minPrice', dataType: 'decimal' },
+  { fieldName: 'maxPrice', dataType: 'decimal', validations: { 'compare': { field: 'minPrice', operator: 'gte' } } }
+];
+var priceSchema      = Foval.schema(priceDefinitions);
+var allPriceSchema   = Foval.schema(priceDefinitions, { stopOnInvalid: false });
+
+var dateSchema = Foval.schema([
+  { fieldName: 'startDate', dataType: 'date' },
+  { fieldName: 'endDate',   dataType: 'date', validations: { 'compare': { field: 'startDate', operator: 'gt' } } },
+  { fieldName: 'note',      dataType: 'string', validations: { 'compare': { field: 'startDate', operator: 'ne' } } }
+], { stopOnInvalid: false });
+
+var ruleSchema = Foval.schema([
+  { fieldName: 'phone', dataType: 'string' },
+  { fieldName: 'email', dataType: 'string' }
+], {
+  stopOnInvalid: false,
+  rules: [{ atLeastOneOf: ['phone', 'email'] }, { mutuallyExclusive: ['phone', 'email'] }]
+});
+
+// Decimals are compared exactly.
+priceSchema.validate({ minPrice: '10.10', maxPrice: '10.09' }).then(function (result) {
+
+  assert.strictEqual(result.validationResults.maxPrice.compare.reason, 'not-greater-or-equal');
+
+  // Values that aren't numbers are reported by the 'decimal' validation instead of crashing.
+  return priceSchema.validate({ minPrice: '5', maxPrice: 'abc' });
+
+}).then(function (result) {
+
+  assert.strictEqual(result.isFormValid, false);
+  assert.strictEqual(result.validationResults.maxPrice.compare.passed, true);
+  assert.strictEqual(result.validationResults.maxPrice.decimal.reason, 'invalid');
+
+  return allPriceSchema.validate({ minPrice: 'abc', maxPrice: '5' });
+
+}).then(function (result) {
+
+  assert.strictEqual(result.validationResults.minPrice.decimal.reason, 'invalid');
+  assert.strictEqual(result.validationResults.maxPrice.compare.passed, true);
+
+  // Dates are compared by their time, invalid dates are left to the 'date' validation.
+  return dateSchema.validate({ startDate: '2020-01-02', endDate: '2020-01-01' });
+
+}).then(function (result) {
+
+  assert.strictEqual(result.validationResults.endDate.compare.reason, 'not-after');
+  assert.strictEqual(result.validationResults.endDate.compare.message, 'endDate must be after startDate.');
+
+  return dateSchema.validate({ startDate: '2020-02-31', endDate: '2020-01-01' });
+
+}).then(function (result) {
+
+  assert.strictEqual(result.validationResults.startDate.date.reason, 'invalid-date');
+  assert.strictEqual(result.validationResults.endDate.compare.passed, true);
+
+  // Values of different kinds fail rather than throwing.
+  return dateSchema.validate({ startDate: '2020-01-01', endDate: '2020-01-02', note: 'hello' });
+
+}).then(function (result) {
+
+  assert.strictEqual(result.validationResults.note.compare.reason, 'mismatched-types');
+
+  // Form rules.
+  return ruleSchema.validate({});
+
+}).then(function (result) {
+
+  assert.strictEqual(result.isFormValid, false);
+  assert.strictEqual(result.validationResults.phone['at-least-one-of'].reason, 'none-given');
+
+  return ruleSchema.validate({ phone: '0123', email: 'a@b.com' });
+
+}).then(function (result) {
+
+  assert.strictEqual(result.validationResults.email['mutually-exclusive'].reason, 'more-than-one-given');
+
+  return ruleSchema.validate({ email: 'a@b.com' });
+
+}).then(function (result) {
+
+  assert.strictEqual(result.isFormValid, true);
+
+  assert.throws(function () { Foval.schema([{ fieldName: 'a', dataType: 'string' }], { rules: [{ allOrNone: ['a', 'b'] }] }); });
+
+  // Comparing against a field that doesn't exist rejects the validation, even after an asynchronous step.
+  var badSchema = Foval.schema([{ fieldName: 'a', dataType: 'int', transforms: { before: {
+    'custom': function (value) { return Promise.resolve(value); }
+  } }, validations: { 'compare': { field: 'b', operator: 'gt' } } }]);
+
+  return badSchema.validate({ a: '1' }).then(function () {
+    throw new Error('Expected the validation to reject.');
+  }, function (err) {
+    assert.strictEqual(err.id, 'compare-validation-invalid-field');
+  });
+
+}).then(function () {
+
+  console.log('Compare tests passed.');
+
+}).catch(function (err) {
+  console.error(err);
+  process.exitCode = 1;
+});
@@ -0,0 +1,88 @@
+/*
+ * Tests conditional fields and the order fields are processed in.
+ */
+
+var assert = require('assert');
+var Foval  = require('../foval');
+
+var schema = Foval.schema([
+  { fieldName: 'accountType',  dataType: 'string' },
+  { fieldName: 'hasVatNumber', dataType: 'checkbox' },
+  { fieldName: 'companyName',  dataType: 'string', requiredIf: { accountType: 'business' } },
+  { fieldName: 'vatNumber',    dataType: 'string', required: true, validateIf: { hasVatNumber: true } },
+  { fieldName: 'nickname',     dataType: 'string', required: true, skipIf: function (fieldHash) { return (fieldHash.accountType === 'business'); } },
+  { fieldName: 'region',       dataType: 'string', requiredIf: { accountType: ['charity', 'government'] } }
+], { stopOnInvalid: false });
+
+// Bad conditions are errors when the fields are defined.
+assert.throws(function () {
+  Foval.schema([{ fieldName: 'a', dataType: 'string', skipIf: 'yes' }]);
+}, function (err) { return err.id === 'invalid-condition'; });
+assert.throws(function () {
+  Foval.schema([
+    { fieldName: 'a', dataType: 'string', validations: { 'match-field': 'b' } },
+    { fieldName: 'b', dataType: 'string', dependsOn: 'a' }
+  ]);
+}, function (err) { return err.id === 'circular-dependency'; });
+
+// The form keeps working after a field is rejected for a circular dependency.
+var form = new Foval({});
+form.defineField({ fieldName: 'a', dataType: 'string', dependsOn: 'b' });
+assert.throws(function () {
+  form.defineField({ fieldName: 'b', dataType: 'string', dependsOn: 'a' });
+}, function (err) { return err.id === 'circular-dependency'; });
+assert.deepStrictEqual(form.getFieldNames(), ['a']);
+
+schema.validate({ accountType: 'personal', nickname: 'Jo' }).then(function (result) {
+
+  // The conditions weren't met.
+  assert.strictEqual(result.isFormValid, true);
+  assert.deepStrictEqual(result.validationResults.vatNumber, { isValid: true, skipped: true });
+
+  return schema.validate({ accountType: 'business', hasVatNumber: 'ON' });
+
+}).then(function (result) {
+
+  assert.strictEqual(result.isFormValid, false);
+  assert.strictEqual(result.validationResults.companyName.required.passed, false);
+  assert.strictEqual(result.validationResults.vatNumber.required.passed, false);
+  assert.deepStrictEqual(result.validationResults.nickname, { isValid: true, skipped: true });
+  assert.strictEqual(result.validationResults.region.isValid, true);
+
+  return schema.validate({ accountType: 'government', nickname: 'Jo' });
+
+}).then(function (result) {
+
+  assert.strictEqual(result.validationResults.region.required.passed, false);
+
+  // Fields are checked against the transformed values of the fields they depend on.
+  var emailSchema = Foval.schema([
+    { fieldName: 'confirmEmail', dataType: 'string', validations: { 'match-field': 'email' } },
+    { fieldName: 'email',        dataType: 'string', transforms: { before: { 'custom': function (value) {
+      return new Promise(function (resolve) { setTimeout(function () { resolve(value.toLowerCase()); }, 10); });
+    } } } },
+    { fieldName: 'marketing',    dataType: 'checkbox', skipIf: { email: /@example\.com$/ } }
+  ]);
+
+  return emailSchema.validate({ email: 'Jo@Example.com', confirmEmail: 'jo@example.com', marketing: 'ON' });
+
+}).then(function (result) {
+
+  assert.strictEqual(result.isFormValid, true);
+  assert.strictEqual(result.validationResults.marketing.skipped, true);
+
+  // Conditions on fields that were never defined are only found when the form is validated.
+  return Foval.schema([{ fieldName: 'a', dataType: 'string', skipIf: { missing: true } }]).validate({}).then(function () {
+    throw new Error('Expected the validation to reject.');
+  }, function (err) {
+    assert.strictEqual(err.id, 'condition-invalid-field');
+  });
+
+}).then(function () {
+
+  console.log('Condition tests passed.');
+
+}).catch(function (err) {
+  console.error(err);
+  process.exitCode = 1;
+});
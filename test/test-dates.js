@@ -0,0 +1,84 @@
+/*
+ * Tests parsing, formatting and validating dates and times.
+ */
+
+var assert = require('assert');
+var Foval  = require('../foval');
+var dates  = require('../lib/dates');
+
+// Parse values in the field's formats and timezone.
+assert.strictEqual(dates.parse('2015-03-01', 'date', ['iso'], 'UTC').toISOString(), '2015-03-01T00:00:00.000Z');
+assert.strictEqual(dates.parse('01/07/2015', 'date', ['MM/DD/YYYY', 'DD/MM/YYYY'], 'UTC').toISOString(), '2015-01-07T00:00:00.000Z');
+assert.strictEqual(dates.parse('2015-07-01', 'date', ['iso'], 'Europe/London').toISOString(), '2015-06-30T23:00:00.000Z');
+assert.strictEqual(dates.parse('2015-07-01T12:00:00+02:00', 'datetime', ['iso'], 'UTC').toISOString(), '2015-07-01T10:00:00.000Z');
+assert.strictEqual(dates.parse('09:30', 'time', ['HH:mm'], '+01:00').toISOString(), '1970-01-01T08:30:00.000Z');
+assert.ok(isNaN(dates.parse('abc', 'date', ['iso'], 'UTC').getTime()));
+
+// Values that don't match have a reason.
+assert.strictEqual(dates.check('31/02/2015', 'date', ['DD/MM/YYYY'], 'UTC'), 'invalid-date');
+assert.strictEqual(dates.check('25:00', 'time', ['iso'], 'UTC'), 'invalid-date');
+assert.strictEqual(dates.check('2015/01/01', 'date', ['iso'], 'UTC'), 'invalid-format');
+assert.strictEqual(dates.check('2015-01-01', 'date', ['iso'], 'UTC'), null);
+
+// Timezones and formats.
+assert.strictEqual(dates.getTimezoneOffset('+02:00', new Date()), 120);
+assert.strictEqual(dates.getTimezoneOffset('Europe/London', new Date('2015-07-01T00:00:00Z')), 60);
+assert.strictEqual(dates.format(new Date('2015-07-01T12:34:56.789Z'), 'DD/MM/YY HH:mm:ss.SSS Z', 'Europe/Paris'), '01/07/15 14:34:56.789 +02:00');
+assert.strictEqual(dates.format(new Date('2015-07-01T12:34:56Z'), 'iso', 'UTC', 'date'), '2015-07-01');
+assert.strictEqual(dates.isValidFormat('DD/MM/YYYY'), true);
+assert.strictEqual(dates.isValidFormat('nope'), false);
+assert.strictEqual(Foval.format(new Date('2015-07-01T12:34:56Z'), 'date', { format: 'DD/MM/YYYY HH:mm', timezone: 'Europe/Paris' }), '01/07/2015 14:34');
+
+// Relative dates.
+var inAMonth = dates.parseRelative('+30d', 'UTC');
+assert.ok(Math.abs(inAMonth.getTime() - Date.now() - 30 * 24 * 60 * 60 * 1000) < 1000);
+assert.strictEqual(dates.parseRelative('soon', 'UTC'), null);
+
+// Bad formats and timezones are errors when the field is defined.
+assert.throws(function () {
+  new Foval({}).defineField({ fieldName: 'when', dataType: 'date', formats: ['nope'] });
+}, function (err) { return err.id === 'invalid-date-format'; });
+assert.throws(function () {
+  new Foval({}).defineField({ fieldName: 'when', dataType: 'date', timezone: 'Mars/Olympus' });
+}, function (err) { return err.id === 'invalid-timezone'; });
+
+var schema = Foval.schema([
+  { fieldName: 'dob',     dataType: 'date',     formats: ['DD/MM/YYYY'], validations: { 'date-range': { max: '-18y' } }, transforms: { after: { 'date': 'YYYY-MM-DD' } } },
+  { fieldName: 'starts',  dataType: 'datetime', validations: { 'date-range': { notInPast: true } } },
+  { fieldName: 'opens',   dataType: 'time',     validations: { 'date-range': { min: '09:00', max: '17:30' } } },
+  { fieldName: 'renewal', dataType: 'date',     validations: { 'date-range': { min: '2020-01-01' } } }
+], { stopOnInvalid: false });
+
+schema.validate({ dob: '01/02/1980', starts: '2999-01-01T09:00:00Z', opens: '09:00', renewal: '' }).then(function (result) {
+
+  assert.strictEqual(result.isFormValid, true);
+  assert.strictEqual(result.fieldHash.dob, '1980-02-01');
+  assert.ok(result.fieldHash.opens instanceof Date);
+  assert.strictEqual(result.fieldHash.renewal, null);
+
+  return schema.validate({ dob: '31/02/1980', starts: '2000-01-01T09:00:00Z', opens: '18:00', renewal: '2019-12-31' });
+
+}).then(function (result) {
+
+  assert.strictEqual(result.isFormValid, false);
+  assert.strictEqual(result.validationResults.dob.date.reason, 'invalid-date');
+  assert.strictEqual(result.validationResults.starts['date-range'].reason, 'in-past');
+  assert.strictEqual(result.validationResults.opens['date-range'].reason, 'too-late');
+  assert.strictEqual(result.validationResults.renewal['date-range'].reason, 'too-early');
+
+  return schema.validate({ dob: '1980-02-01', opens: '8am' });
+
+}).then(function (result) {
+
+  assert.strictEqual(result.validationResults.dob.date.reason, 'invalid-format');
+  assert.strictEqual(result.validationResults.dob.date.message, 'dob must be in the format DD/MM/YYYY.');
+  assert.strictEqual(result.validationResults.opens.date.reason, 'invalid-format');
+
+}).then(function () {
+
+  console.log('Date tests passed.');
+
+}).catch(function (err) {
+  console.error(err);
+  process.exitCode = 1;
+});
@@ -0,0 +1,56 @@
+/*
+ * Tests parsing, comparing and validating exact decimals.
+ */
+
+var assert   = require('assert');
+var Foval    = require('../foval');
+var decimals = require('../lib/decimals');
+
+// Parse values in each locale.
+assert.strictEqual(decimals.parse('1,234.50', '.', [',']), '1234.5');
+assert.strictEqual(decimals.parse('1 234,5', ',', [' ']), '1234.5');
+assert.strictEqual(decimals.parse('-0.00', '.', [',']), '0');
+assert.strictEqual(decimals.parse(1e-7, '.', [',']), '0.0000001');
+assert.strictEqual(decimals.parse('12,34', '.', [',']), null);
+assert.strictEqual(decimals.parse('abc', '.', [',']), null);
+assert.strictEqual(decimals.parse(Infinity, '.', [',']), null);
+
+// Values with line breaks are invalid rather than throwing.
+assert.strictEqual(decimals.parse('1\n2', '.', [',']), null);
+assert.strictEqual(decimals.parse('-1\r\n2', '.', [',']), null);
+
+// Compare and round exactly.
+assert.strictEqual(decimals.compare('0.1', '0.10'), 0);
+assert.strictEqual(decimals.compare('-2', '1'), -1);
+assert.strictEqual(decimals.compare('10.01', 10), 1);
+assert.strictEqual(decimals.toScale('2.675', 2), '2.68');
+assert.strictEqual(decimals.toScale('-9.995', 2), '-10.00');
+assert.strictEqual(decimals.format('1234567.5', ',', '.'), '1.234.567,5');
+
+// Invalid input fails the 'decimal' validation instead of rejecting.
+var schema = Foval.schema([
+  { fieldName: 'price', dataType: 'currency', currency: 'GBP' },
+  { fieldName: 'rate',  dataType: 'decimal', precision: 4, scale: 2 }
+]);
+
+schema.validate({ price: '1\n2', rate: '123.4' }).then(function (result) {
+
+  assert.strictEqual(result.isFormValid, false);
+  assert.strictEqual(result.validationResults.price.decimal.reason, 'invalid');
+  assert.strictEqual(result.validationResults.rate.decimal.reason, 'too-many-digits');
+  assert.strictEqual(result.fieldHash.price, '1\n2');
+
+  return schema.validate({ price: '1,234.5', rate: '12.34' });
+
+}).then(function (result) {
+
+  assert.strictEqual(result.isFormValid, true);
+  assert.strictEqual(result.fieldHash.price, '1234.50');
+  assert.strictEqual(result.fieldHash.rate, '12.34');
+
+  console.log('Decimal tests passed.');
+
+}).catch(function (err) {
+  console.error(err);
+  process.exitCode = 1;
+});
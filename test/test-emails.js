@@ -0,0 +1,79 @@
+/*
+ * Tests parsing, normalising and validating email addresses.
+ */
+
+var assert = require('assert');
+var Foval  = require('../foval');
+var emails = require('../lib/emails');
+
+// Parse addresses, including internationalised domains.
+assert.deepStrictEqual(emails.parse('Jo.Smith@Example.COM'), { local: 'Jo.Smith', domain: 'example.com', unicodeDomain: 'example.com' });
+assert.deepStrictEqual(emails.parse('jo@bücher.example'), { local: 'jo', domain: 'xn--bcher-kva.example', unicodeDomain: 'bücher.example' });
+assert.strictEqual(emails.parse('"jo@home"@example.com').local, '"jo@home"');
+assert.strictEqual(emails.parse('jo.example.com').error, 'invalid');
+assert.strictEqual(emails.parse('@example.com').error, 'invalid');
+assert.strictEqual(emails.parse('jo..smith@example.com').error, 'invalid-local-part');
+assert.strictEqual(emails.parse('jo@localhost').error, 'invalid-domain');
+assert.strictEqual(emails.parse('jo@127.0.0.1').error, 'invalid-domain');
+assert.strictEqual(emails.parse(new Array(66).join('a') + '@example.com').error, 'too-long');
+
+// Domain lists match subdomains, in either form.
+assert.strictEqual(emails.matchesDomain('mail.example.com', ['example.com']), true);
+assert.strictEqual(emails.matchesDomain('notexample.com', ['example.com']), false);
+assert.strictEqual(emails.matchesDomain('xn--bcher-kva.example', ['bücher.example']), true);
+assert.strictEqual(emails.isDisposable('eu.mailinator.com'), true);
+assert.strictEqual(emails.isDisposable('example.com'), false);
+
+// Normalise addresses.
+assert.strictEqual(emails.normalise('Jo.Smith+news@Example.COM', {}), 'Jo.Smith+news@example.com');
+assert.strictEqual(emails.normalise('Jo.Smith+news@Example.COM', { lowercaseLocal: true, stripPlusTags: true }), 'jo.smith@example.com');
+assert.strictEqual(emails.normalise('Jo.Smith+news@googlemail.com', { providerRules: true }), 'JoSmith@gmail.com');
+assert.strictEqual(emails.normalise('"jo+x"@example.com', { stripPlusTags: true }), '"jo+x"@example.com');
+assert.strictEqual(emails.normalise('jo@bücher.example', { domainEncoding: 'punycode' }), 'jo@xn--bcher-kva.example');
+assert.strictEqual(emails.normalise('not an email', { lowercaseLocal: true }), 'not an email');
+
+var schema = Foval.schema([
+  { fieldName: 'email',    dataType: 'email', transforms: { after: { 'email': { lowercaseLocal: true } } } },
+  { fieldName: 'work',     dataType: 'email', validations: { 'email': { allowedDomains: ['example.com'] } } },
+  { fieldName: 'personal', dataType: 'email', validations: { 'email': { blockDisposable: true, disposableDomains: ['spam.example'] } } }
+], { stopOnInvalid: false });
+
+schema.validate({ email: ' Jo@Example.com ', work: 'jo@sales.example.com', personal: 'jo@gmail.com' }).then(function (result) {
+
+  assert.strictEqual(result.isFormValid, true);
+  assert.strictEqual(result.fieldHash.email, 'jo@example.com');
+
+  return schema.validate({ email: 'jo@', work: 'jo@example.org', personal: 'jo@yopmail.com' });
+
+}).then(function (result) {
+
+  assert.strictEqual(result.isFormValid, false);
+  assert.strictEqual(result.validationResults.email.email.reason, 'invalid');
+  assert.strictEqual(result.validationResults.work.email.reason, 'domain-not-allowed');
+  assert.strictEqual(result.validationResults.personal.email.reason, 'disposable-domain');
+  assert.strictEqual(result.validationResults.personal.email.message, 'personal cannot use a disposable email address.');
+
+  return schema.validate({ personal: 'jo@mx.spam.example' });
+
+}).then(function (result) {
+
+  assert.strictEqual(result.validationResults.personal.email.reason, 'disposable-domain');
+
+  // The resolver must be a function.
+  var form = new Foval({ email: 'jo@example.com' }, { mxResolver: 'dns' });
+  form.defineField({ fieldName: 'email', dataType: 'email', validations: { 'email': { checkMx: true } } });
+
+  return form.validate().then(function () {
+    throw new Error('Expected the validation to fail.');
+  }, function (err) {
+    assert.strictEqual(err.id, 'email-validation-invalid-resolver');
+  });
+
+}).then(function () {
+
+  console.log('Email tests passed.');
+
+}).catch(function (err) {
+  console.error(err);
+  process.exitCode = 1;
+});
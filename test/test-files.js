@@ -0,0 +1,56 @@
+/*
+ * Tests decoding and validating uploaded files.
+ */
+
+var assert = require('assert');
+var Foval  = require('../foval');
+
+var png    = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex');
+var schema = Foval.schema([
+  {
+    fieldName: 'avatar',
+    dataType:  'file',
+    validations: {
+      'file': { maxSize: 1024, mimeTypes: ['image/*'], extensions: ['png'] }
+    }
+  }
+]);
+
+var upload = function (filename, mime, data) {
+  return { avatar: { filename: filename, mime: mime, data: data } };
+};
+
+// A real PNG passes.
+schema.validate(upload('me.png', 'image/png', 'data:image/png;base64,' + png.toString('base64'))).then(function (result) {
+
+  assert.strictEqual(result.isFormValid, true);
+  assert.strictEqual(result.fieldHash.avatar.detectedMime, 'image/png');
+
+  // Text pretending to be a PNG.
+  return schema.validate(upload('me.png', 'image/png', 'data:image/png,hello'));
+
+}).then(function (result) {
+
+  assert.strictEqual(result.validationResults.avatar.file.reason, 'mime-mismatch');
+
+  // A badly encoded data URL fails the validation instead of rejecting.
+  return schema.validate(upload('me.png', 'text/plain', 'data:text/plain,%E0%A4%A'));
+
+}).then(function (result) {
+
+  assert.strictEqual(result.isFormValid, false);
+  assert.strictEqual(result.validationResults.avatar.file.reason, 'no-data');
+
+  // The wrong extension.
+  return schema.validate(upload('me.gif', 'image/png', png));
+
+}).then(function (result) {
+
+  assert.strictEqual(result.validationResults.avatar.file.reason, 'invalid-extension');
+
+  console.log('File tests passed.');
+
+}).catch(function (err) {
+  console.error(err);
+  process.exitCode = 1;
+});
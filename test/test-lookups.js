@@ -0,0 +1,116 @@
+/*
+ * Tests the DNS lookups of the 'email' and 'url' validations, using fake
+ * resolvers.
+ */
+
+var assert = require('assert');
+var Foval  = require('../foval');
+
+var dnsError = function (code) {
+  var err  = new Error('DNS error ' + code);
+  err.code = code;
+  return err;
+};
+
+// Fake DNS records, keyed by domain. A string is an error code, and 'hang' never responds.
+var mxRecords = {
+  'mail.example':     [{ exchange: 'mx.mail.example', priority: 10 }],
+  'missing.example':  'ENOTFOUND',
+  'a-only.example':   'ENODATA',
+  'no-host.example':  'ENODATA',
+  'null-mx.example':  [{ exchange: '.', priority: 0 }],
+  'broken.example':   'ESERVFAIL',
+  'slow.example':     'hang'
+};
+var hostRecords = {
+  'a-only.example':   [{ address: '93.184.216.34', family: 4 }],
+  'no-host.example':  'ENODATA',
+  'public.example':   [{ address: '93.184.216.34', family: 4 }],
+  'internal.example': [{ address: '10.0.0.5', family: 4 }],
+  'missing.example':  'ENOTFOUND',
+  'broken.example':   'EAI_AGAIN',
+  'slow.example':     'hang'
+};
+
+var fakeResolver = function (records) {
+  return function (domain) {
+    var callback = arguments[arguments.length - 1];
+    var record   = records[domain];
+    if (record === 'hang') { return; }
+    setImmediate(function () {
+      if (typeof record === 'string') { return callback(dnsError(record)); }
+      return callback(null, record || []);
+    });
+  };
+};
+
+var validate = function (dataType, value, validation) {
+  var form = new Foval({ field: value }, { mxResolver: fakeResolver(mxRecords), hostResolver: fakeResolver(hostRecords) });
+  var validations = {};
+  validations[dataType] = validation;
+  form.defineField({ fieldName: 'field', dataType: dataType, validations: validations });
+  return form.validate().then(function (result) {
+    return result.validationResults.field[dataType];
+  });
+};
+
+var expect = function (passed, reason) {
+  return function (result) {
+    assert.strictEqual(result.passed, passed);
+    assert.strictEqual(result.reason, reason);
+  };
+};
+
+Promise.all([
+
+  // Email domains.
+  validate('email', 'jo@mail.example',    { checkMx: true }).then(expect(true, null)),
+  validate('email', 'jo@missing.example', { checkMx: true }).then(expect(false, 'no-mx')),
+  validate('email', 'jo@null-mx.example', { checkMx: true }).then(expect(false, 'no-mx')),
+
+  // Domains without MX records fall back to their own addresses.
+  validate('email', 'jo@a-only.example',  { checkMx: true }).then(expect(true, null)),
+  validate('email', 'jo@no-host.example', { checkMx: true }).then(expect(false, 'no-mx')),
+
+  // Failed lookups pass unless asked not to.
+  validate('email', 'jo@broken.example', { checkMx: true }).then(expect(true, 'lookup-failed')),
+  validate('email', 'jo@broken.example', { checkMx: true, failOnLookupError: true }).then(expect(false, 'lookup-failed')),
+  validate('email', 'jo@slow.example',   { checkMx: true, lookupTimeout: 20 }).then(expect(true, 'lookup-failed')),
+
+  // URL hosts.
+  validate('url', 'https://public.example/',   { resolveHost: true }).then(expect(true, null)),
+  validate('url', 'https://missing.example/',  { resolveHost: true }).then(expect(false, 'host-not-found')),
+  validate('url', 'https://internal.example/', { resolveHost: true, blockPrivate: true }).then(expect(false, 'private-address')),
+  validate('url', 'https://broken.example/',   { resolveHost: true }).then(expect(true, 'lookup-failed')),
+  validate('url', 'https://slow.example/',     { resolveHost: true, lookupTimeout: 20 }).then(expect(true, 'lookup-failed')),
+
+  // Blocking private addresses fails failed lookups by default.
+  validate('url', 'https://broken.example/', { resolveHost: true, blockPrivate: true }).then(expect(false, 'lookup-failed')),
+  validate('url', 'https://slow.example/',   { resolveHost: true, blockPrivate: true, lookupTimeout: 20 }).then(expect(false, 'lookup-failed')),
+  validate('url', 'https://broken.example/', { resolveHost: true, blockPrivate: true, failOnLookupError: false }).then(expect(true, 'lookup-failed')),
+
+  // The timeout must be a positive number.
+  validate('email', 'jo@mail.example', { checkMx: true, lookupTimeout: 0 }).then(function () {
+    throw new Error('Expected the validation to fail.');
+  }, function (err) {
+    assert.strictEqual(err.id, 'lookup-invalid-timeout');
+  })
+
+]).then(function () {
+
+  // The message uses the domain.
+  var form = new Foval({ email: 'jo@broken.example' }, { mxResolver: fakeResolver(mxRecords), hostResolver: fakeResolver(hostRecords) });
+  form.defineField({ fieldName: 'email', dataType: 'email', validations: { email: { checkMx: true, failOnLookupError: true } } });
+
+  return form.validate().then(function (result) {
+    assert.strictEqual(result.validationResults.email.email.message, 'email uses the domain broken.example, which could not be checked. Please try again.');
+  });
+
+}).then(function () {
+
+  console.log('Lookup tests passed.');
+
+}).catch(function (err) {
+  console.error(err);
+  process.exitCode = 1;
+});
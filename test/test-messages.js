@@ -0,0 +1,93 @@
+/*
+ * Tests the localised validation messages and the response formats.
+ */
+
+var assert = require('assert');
+var Foval  = require('../foval');
+
+var schema = Foval.schema([
+  { fieldName: 'age', label: { en: 'Age', fr: 'Âge' }, dataType: 'int', validations: { 'numeric': { min: 18 } } },
+  { fieldName: 'nickname', label: 'Nickname', dataType: 'string', validations: { 'str-length': { min: 3 } }, messages: {
+    'str-length': { 'too-short': 'Pick a nickname of {min} letters or more.' }
+  } },
+  { fieldName: 'name', dataType: 'string', required: true, messages: {
+    'required': function (options, locale) { return 'name/' + locale; }
+  } },
+  { fieldName: 'password', dataType: 'password', required: true },
+  { fieldName: 'city', dataType: 'string' }
+], { stopOnInvalid: false });
+
+var data = { age: '12', nickname: 'Jo', password: 'secret', city: 'Paris' };
+
+// Messages can be added for new locales and reasons.
+Foval.addMessages('es', { 'numeric': { 'too-small': '{label} debe ser al menos {min}.' } });
+assert.strictEqual(Foval.messages.es.numeric['too-small'], '{label} debe ser al menos {min}.');
+
+schema.validate(data).then(function (result) {
+
+  var results = result.validationResults;
+
+  assert.strictEqual(results.age.numeric.message, 'Age must be at least 18.');
+  assert.strictEqual(results.nickname['str-length'].message, 'Pick a nickname of 3 letters or more.');
+  assert.strictEqual(results.name.required.message, 'name/en');
+  assert.strictEqual(results.city.isValid, true);
+
+  // Regional locales fall back to their language.
+  return schema.validate(data, { locale: 'fr-CA' });
+
+}).then(function (result) {
+
+  assert.strictEqual(result.validationResults.age.numeric.message, 'Le champ Âge doit être au moins 18.');
+  assert.strictEqual(result.validationResults.name.required.message, 'name/fr-ca');
+
+  // Missing messages fall back to the fallback locale.
+  return schema.validate(data, { locale: 'es' });
+
+}).then(function (result) {
+
+  assert.strictEqual(result.validationResults.age.numeric.message, 'Age debe ser al menos 18.');
+  assert.strictEqual(result.validationResults.password.password.message.indexOf('password'), 0);
+
+  var form = result.form;
+
+  // The format Foval Client expects.
+  var client = form.toResponse();
+  assert.strictEqual(client.success, false);
+  assert.deepStrictEqual(client.errors.age, { isValid: false, errors: [{ validation: 'numeric', reason: 'too-small', message: 'Age debe ser al menos 18.' }] });
+  assert.deepStrictEqual(client.errors.city, { isValid: true, errors: [] });
+  assert.strictEqual(client.values, undefined);
+
+  // Values are only included when asked for, and never for sensitive fields.
+  var flat = form.toResponse({ format: 'flat', includeValues: true });
+  assert.deepStrictEqual(flat.errors[0], { field: 'age', validation: 'numeric', reason: 'too-small', message: 'Age debe ser al menos 18.' });
+  assert.strictEqual(flat.values.city, 'Paris');
+  assert.strictEqual(flat.values.hasOwnProperty('password'), false);
+
+  var problem = form.toResponse({ format: 'problem', instance: '/signup' });
+  assert.strictEqual(problem.status, 422);
+  assert.strictEqual(problem.instance, '/signup');
+  assert.deepStrictEqual(problem['invalid-params'][0], { name: 'age', reason: 'Age debe ser al menos 18.', code: 'too-small', validation: 'numeric' });
+
+  assert.throws(function () { form.toResponse({ format: 'xml' }); }, function (err) { return err.id === 'invalid-response-format'; });
+
+  return schema.validate({ age: '21', nickname: 'Jolly', name: 'Jo', password: 'Secret-Horse-9' });
+
+}).then(function (result) {
+
+  assert.strictEqual(result.isFormValid, true);
+  assert.strictEqual(result.form.toResponse().success, true);
+  assert.strictEqual(result.form.toResponse({ format: 'problem' }), null);
+
+  // Forms must be validated before they can respond.
+  assert.throws(function () {
+    schema.createForm({}).toResponse();
+  }, function (err) { return err.id === 'form-not-validated'; });
+
+}).then(function () {
+
+  console.log('Message tests passed.');
+
+}).catch(function (err) {
+  console.error(err);
+  process.exitCode = 1;
+});
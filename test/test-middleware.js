@@ -0,0 +1,88 @@
+/*
+ * Tests the Express middleware and response formats.
+ */
+
+var assert      = require('assert');
+var Foval       = require('../foval');
+var packageJSON = require('../package.json');
+
+var middleware = Foval.middleware([
+  { fieldName: 'name',  dataType: 'string', validations: { 'required': true } },
+  { fieldName: 'email', dataType: 'email' }
+]);
+
+/*
+ * Runs the middleware with a fake request and passes back { status, body } if
+ * a response was sent, or { next, req } if the next handler was called.
+ */
+var run = function (method, data, handler) {
+  return new Promise(function (resolve) {
+
+    var req = { method: method, body: (method === 'GET' ? null : data), query: (method === 'GET' ? data : null), url: '/signup' };
+    var res = {
+      headers:   {},
+      setHeader: function (name, value) { this.headers[name] = value; },
+      end:       function (body) { resolve({ status: this.statusCode, type: this.headers['Content-Type'], body: JSON.parse(body) }); }
+    };
+
+    (handler || middleware)(req, res, function (err) { resolve({ next: true, err: err, req: req }); });
+
+  });
+};
+
+// Valid forms go on to the next handler.
+run('POST', { name: 'Jo', email: 'jo@example.com' }).then(function (result) {
+
+  assert.strictEqual(result.next, true);
+  assert.strictEqual(result.err, undefined);
+  assert.strictEqual(result.req.foval.isFormValid, true);
+  assert.strictEqual(result.req.foval.fieldHash.email, 'jo@example.com');
+
+  // Invalid forms get a 422 in the client format.
+  return run('GET', { email: 'nope' });
+
+}).then(function (result) {
+
+  assert.strictEqual(result.status, 422);
+  assert.strictEqual(result.type, 'application/json; charset=utf-8');
+  assert.strictEqual(result.body.success, false);
+  assert.strictEqual(result.body.errors.name.isValid, false);
+  assert.strictEqual(result.body.errors.name.errors[0].reason, 'required');
+
+  // Old and malformed client versions get a 400 rather than a 500.
+  return run('POST', { name: 'Jo', __FovalClientVersion: '0.0.1' });
+
+}).then(function (result) {
+
+  assert.strictEqual(result.status, 400);
+  assert.strictEqual(result.body.error, 'old-foval-client-version');
+
+  return run('POST', { name: 'Jo', __FovalClientVersion: 'garbage' });
+
+}).then(function (result) {
+
+  assert.strictEqual(result.status, 400);
+  assert.strictEqual(result.body.error, 'invalid-foval-client-version');
+
+  return run('POST', { name: 'Jo', __FovalClientVersion: packageJSON.version });
+
+}).then(function (result) {
+
+  assert.strictEqual(result.next, true);
+
+  // Errors thrown by a validation are passed to the next handler.
+  var broken = Foval.middleware([{ fieldName: 'age', dataType: 'int', validations: { 'str-length': { min: 1 } } }]);
+
+  return run('POST', { age: '21' }, broken);
+
+}).then(function (result) {
+
+  assert.strictEqual(result.next, true);
+  assert.strictEqual(result.err.id, 'validation-wrong-data-type');
+
+  console.log('Middleware tests passed.');
+
+}).catch(function (err) {
+  console.error(err);
+  process.exitCode = 1;
+});
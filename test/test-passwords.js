@@ -0,0 +1,190 @@
+/*
+ * Tests the password policy, password hashing and digests.
+ */
+
+var assert    = require('assert');
+var crypto    = require('crypto');
+var fs        = require('fs');
+var os        = require('os');
+var path      = require('path');
+var Foval     = require('../foval');
+var passwords = require('../lib/passwords');
+
+var sha1 = function (str) { return crypto.createHash('sha1').update(str).digest('hex').toUpperCase(); };
+
+// Requirements each have their own reason.
+assert.deepStrictEqual(passwords.checkRequirements('abc', { length: 8, lowercase: true, uppercase: true, digits: true }),
+  ['too-short', 'missing-uppercase', 'missing-digit']);
+assert.deepStrictEqual(passwords.checkRequirements('Ünïcode-Pass1', { length: 8, uppercase: true, punctuation: true }), []);
+
+// Personal info ignores the domain of email addresses.
+assert.strictEqual(passwords.containsPersonalInfo('Welcome-Horse-Battery9', ['jo.smith@example.com']), false);
+assert.strictEqual(passwords.containsPersonalInfo('Gmail-Horse-Battery9', ['jo.smith@gmail.com']), false);
+assert.strictEqual(passwords.containsPersonalInfo('xSMITHx-Battery9', ['jo.smith@example.com']), true);
+assert.strictEqual(passwords.containsPersonalInfo('Jolly-Horse-Battery9', ['Jo Smith']), false);
+assert.strictEqual(passwords.containsPersonalInfo('SmithyJones', ['Jo Smith']), true);
+assert.strictEqual(passwords.containsPersonalInfo('anything', [null, '', 'Jo']), false);
+
+// Repeats and runs add no entropy.
+assert.ok(passwords.estimateEntropy('aaaaaaaa') < passwords.estimateEntropy('ab'));
+assert.ok(passwords.estimateEntropy('abcdefgh') < passwords.estimateEntropy('aqzk'));
+assert.strictEqual(passwords.estimateEntropy(''), 0);
+
+// Breached lists, full hashes and prefixes.
+var tmpDir   = fs.mkdtempSync(path.join(os.tmpdir(), 'foval-'));
+var fullFile = path.join(tmpDir, 'full.txt');
+var badFile  = path.join(tmpDir, 'bad.txt');
+
+fs.writeFileSync(fullFile, '# breached\n' + sha1('Password1') + ':3730471\n\n' + sha1('Summer2024!').toLowerCase() + '\n');
+fs.writeFileSync(badFile, sha1('Password1') + '\n' + sha1('x').substr(0, 12) + '\n');
+
+var schema = Foval.schema([
+  { fieldName: 'email',    dataType: 'email' },
+  { fieldName: 'password', dataType: 'password', validations: { 'password': { breached: true, personalFields: ['email'], maxLength: 20 } } }
+]);
+
+new Promise(function (resolve) {
+  passwords.loadBreachedList(badFile, function (err) {
+    assert.ok(/Line 2/.test(err.message));
+    resolve();
+  });
+}).then(function () {
+
+  return Foval.loadBreachedPasswords(path.join(tmpDir, 'missing.txt')).then(function () {
+    throw new Error('A missing file should reject.');
+  }, function (err) {
+    assert.strictEqual(err.code, 'ENOENT');
+  });
+
+}).then(function () {
+
+  return Foval.loadBreachedPasswords(fullFile);
+
+}).then(function () {
+
+  // The list is kept in memory once it's loaded.
+  fs.rmSync(tmpDir, { recursive: true });
+
+  return schema.validate({ email: 'jo.smith@example.com', password: 'Summer2024!' });
+
+}).then(function (result) {
+
+  assert.strictEqual(result.validationResults.password.password.reason, 'breached');
+
+  return schema.validate({ email: 'jo.smith@example.com', password: 'Welcome-Horse-Battery9' });
+
+}).then(function (result) {
+
+  assert.strictEqual(result.validationResults.password.password.reason, 'too-long');
+
+  return schema.validate({ email: 'jo.smith@example.com', password: 'smith' });
+
+}).then(function (result) {
+
+  var failures = result.validationResults.password.password.failures.map(function (failure) { return failure.reason; });
+  assert.deepStrictEqual(failures, ['too-short', 'missing-uppercase', 'missing-digit', 'contains-personal-info']);
+
+  return schema.validate({ email: 'jo.smith@example.com', password: 'Welcome-Horse9' });
+
+}).then(function (result) {
+
+  assert.strictEqual(result.isFormValid, true);
+
+  // Any options that are accepted can be hashed, however little memory they use.
+  return Promise.all([
+    Foval.hashPassword('secret', { cost: 1 }),
+    Foval.hashPassword('secret', { cost: 4, parallelism: 16 }),
+    Foval.hashPassword('secret', { algorithm: 'pbkdf2', iterations: 1000, digest: 'sha512' })
+  ]);
+
+}).then(function (hashes) {
+
+  assert.ok(/^\$scrypt\$ln=1,r=8,p=1\$/.test(hashes[0]));
+  assert.ok(/^\$scrypt\$ln=4,r=8,p=16\$/.test(hashes[1]));
+  assert.ok(/^\$pbkdf2-sha512\$i=1000\$/.test(hashes[2]));
+  assert.strictEqual(Foval.needsRehash(hashes[0], { cost: 2 }), true);
+  assert.strictEqual(Foval.needsRehash(hashes[0], { cost: 1 }), false);
+  assert.strictEqual(Foval.needsRehash(hashes[2], { algorithm: 'pbkdf2', iterations: 1000 }), true);
+
+  return Promise.all([
+    Foval.verifyPassword('secret', hashes[1]),
+    Foval.verifyPassword('Secret', hashes[1]),
+    Foval.verifyPassword('secret', hashes[2])
+  ]);
+
+}).then(function (matches) {
+
+  assert.deepStrictEqual(matches, [true, false, true]);
+
+  // Bad options and unknown hashes are errors, not exceptions.
+  return Foval.hashPassword('secret', { algorithm: 'bcrypt' }).then(function () {
+    throw new Error('Invalid options should reject.');
+  }, function (err) {
+    assert.strictEqual(err.id, 'password-hash-invalid-option');
+    return Foval.verifyPassword('secret', '$2b$10$abc');
+  }).then(function () {
+    throw new Error('Unknown hashes should reject.');
+  }, function (err) {
+    assert.strictEqual(err.id, 'invalid-password-hash');
+  });
+
+}).then(function () {
+
+  // Parameters above the limits are rejected, whether they come from the options or a stored hash.
+  var options = [{ cost: 22 }, { blockSize: 64 }, { parallelism: 17 }, { algorithm: 'pbkdf2', iterations: 20000000 }];
+  var hashes  = [
+    '$scrypt$ln=22,r=8,p=1$c2FsdA$a2V5',
+    '$scrypt$ln=15,r=1024,p=1$c2FsdA$a2V5',
+    '$scrypt$ln=15,r=8,p=9999$c2FsdA$a2V5',
+    '$pbkdf2-sha256$i=999999999$c2FsdA$a2V5'
+  ];
+
+  return Promise.all(options.map(function (option) {
+    return Foval.hashPassword('secret', option).then(function () {
+      throw new Error('Options above the limits should reject.');
+    }, function (err) {
+      assert.strictEqual(err.id, 'password-hash-invalid-option');
+    });
+  }).concat(hashes.map(function (hash) {
+    assert.strictEqual(Foval.needsRehash(hash), true);
+    return Foval.verifyPassword('secret', hash).then(function () {
+      throw new Error('Hashes above the limits should reject.');
+    }, function (err) {
+      assert.strictEqual(err.id, 'invalid-password-hash');
+    });
+  })));
+
+}).then(function () {
+
+  // Digests, with HMAC keys from the form options.
+  var hmacKeys = { lookup: 'secret-key' };
+  var expected = crypto.createHmac('sha256', 'secret-key').update('jo@example.com').digest('base64url');
+
+  assert.strictEqual(Foval.digest('jo@example.com', { hmac: 'lookup', encoding: 'base64url' }, hmacKeys), expected);
+  assert.strictEqual(Foval.digest('abc', 'sha1'), 'a9993e364706816aba3e25717850c26c9cd0d89d');
+  assert.throws(function () { Foval.digest('abc', { hmac: 'missing' }, hmacKeys); }, function (err) { return err.id === 'digest-unknown-hmac-key'; });
+  assert.throws(function () { Foval.digest('abc', { algorithm: 'nope' }); }, function (err) { return err.id === 'digest-invalid-option'; });
+
+  var salted = Foval.digest('abc', { salt: true, saltLength: 8 });
+  assert.strictEqual(salted.salt.length, 16);
+  assert.strictEqual(salted.digest, crypto.createHash('sha256').update(Buffer.concat([Buffer.from(salted.salt, 'hex'), Buffer.from('abc')])).digest('hex'));
+
+  // The transform uses the same keys, and leaves empty values alone.
+  var schema = Foval.schema([
+    { fieldName: 'email', dataType: 'email', transforms: { after: { 'digest': { hmac: 'lookup', encoding: 'base64url' } } } },
+    { fieldName: 'code',  dataType: 'string', transforms: { after: { 'digest': 'sha1' } } }
+  ], { hmacKeys: hmacKeys });
+
+  return schema.validate({ email: 'jo@example.com', code: '' }).then(function (result) {
+    assert.strictEqual(result.fieldHash.email, expected);
+    assert.strictEqual(result.fieldHash.code, '');
+  });
+
+}).then(function () {
+
+  console.log('Password tests passed.');
+
+}).catch(function (err) {
+  console.error(err);
+  process.exitCode = 1;
+});
@@ -0,0 +1,149 @@
+/*
+ * Tests compiled schemas, promises and the field query methods.
+ */
+
+var assert = require('assert');
+var Foval  = require('../foval');
+
+var definitions = [
+  { fieldName: 'username', dataType: 'string', required: true, trim: true, validations: {
+    'str-length': { min: 3 },
+    'custom':     function (value) { return Promise.resolve({ isValid: (value !== 'admin'), reason: 'taken' }); }
+  } },
+  { fieldName: 'age', dataType: 'int', validations: { 'numeric': { min: 18 } } },
+  { fieldName: 'slug', dataType: 'string', transforms: { after: {
+    'custom': function (value) { return Promise.resolve(String(value || '').toLowerCase().replace(/\W+/g, '-')); }
+  } } },
+  { fieldName: 'code', dataType: 'string', modify: function (value, dataType, finish) { return finish(null, String(value || '').toUpperCase()); } }
+];
+var original = JSON.stringify(definitions);
+var schema   = Foval.schema(definitions, { stopOnInvalid: false });
+
+// Compiling never modifies the definitions, and bad definitions fail straight away.
+assert.strictEqual(JSON.stringify(definitions), original);
+assert.throws(function () {
+  Foval.schema([{ fieldName: 'x', dataType: 'nope' }]);
+}, function (err) { return err.id === 'invalid-data-type'; });
+assert.throws(function () {
+  Foval.schema([{ fieldName: 'x', dataType: 'string' }, { fieldName: 'x', dataType: 'int' }]);
+}, function (err) { return err.id === 'duplicate-field'; });
+
+// Forms can be created before they're validated.
+var form = schema.createForm({ username: ' jo ', age: '21' }, { id: 'signup' });
+assert.strictEqual(form.identify(), 'signup');
+assert.deepStrictEqual(form.getFieldNames(), ['username', 'age', 'slug', 'code']);
+assert.strictEqual(form.isFieldValid('username'), null);
+assert.strictEqual(form.getField('missing'), null);
+
+// Changing the fields of one form never changes the schema or the other forms.
+var first = schema.createForm({});
+first.definitions.username.validations['str-length'].min = 10;
+first.definitions.age.validations.numeric.max = 20;
+assert.deepStrictEqual(schema.createForm({}).definitions.username.validations['str-length'], { min: 3 });
+assert.deepStrictEqual(schema.createForm({}).definitions.age.validations.numeric, { min: 18 });
+assert.deepStrictEqual(schema.definitions[0].validations['str-length'], { min: 3 });
+assert.strictEqual(JSON.stringify(definitions), original);
+
+// The callback style still works.
+form.validate(function (err, isFormValid, validationResults, fieldHash) {
+
+  assert.ifError(err);
+  assert.strictEqual(isFormValid, false);
+  assert.strictEqual(fieldHash.username, 'jo');
+  assert.strictEqual(fieldHash.age, 21);
+
+  // The field queries.
+  var field = form.getField('username');
+  assert.strictEqual(field.value, 'jo');
+  assert.strictEqual(field.isValid, false);
+  assert.ok(Object.isFrozen(field));
+  assert.ok(Object.isFrozen(field.validations['str-length']));
+  assert.notStrictEqual(field.validations, form.definitions.username.validations);
+  assert.deepStrictEqual(form.getInvalidFields(), ['username']);
+  assert.deepStrictEqual(form.getFieldErrors('username'), [{ validation: 'str-length', reason: 'too-short', message: 'username must be at least 3 characters.' }]);
+  assert.deepStrictEqual(form.getFieldErrors('age'), []);
+  assert.strictEqual(form.isFieldValid('age'), true);
+
+  // Each form gets its own copy of the fields.
+  schema.validate({ username: 'admin', age: '12', slug: 'Hello World', code: 'abc' }).then(function (result) {
+
+    assert.strictEqual(result.isFormValid, false);
+    assert.strictEqual(result.validationResults.username.custom.reason, 'taken');
+    assert.strictEqual(result.validationResults.age.numeric.reason, 'too-small');
+    assert.strictEqual(result.fieldHash.slug, 'hello-world');
+    assert.strictEqual(result.fieldHash.code, 'ABC');
+    assert.strictEqual(form.getField('username').value, 'jo');
+
+    // The options given to validate() are merged over the schema's, so the username stops at its first failure.
+    return schema.validate({ username: 'x', age: '12' }, { stopOnInvalid: true });
+
+  }).then(function (result) {
+
+    assert.strictEqual(result.validationResults.username.isValid, false);
+    assert.strictEqual(result.validationResults.username.custom, undefined);
+
+    // Errors from custom functions reject the promise.
+    var failing = Foval.schema([{ fieldName: 'x', dataType: 'string', validations: {
+      'custom': function () { return Promise.reject(new Error('Lookup failed.')); }
+    } }]);
+
+    return failing.validate({ x: 'y' }).then(function () {
+      throw new Error('Expected the validation to reject.');
+    }, function (err) {
+      assert.strictEqual(err.message, 'Lookup failed.');
+    });
+
+  }).then(function () {
+
+    // Errors thrown by transforms and validations reject the promise too, even after an asynchronous step.
+    var throwing = Foval.schema([{ fieldName: 'x', dataType: 'string', transforms: { before: {
+      'custom': function (value) { return Promise.resolve(value); }
+    } }, validations: { 'in-list': { list: 'nope' } } }]);
+
+    return throwing.validate({ x: 'y' }).then(function () {
+      throw new Error('Expected the validation to reject.');
+    }, function (err) {
+      assert.strictEqual(err.id, 'in-list-validation-invalid-list');
+    });
+
+  }).then(function () {
+
+    // A hash with nothing selected is left to the 'required' validation.
+    var hashes = Foval.schema([
+      { fieldName: 'interests', dataType: 'hash' },
+      { fieldName: 'topics',    dataType: 'hash', required: true }
+    ], { stopOnInvalid: false });
+
+    return hashes.validate({ 'topics[news]': 'false' }).then(function (result) {
+      assert.strictEqual(result.validationResults.interests.isValid, true);
+      assert.strictEqual(result.validationResults.topics.required.passed, false);
+      assert.strictEqual(result.validationResults.topics.hash.passed, true);
+    });
+
+  }).then(function () {
+
+    // Only the first result is used when a function calls 'finish' and returns a promise.
+    var calls = 0;
+    var twice = Foval.schema([{ fieldName: 'x', dataType: 'string', validations: {
+      'custom': function (value, dataType, isRequired, finish) {
+        calls++;
+        finish(null, true);
+        return Promise.resolve(false);
+      }
+    } }]);
+
+    return twice.validate({ x: 'y' }).then(function (result) {
+      assert.strictEqual(calls, 1);
+      assert.strictEqual(result.isFormValid, true);
+    });
+
+  }).then(function () {
+
+    console.log('Schema tests passed.');
+
+  }).catch(function (err) {
+    console.error(err);
+    process.exitCode = 1;
+  });
+
+});
@@ -0,0 +1,78 @@
+/*
+ * Tests parsing, formatting and validating international telephone numbers.
+ */
+
+var assert     = require('assert');
+var Foval      = require('../foval');
+var telephones = require('../lib/telephones');
+
+// International numbers in any common format.
+assert.strictEqual(telephones.parse('+1 (415) 555-0100').e164, '+14155550100');
+assert.strictEqual(telephones.parse('0044 20 7946 0018').country, 'GB');
+assert.strictEqual(telephones.parse('+44 (0)7912 345678').type, 'mobile');
+assert.strictEqual(telephones.parse('+999 123').error, 'invalid-country');
+assert.strictEqual(telephones.parse('+44 20 7946 001800000').error, 'too-long');
+assert.strictEqual(telephones.parse('call me').error, 'invalid');
+
+// National numbers need a country.
+assert.strictEqual(telephones.parse('020 7946 0018').error, 'no-country');
+assert.strictEqual(telephones.parse('020 7946 0018', 'gb').e164, '+442079460018');
+
+var number = telephones.parse('020 7946 0018', 'GB');
+assert.strictEqual(telephones.format(number, 'e164'), '+442079460018');
+assert.strictEqual(telephones.format(number, 'international'), '+44 20 7946 0018');
+assert.strictEqual(telephones.format(number, 'national'), '020 7946 0018');
+assert.strictEqual(telephones.format(number, 'rfc3966'), 'tel:+44-20-7946-0018');
+
+// The formatter leaves invalid numbers as they are.
+assert.strictEqual(Foval.format('+14155550100', 'telephone', { format: 'national' }), '415 555 0100');
+assert.strictEqual(Foval.format('020 7946 0018', 'telephone', { format: 'international', country: 'GB' }), '+44 20 7946 0018');
+assert.strictEqual(Foval.format('nope', 'telephone', { format: 'e164' }), 'nope');
+
+// The options can be used again, as the formatter never changes them.
+var formatOptions = { format: 'default' };
+assert.strictEqual(Foval.format('07912 345678', 'telephone', formatOptions), Foval.format('07912 345678', 'telephone'));
+assert.deepStrictEqual(formatOptions, { format: 'default' });
+
+// Unknown countries are an error when the field is defined.
+assert.throws(function () {
+  new Foval({}).defineField({ fieldName: 'tel', dataType: 'telephone', country: 'XX' });
+}, function (err) { return err.id === 'invalid-telephone-country'; });
+
+var schema = Foval.schema([
+  { fieldName: 'mobile', dataType: 'telephone', country: 'GB', validations: { 'telephone': { types: ['mobile'] } }, transforms: { after: { 'telephone': 'e164' } } },
+  { fieldName: 'office', dataType: 'telephone', validations: { 'telephone': { countries: ['GB', 'IE'] } } },
+  { fieldName: 'other',  dataType: 'tel', validations: { 'telephone': { minDigits: 7 } } }
+], { stopOnInvalid: false });
+
+schema.validate({ mobile: '07912 345678', office: '+353 1 234 5678', other: '01234 567890' }).then(function (result) {
+
+  assert.strictEqual(result.isFormValid, true);
+  assert.strictEqual(result.fieldHash.mobile, '+447912345678');
+
+  return schema.validate({ mobile: '020 7946 0018', office: '+1 415 555 0100', other: '12' });
+
+}).then(function (result) {
+
+  assert.strictEqual(result.isFormValid, false);
+  assert.strictEqual(result.validationResults.mobile.telephone.reason, 'type-not-allowed');
+  assert.strictEqual(result.validationResults.office.telephone.reason, 'country-not-allowed');
+  assert.strictEqual(result.validationResults.other.telephone.reason, 'too-short');
+  assert.strictEqual(result.validationResults.other.telephone.message, 'other must have at least 7 digits.');
+
+  return schema.validate({ office: '07912 345678', other: '+44 20 7946 001800000' });
+
+}).then(function (result) {
+
+  assert.strictEqual(result.validationResults.office.telephone.reason, 'no-country');
+  assert.strictEqual(result.validationResults.other.telephone.reason, 'too-long');
+  assert.strictEqual(result.validationResults.other.telephone.message, 'other must have no more than 10 digits.');
+
+}).then(function () {
+
+  console.log('Telephone tests passed.');
+
+}).catch(function (err) {
+  console.error(err);
+  process.exitCode = 1;
+});
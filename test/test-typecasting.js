@@ -0,0 +1,98 @@
+/*
+ * Tests the strict typecasting of raw values.
+ */
+
+var assert = require('assert');
+var Foval  = require('../foval');
+
+var schema = Foval.schema([
+  { fieldName: 'age',        dataType: 'int' },
+  { fieldName: 'ratio',      dataType: 'float' },
+  { fieldName: 'name',       dataType: 'string' },
+  { fieldName: 'agree',      dataType: 'checkbox' },
+  { fieldName: 'newsletter', dataType: 'checkbox' },
+  { fieldName: 'subscribe',  dataType: 'boolean' },
+  { fieldName: 'interests',  dataType: 'hash' }
+], { stopOnInvalid: false });
+
+// Values are typecast, and checkboxes and checkbox hashes accept the HTML value attribute.
+schema.validate({
+  'age':              ' 42 ',
+  'ratio':            '1.5e2',
+  'name':             12,
+  'agree':            'on',
+  'newsletter':       'newsletter',
+  'subscribe':        'No',
+  'interests[music]': 'music',
+  'interests[sport]': 'false'
+}).then(function (result) {
+
+  assert.strictEqual(result.isFormValid, true);
+  assert.strictEqual(result.fieldHash.age, 42);
+  assert.strictEqual(result.fieldHash.ratio, 150);
+  assert.strictEqual(result.fieldHash.name, '12');
+  assert.strictEqual(result.fieldHash.agree, true);
+  assert.strictEqual(result.fieldHash.newsletter, true);
+  assert.strictEqual(result.fieldHash.subscribe, false);
+  assert.deepStrictEqual(result.fieldHash.interests, { music: true, sport: false });
+
+  // Values that would be partly converted are type mismatches.
+  return schema.validate({ age: '12abc', ratio: 'abc', name: { a: 1 }, subscribe: 'maybe', interests: { music: { nested: true } } });
+
+}).then(function (result) {
+
+  var results = result.validationResults;
+
+  assert.strictEqual(result.isFormValid, false);
+  assert.strictEqual(results.age.type.reason, 'type-mismatch');
+  assert.strictEqual(results.ratio.type.reason, 'type-mismatch');
+  assert.strictEqual(results.name.type.reason, 'type-mismatch');
+  assert.strictEqual(results.subscribe.type.reason, 'type-mismatch');
+  assert.strictEqual(results.interests.type.reason, 'type-mismatch');
+  assert.strictEqual(JSON.stringify(result.fieldHash).indexOf('typeMismatch'), -1);
+
+  // Empty numbers have no value.
+  return schema.validate({ 'age': '', 'ratio': '', 'interests[music]': 'on' });
+
+}).then(function (result) {
+
+  assert.strictEqual(result.fieldHash.age, null);
+  assert.strictEqual(result.fieldHash.ratio, null);
+
+  // Radio choices and values are typecast to the choice type.
+  var radioSchema = Foval.schema([
+    { fieldName: 'plan',   dataType: 'radio', choices: [0, 1, 2], choiceType: 'int', required: true },
+    { fieldName: 'colour', dataType: 'radio', choices: ['red', 'green'] }
+  ], { stopOnInvalid: false });
+
+  assert.throws(function () {
+    Foval.schema([{ fieldName: 'plan', dataType: 'radio' }]);
+  }, function (err) { return err.id === 'radio-invalid-choices'; });
+  assert.throws(function () {
+    Foval.schema([{ fieldName: 'plan', dataType: 'radio', choices: [1], choiceType: 'date' }]);
+  }, function (err) { return err.id === 'radio-invalid-choice-type'; });
+
+  return radioSchema.validate({ plan: '0', colour: '' }).then(function (result) {
+
+    assert.strictEqual(result.isFormValid, true);
+    assert.strictEqual(result.fieldHash.plan, 0);
+    assert.strictEqual(result.fieldHash.colour, null);
+
+    return radioSchema.validate({ colour: 'blue' });
+
+  }).then(function (result) {
+
+    assert.strictEqual(result.validationResults.plan.required.passed, false);
+    assert.strictEqual(result.validationResults.colour.radio.reason, 'invalid-choice');
+    assert.strictEqual(result.validationResults.colour.radio.message, 'colour is not one of the available choices.');
+
+  });
+
+}).then(function () {
+
+  console.log('Typecasting tests passed.');
+
+}).catch(function (err) {
+  console.error(err);
+  process.exitCode = 1;
+});
@@ -0,0 +1,76 @@
+/*
+ * Tests the unknown fields modes.
+ */
+
+var assert = require('assert');
+var Foval  = require('../foval');
+
+var createForm = function (data, unknownFields) {
+  var form = new Foval(data, { unknownFields: unknownFields });
+  form.defineField({ fieldName: 'name', dataType: 'string' });
+  return form;
+};
+
+// Hash sub-keys and the client version are never unknown.
+var form = createForm({ 'name': 'Jo', 'tags[a]': 'ON', '__FovalClientVersion': require('../package.json').version, 'isAdmin': 'true' }, 'ignore');
+form.defineField({ fieldName: 'tags', dataType: 'hash' });
+assert.deepStrictEqual(form.findUnknownFields(), ['isAdmin']);
+
+// The reserved results key can't be a field name.
+assert.throws(function () {
+  new Foval({}).defineField({ fieldName: '_unknown', dataType: 'string' });
+}, function (err) { return err.id === 'reserved-field-name'; });
+
+// The '_unknown' key is still reported when it's sent as data.
+var reservedData = { name: 'Jo', _unknown: 'x' };
+
+createForm(reservedData, 'report').validate().then(function (result) {
+
+  assert.strictEqual(result.isFormValid, true);
+  assert.deepStrictEqual(result.validationResults._unknown, { isValid: true, fields: ['_unknown'] });
+
+  // Strip deletes the keys from the form's copy of the data, never from the data we passed in.
+  var data  = { name: 'Jo', isAdmin: 'true', role: 'admin' };
+  var strip = createForm(data, 'strip');
+  return strip.validate().then(function (result) {
+    assert.strictEqual(result.isFormValid, true);
+    assert.strictEqual(result.validationResults._unknown, undefined);
+    assert.deepStrictEqual(Object.keys(strip.rawData), ['name']);
+    assert.deepStrictEqual(Object.keys(data), ['name', 'isAdmin', 'role']);
+  });
+
+}).then(function () {
+
+  // Ignore leaves the data alone.
+  var data = { name: 'Jo', isAdmin: 'true' };
+  return createForm(data, 'ignore').validate().then(function (result) {
+    assert.strictEqual(result.isFormValid, true);
+    assert.strictEqual(data.isAdmin, 'true');
+  });
+
+}).then(function () {
+
+  // Collecting the sub-keys of hash fields doesn't add them to the data we passed in.
+  var data = { 'tags[a]': 'ON' };
+  var tags = new Foval(data);
+  tags.defineField({ fieldName: 'tags', dataType: 'hash' });
+  assert.deepStrictEqual(Object.keys(data), ['tags[a]']);
+  assert.deepStrictEqual(tags.rawData.tags, { a: true });
+
+  return createForm({ name: 'Jo', isAdmin: 'true' }, 'reject').validate().then(function (result) {
+    assert.strictEqual(result.isFormValid, false);
+    assert.deepStrictEqual(result.validationResults._unknown, { isValid: false, fields: ['isAdmin'] });
+  });
+
+}).then(function () {
+
+  assert.throws(function () {
+    new Foval({}, { unknownFields: 'drop' });
+  }, function (err) { return err.id === 'invalid-unknown-fields-mode'; });
+
+  console.log('Unknown fields tests passed.');
+
+}).catch(function (err) {
+  console.error(err);
+  process.exitCode = 1;
+});
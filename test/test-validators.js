@@ -0,0 +1,108 @@
+/*
+ * Tests form validators, form rules and warnings.
+ */
+
+var assert = require('assert');
+var Foval  = require('../foval');
+
+var calls  = [];
+var schema = Foval.schema([
+  { fieldName: 'slot',     dataType: 'string', required: true },
+  { fieldName: 'nickname', dataType: 'string', validations: { 'regexp': { test: /^[a-z]+$/, severity: 'warning' } } },
+  { fieldName: 'card',     dataType: 'string' },
+  { fieldName: 'expiry',   dataType: 'string' }
+], {
+  stopOnInvalid: false,
+  rules:         [{ allOrNone: ['card', 'expiry'] }]
+});
+
+schema.addValidator('slot-available', function (form, fieldHash, finish) {
+  calls.push('slot-available');
+  return finish(null, {
+    _form:    { passed: (fieldHash.slot !== 'taken'), reason: 'slot-taken', message: 'This slot is no longer available.' },
+    nickname: { passed: (fieldHash.nickname !== 'admin'), reason: 'reserved', severity: 'warning' }
+  });
+});
+
+schema.addValidator('audit', function () {
+  calls.push('audit');
+  return Promise.resolve({});
+}, { skipIfInvalid: true });
+
+// Bad validators and severities are errors straight away.
+assert.throws(function () { schema.addValidator('slot-available', function () {}); }, function (err) { return err.id === 'duplicate-validator'; });
+assert.throws(function () { schema.addValidator('required', function () {}); }, function (err) { return err.id === 'invalid-validator'; });
+assert.throws(function () { schema.addValidator('items', function () {}); }, function (err) { return err.id === 'invalid-validator'; });
+assert.throws(function () { schema.addValidator('no-function'); }, function (err) { return err.id === 'invalid-validator'; });
+assert.throws(function () {
+  Foval.schema([{ fieldName: 'a', dataType: 'string', validations: { 'required': { severity: 'info' } } }]);
+}, function (err) { return err.id === 'invalid-severity'; });
+assert.throws(function () {
+  Foval.schema([{ fieldName: 'a', dataType: 'string' }], { rules: [{ sometimes: ['a'] }] });
+}, function (err) { return err.id === 'invalid-rule'; });
+
+schema.validate({ slot: 'taken', nickname: 'admin', card: '4111' }).then(function (result) {
+
+  var form = result.form;
+
+  assert.strictEqual(result.isFormValid, false);
+  assert.deepStrictEqual(calls, ['slot-available']);
+  assert.deepStrictEqual(form.getFormErrors(), [{ validation: 'slot-available', reason: 'slot-taken', message: 'This slot is no longer available.' }]);
+  assert.strictEqual(result.validationResults.expiry['all-or-none'].reason, 'incomplete');
+  assert.strictEqual(result.validationResults.card['all-or-none'].passed, true);
+
+  // Warnings don't make the field invalid.
+  assert.strictEqual(result.validationResults.nickname.isValid, true);
+  assert.deepStrictEqual(form.getFieldWarnings('nickname').map(function (warning) { return warning.validation; }), ['slot-available']);
+  assert.deepStrictEqual(form.getFieldErrors('nickname'), []);
+
+  var client = form.toResponse();
+  assert.strictEqual(client.formErrors[0].reason, 'slot-taken');
+  assert.strictEqual(client.errors.nickname.warnings[0].reason, 'reserved');
+
+  var flat = form.toResponse({ format: 'flat' });
+  assert.strictEqual(flat.errors[flat.errors.length - 1].field, '_form');
+  assert.strictEqual(flat.warnings[0].field, 'nickname');
+
+  calls = [];
+  return schema.validate({ slot: 'free', nickname: 'Jo', card: '4111', expiry: '12/30' });
+
+}).then(function (result) {
+
+  assert.strictEqual(result.isFormValid, true);
+  assert.deepStrictEqual(calls, ['slot-available', 'audit']);
+  assert.strictEqual(result.validationResults.nickname.regexp.severity, 'warning');
+  assert.strictEqual(result.form.getFieldWarnings('nickname')[0].reason, 'invalid');
+  assert.strictEqual(result.form.toResponse().success, true);
+
+  // Validators can't report on fields that don't exist.
+  var bad = Foval.schema([{ fieldName: 'a', dataType: 'string' }]);
+  bad.addValidator('typo', function (form, fieldHash, finish) { return finish(null, { b: { passed: false } }); });
+
+  return bad.validate({}).then(function () {
+    throw new Error('Expected the validation to reject.');
+  }, function (err) {
+    assert.strictEqual(err.id, 'validator-invalid-field');
+  });
+
+}).then(function () {
+
+  // The older method still works, as the 'additional-validation' validator.
+  var legacy = Foval.schema([{ fieldName: 'a', dataType: 'string' }]);
+  legacy.additionalValidation(function (form, fieldHash, finish) { return finish(null, { a: { passed: false, reason: 'nope', message: 'No.' } }); });
+
+  return legacy.validate({ a: 'x' });
+
+}).then(function (result) {
+
+  assert.strictEqual(result.isFormValid, false);
+  assert.strictEqual(result.validationResults.a['additional-validation'].reason, 'nope');
+
+}).then(function () {
+
+  console.log('Validator tests passed.');
+
+}).catch(function (err) {
+  console.error(err);
+  process.exitCode = 1;
+});